@@ -0,0 +1,257 @@
+/**
+ * AI backends that worker peers answer delegated prompts with
+ * A backend streams text for a prompt; EnhancedP2PManager.processPrompt picks
+ * one from its AIBackendRegistry by the model the requester asked for and
+ * forwards every piece into the response transfer as it is produced.
+ */
+class AIBackend {
+  /**
+   * @param {string} name - Registry key, e.g. 'chrome-ai'
+   * @param {string[]} models - Models the backend serves; '*' serves any requested model
+   */
+  constructor(name, models) {
+    this.name = name;
+    this.models = models;
+  }
+
+  /**
+   * Whether the backend can take prompts right now
+   * @returns {Promise<boolean>} - True when usable
+   */
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Generate a response piece by piece
+   * @param {string} _prompt - Prompt text
+   * @param {object} _options - {model, signal, attachments}
+   * @returns {AsyncIterable<string>} - Text pieces in order
+   */
+  async *stream(_prompt, _options) {
+    throw new Error(`${this.name} does not implement stream()`);
+  }
+
+  /**
+   * @param {string} [model] - Requested model; any model when omitted
+   * @returns {boolean} - Whether the backend serves it
+   */
+  serves(model) {
+    return !model || this.models.includes('*') || this.models.includes(model);
+  }
+}
+
+/**
+ * Chrome's built-in Prompt API (Gemini Nano); see docs/CHROME_AI_HTTPS.md for
+ * the flags and model download it needs
+ */
+class ChromeAIBackend extends AIBackend {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.models=['gemini-nano']] - Model names requesters may ask for
+   * @param {object} [options.sessionOptions] - Passed to LanguageModel.create(), e.g. {temperature, topK}
+   */
+  constructor(options = {}) {
+    super('chrome-ai', options.models || ['gemini-nano']);
+    this.sessionOptions = options.sessionOptions || {};
+  }
+
+  /**
+   * @returns {object|null} - The LanguageModel API, or the older window.ai.languageModel
+   */
+  static api() {
+    if (typeof LanguageModel !== 'undefined') return LanguageModel;
+    return (typeof window !== 'undefined' && window.ai && window.ai.languageModel) || null;
+  }
+
+  async isAvailable() {
+    const api = ChromeAIBackend.api();
+    if (!api) return false;
+    try {
+      if (api.availability) return (await api.availability()) === 'available';
+      return (await api.capabilities()).available === 'readily';
+    } catch {
+      return false;
+    }
+  }
+
+  async *stream(prompt, { signal } = {}) {
+    const api = ChromeAIBackend.api();
+    if (!api) throw new Error('Chrome built-in AI is not available in this browser');
+
+    const session = await api.create({ ...this.sessionOptions, signal });
+    try {
+      let text = '';
+      for await (const chunk of session.promptStreaming(prompt, { signal })) {
+        // Chrome before 131 streamed the whole text so far instead of the new piece
+        const piece = text && chunk.startsWith(text) ? chunk.slice(text.length) : chunk;
+        text += piece;
+        if (piece) yield piece;
+      }
+    } finally {
+      session.destroy();
+    }
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API with server-sent events
+ * (OpenAI, Ollama, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleBackend extends AIBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - API root, e.g. 'http://localhost:11434/v1'
+   * @param {string} [options.apiKey] - Sent as a bearer token
+   * @param {string[]} [options.models=['*']] - Models the server serves
+   * @param {string} [options.defaultModel] - Used when the requester names none
+   * @param {string} [options.name='openai-compatible'] - Registry key
+   */
+  constructor(options) {
+    super(options.name || 'openai-compatible', options.models || ['*']);
+    this.baseUrl = options.baseUrl.replace(/\/$/, '');
+    this.apiKey = options.apiKey || null;
+    this.defaultModel = options.defaultModel || (this.models[0] !== '*' ? this.models[0] : null);
+  }
+
+  async *stream(prompt, { model, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true
+      }),
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} answered ${response.status} ${response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop(); // Possibly incomplete
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice('data:'.length).trim();
+          if (data === '[DONE]') return;
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch {
+            throw new Error(`${this.name} sent an event that is not JSON: ${data.slice(0, 100)}`);
+          }
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+}
+
+/**
+ * Deterministic backend for tests and demos without a model: echoes the
+ * prompt word by word
+ */
+class MockAIBackend extends AIBackend {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.models=['mock']] - Model names it answers to
+   * @param {number} [options.tokenDelay=0] - ms between pieces, to make streaming visible
+   */
+  constructor(options = {}) {
+    super('mock', options.models || ['mock']);
+    this.tokenDelay = options.tokenDelay || 0;
+  }
+
+  async *stream(prompt, { signal } = {}) {
+    const text = `Mock response to "${prompt}".`;
+    for (const piece of text.match(/\S+\s*/g)) {
+      if (this.tokenDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.tokenDelay));
+      }
+      if (signal) signal.throwIfAborted();
+      yield piece;
+    }
+  }
+}
+
+/**
+ * Backends a peer works with, in order of preference
+ */
+class AIBackendRegistry {
+  constructor() {
+    this.backends = new Map(); // Map<name, AIBackend>, in registration order
+  }
+
+  /**
+   * Add a backend, replacing one registered under the same name
+   * @param {AIBackend} backend - Backend
+   * @returns {AIBackendRegistry} - This registry
+   */
+  register(backend) {
+    this.backends.delete(backend.name);
+    this.backends.set(backend.name, backend);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Backend name
+   */
+  unregister(name) {
+    this.backends.delete(name);
+  }
+
+  /**
+   * First available backend serving `model`
+   * @param {string} [model] - Requested model; any when omitted
+   * @returns {Promise<AIBackend|null>} - Backend, or null when none fits
+   */
+  async select(model) {
+    for (const backend of this.backends.values()) {
+      if (backend.serves(model) && await backend.isAvailable()) return backend;
+    }
+    return null;
+  }
+
+  /**
+   * Models of the available backends, for capability announcements
+   * @returns {Promise<string[]>} - Model names; '*' is left out
+   */
+  async availableModels() {
+    const models = new Set();
+    for (const backend of this.backends.values()) {
+      if (await backend.isAvailable()) {
+        backend.models.filter(model => model !== '*').forEach(model => models.add(model));
+      }
+    }
+    return [...models];
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIBackend, ChromeAIBackend, OpenAICompatibleBackend, MockAIBackend, AIBackendRegistry };
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.AIBackend = AIBackend;
+  window.ChromeAIBackend = ChromeAIBackend;
+  window.OpenAICompatibleBackend = OpenAICompatibleBackend;
+  window.MockAIBackend = MockAIBackend;
+  window.AIBackendRegistry = AIBackendRegistry;
+}
@@ -0,0 +1,515 @@
+/**
+ * Reliable chunked transfer for task responses and attachments over data channels and the server relay
+ * Each prompt-response or attachment-chunk frame carries a sequence number, the total chunk count,
+ * a SHA-256 of its chunk and of the whole content; a response streamed while it is
+ * generated names the count and content hash only in its final frame. The receiver acknowledges
+ * every intact chunk ('chunk-ack') and reports corrupt ones ('chunk-nack'); the
+ * sender keeps a bounded window of unacknowledged chunks, retransmits on
+ * timeout with backoff and gives up after a fixed number of attempts.
+ */
+class ChunkedTransfer {
+  /**
+   * Build one prompt-response frame
+   * @param {string} taskId - Task ID
+   * @param {number} seq - Sequence number
+   * @param {string} chunk - Response text in this frame
+   * @param {object} [options]
+   * @param {string} [options.traceparent] - Trace context stamped on the frame
+   * @param {object} [options.final] - Only on the last frame: {totalChunks, contentHash, attachments}
+   * @returns {Promise<object>} - Frame
+   */
+  static async createFrame(taskId, seq, chunk, { traceparent, final } = {}) {
+    return {
+      type: 'prompt-response',
+      taskId,
+      seq,
+      chunk,
+      hash: await ChunkedTransfer.hash(chunk),
+      metadata: {
+        timestamp: Date.now(),
+        size: chunk.length
+      },
+      ...final, // attachments describe files sent ahead of the final frame
+      traceparent
+    };
+  }
+
+  /**
+   * Split an attachment into attachment-chunk frames. Bytes travel base64-encoded
+   * so the same frames work over the data channel and the JSON-only server relay.
+   * @param {string} taskId - Task ID
+   * @param {object} attachment - From normalizeAttachment
+   * @param {object} [options]
+   * @param {number} [options.chunkSize=15360] - Bytes per chunk, rounded down to a multiple of 3
+   *   so the encoded chunks concatenate to the encoding of the whole
+   * @param {string} [options.traceparent] - Trace context stamped on every frame
+   * @returns {Promise<object[]>} - Frames in sequence order
+   */
+  static async createAttachmentFrames(taskId, attachment, { chunkSize = 15 * 1024, traceparent } = {}) {
+    const step = Math.max(3, chunkSize - (chunkSize % 3));
+    const chunks = [];
+    for (let offset = 0; offset < attachment.bytes.length; offset += step) {
+      chunks.push(ChunkedTransfer.toBase64(attachment.bytes.subarray(offset, offset + step)));
+    }
+    if (chunks.length === 0) {
+      chunks.push('');
+    }
+
+    const contentHash = await ChunkedTransfer.hash(chunks.join(''));
+    const hashes = await Promise.all(chunks.map(chunk => ChunkedTransfer.hash(chunk)));
+    return chunks.map((chunk, seq) => ({
+      type: 'attachment-chunk',
+      taskId,
+      attachmentId: attachment.id,
+      size: attachment.size, // Lets the receiver apply its limit before buffering anything
+      chunkSize: step, // Bytes per chunk, so the receiver can check totalChunks against size
+      seq,
+      totalChunks: chunks.length,
+      chunk,
+      hash: hashes[seq],
+      contentHash,
+      traceparent
+    }));
+  }
+
+  /**
+   * Read an attachment given by a caller or returned by processPrompt
+   * @param {object} attachment - {data: ArrayBuffer|ArrayBufferView|Blob, name, mimeType, metadata, id}
+   * @returns {Promise<object>} - {id, name, mimeType, size, metadata, bytes: Uint8Array}
+   */
+  static async normalizeAttachment(attachment) {
+    const { data } = attachment;
+    let bytes;
+    if (data instanceof Blob) {
+      bytes = new Uint8Array(await data.arrayBuffer());
+    } else if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+      bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+      throw new Error(`Attachment ${attachment.name || ''} must be an ArrayBuffer, typed array or Blob`);
+    }
+
+    return {
+      id: attachment.id || crypto.randomUUID(),
+      name: attachment.name || (data.name ?? 'attachment'),
+      mimeType: attachment.mimeType || data.type || 'application/octet-stream',
+      size: bytes.length,
+      metadata: attachment.metadata || {},
+      bytes
+    };
+  }
+
+  /**
+   * Throw unless attachments fit the limits a peer announced
+   * @param {object[]} attachments - Normalized attachments
+   * @param {object} [limits] - {maxBytes, maxCount}; missing means the peer takes no attachments
+   * @param {string} peerId - Peer the limits belong to, for the error message
+   */
+  static checkLimits(attachments, limits, peerId) {
+    if (!limits) {
+      throw new Error(`Peer ${peerId} does not accept attachments`);
+    }
+    if (attachments.length > limits.maxCount) {
+      throw new Error(`Peer ${peerId} accepts at most ${limits.maxCount} attachments`);
+    }
+    const oversized = attachments.find(attachment => attachment.size > limits.maxBytes);
+    if (oversized) {
+      throw new Error(`Attachment ${oversized.name} exceeds the ${limits.maxBytes} byte limit of peer ${peerId}`);
+    }
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Bytes a base64 string decodes to, without decoding it
+   * @param {string} text - Base64 text
+   * @returns {number} - Decoded length
+   */
+  static decodedLength(text) {
+    const padding = text.endsWith('==') ? 2 : text.endsWith('=') ? 1 : 0;
+    return Math.max(0, Math.floor(text.length * 3 / 4) - padding);
+  }
+
+  /**
+   * @param {string} text - Text to hash (UTF-8)
+   * @returns {Promise<string>} - Hex SHA-256 digest
+   */
+  static async hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+/**
+ * Frames a response as it is generated: text written to the stream goes out in
+ * chunks of at most chunkSize characters, or after flushInterval ms when the
+ * generator pauses, over an open OutgoingTransfer
+ */
+class ResponseStream {
+  /**
+   * @param {string} taskId - Task ID
+   * @param {OutgoingTransfer} transfer - Transfer created with `open: true`
+   * @param {object} [options]
+   * @param {number} [options.chunkSize=1000] - Characters per chunk
+   * @param {number} [options.flushInterval=100] - ms a partial chunk may wait for more text
+   * @param {string} [options.traceparent] - Trace context stamped on every frame
+   * @param {function(object): Promise<object>} [options.seal] - Transforms each frame before it is
+   *   queued, e.g. to encrypt it (see SecureChannel)
+   */
+  constructor(taskId, transfer, { chunkSize = 1000, flushInterval = 100, traceparent, seal } = {}) {
+    this.taskId = taskId;
+    this.transfer = transfer;
+    this.chunkSize = chunkSize;
+    this.flushInterval = flushInterval;
+    this.traceparent = traceparent;
+    this.seal = seal || (async frame => frame);
+    this.text = ''; // Everything written so far
+    this.buffered = ''; // Written but not yet framed
+    this.seq = 0;
+    this.timer = null;
+    this.framing = Promise.resolve(); // Frames are hashed asynchronously but must stay in order
+  }
+
+  /**
+   * Append generated text
+   * @param {string} text - Next piece of the response
+   */
+  write(text) {
+    if (!text) return;
+    this.text += text;
+    this.buffered += text;
+    while (this.buffered.length >= this.chunkSize) {
+      this.emit(this.buffered.substring(0, this.chunkSize));
+      this.buffered = this.buffered.substring(this.chunkSize);
+    }
+    clearTimeout(this.timer);
+    this.timer = this.buffered ? setTimeout(() => this.flush(), this.flushInterval) : null;
+  }
+
+  /**
+   * Send the buffered text now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.buffered) {
+      this.emit(this.buffered);
+      this.buffered = '';
+    }
+  }
+
+  emit(chunk, final) {
+    const seq = this.seq++;
+    this.framing = this.framing.then(async () => {
+      const frame = await ChunkedTransfer.createFrame(this.taskId, seq, chunk, { traceparent: this.traceparent, final });
+      this.transfer.push(await this.seal(frame));
+    });
+  }
+
+  /**
+   * Finish the response with a frame naming the chunk count and content hash
+   * @param {object} [options]
+   * @param {object[]} [options.attachments] - Descriptors of attachments sent ahead of the final frame
+   * @returns {Promise<{chunks: number, retransmits: number}>} - Resolves once every frame is acknowledged
+   */
+  async end({ attachments } = {}) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const final = {
+      totalChunks: this.seq + 1,
+      contentHash: await ChunkedTransfer.hash(this.text),
+      attachments
+    };
+    this.emit(this.buffered, final); // Possibly empty, so every response has a final frame
+    this.buffered = '';
+    await this.framing;
+    this.transfer.close();
+    return this.transfer.done;
+  }
+
+  /**
+   * Abort the response
+   * @param {Error} error - Rejection reason for the transfer
+   */
+  cancel(error) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.transfer.cancel(error);
+  }
+}
+
+/**
+ * Sending side of one transfer
+ */
+class OutgoingTransfer {
+  /**
+   * @param {object[]} frames - Frames from ChunkedTransfer.createFrame or createAttachmentFrames
+   * @param {object} options
+   * @param {boolean} [options.open] - More frames follow through push() until close()
+   * @param {function(object): void} options.send - Sends one frame; may throw when no path is open
+   * @param {function(): Promise<void>} [options.waitForCapacity] - Resolves once the transport can take
+   *   another frame (e.g. once the data channel's bufferedAmount has drained)
+   * @param {number} [options.windowSize=16] - Maximum unacknowledged frames
+   * @param {number} [options.retransmitTimeout=1000] - ms before the first retransmission; doubles per attempt
+   * @param {number} [options.maxRetransmits=5] - Retransmissions per frame before the transfer fails
+   * @param {function(number, number): void} [options.onProgress] - Called with acknowledged and total frames
+   */
+  constructor(frames, options) {
+    this.frames = frames;
+    this.send = options.send;
+    this.waitForCapacity = options.waitForCapacity || (() => Promise.resolve());
+    this.windowSize = options.windowSize || 16;
+    this.retransmitTimeout = options.retransmitTimeout || 1000;
+    this.maxRetransmits = options.maxRetransmits ?? 5;
+    this.onProgress = options.onProgress || (() => {});
+    this.nextSeq = 0;
+    this.inFlight = new Map(); // Map<seq, {attempts, timer}>
+    this.acknowledged = 0;
+    this.retransmits = 0;
+    this.finished = false;
+    this.pumping = false;
+    this.closed = !options.open;
+  }
+
+  /**
+   * Send every frame
+   * @returns {Promise<{chunks: number, retransmits: number}>} - Resolves once all frames are acknowledged
+   */
+  start() {
+    this.done = new Promise((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+    this.pump();
+    return this.done;
+  }
+
+  /**
+   * Queue another frame of an open transfer
+   * @param {object} frame - Next frame in sequence order
+   */
+  push(frame) {
+    if (this.finished) return;
+    this.frames.push(frame);
+    this.pump();
+  }
+
+  /**
+   * Declare the last frame pushed; the transfer completes once all are acknowledged
+   */
+  close() {
+    this.closed = true;
+    this.checkComplete();
+  }
+
+  checkComplete() {
+    if (this.finished || !this.closed || this.acknowledged < this.frames.length) return;
+    this.finished = true;
+    this.resolveDone({ chunks: this.frames.length, retransmits: this.retransmits });
+  }
+
+  /**
+   * Fill the window with new frames, pausing while the transport is saturated
+   */
+  async pump() {
+    if (this.pumping) return;
+    this.pumping = true;
+    try {
+      while (!this.finished && this.nextSeq < this.frames.length && this.inFlight.size < this.windowSize) {
+        await this.waitForCapacity();
+        if (this.finished) break;
+        this.transmit(this.nextSeq++, 0);
+      }
+    } catch (error) {
+      this.fail(error);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Send a frame and arm its retransmission timer
+   * @param {number} seq - Sequence number
+   * @param {number} attempts - Retransmissions so far
+   */
+  transmit(seq, attempts) {
+    this.send(this.frames[seq]);
+    const timer = setTimeout(() => this.retransmit(seq), this.retransmitTimeout * 2 ** attempts);
+    this.inFlight.set(seq, { attempts, timer });
+  }
+
+  /**
+   * Resend an unacknowledged frame, failing the transfer once attempts run out
+   * @param {number} seq - Sequence number
+   */
+  retransmit(seq) {
+    const entry = this.inFlight.get(seq);
+    if (!entry || this.finished) return;
+    clearTimeout(entry.timer);
+    if (entry.attempts >= this.maxRetransmits) {
+      this.fail(new Error(`Chunk ${seq} was not acknowledged after ${entry.attempts + 1} attempts`));
+      return;
+    }
+
+    this.retransmits++;
+    try {
+      this.transmit(seq, entry.attempts + 1);
+    } catch (error) {
+      this.fail(error);
+    }
+  }
+
+  /**
+   * @param {number} seq - Sequence number the receiver stored
+   */
+  handleAck(seq) {
+    const entry = this.inFlight.get(seq);
+    if (!entry || this.finished) return; // Duplicate ack for a retransmitted frame
+    clearTimeout(entry.timer);
+    this.inFlight.delete(seq);
+    this.acknowledged++;
+    this.onProgress(this.acknowledged, this.frames.length);
+
+    this.checkComplete();
+    this.pump();
+  }
+
+  /**
+   * @param {number} seq - Sequence number the receiver found corrupt
+   */
+  handleNack(seq) {
+    this.retransmit(seq);
+  }
+
+  /**
+   * Abort the transfer
+   * @param {Error} error - Rejection reason
+   */
+  cancel(error) {
+    this.fail(error);
+  }
+
+  fail(error) {
+    if (this.finished) return;
+    this.finished = true;
+    this.inFlight.forEach(entry => clearTimeout(entry.timer));
+    this.inFlight.clear();
+    this.rejectDone(error);
+  }
+}
+
+/**
+ * Receiving side of one transfer: checks and reorders frames
+ */
+class IncomingTransfer {
+  /**
+   * @param {number|null} totalChunks - Chunk count announced by the first frame received; null
+   *   for a streamed response until its final frame arrives
+   * @param {string|null} contentHash - SHA-256 of the whole content
+   * @param {object} [limits] - Bounds on what a sender can make us buffer, which matter while
+   *   a streamed response has not announced its length yet
+   * @param {number} [limits.maxChunks=Infinity] - Chunks the content may have
+   * @param {number} [limits.maxLength=Infinity] - Characters the chunks may add up to
+   */
+  constructor(totalChunks, contentHash, { maxChunks = Infinity, maxLength = Infinity } = {}) {
+    this.totalChunks = totalChunks ?? null;
+    this.contentHash = contentHash ?? null;
+    this.maxChunks = maxChunks;
+    this.maxLength = maxLength;
+    this.attachments = undefined; // From the final frame of a response
+    this.chunks = new Map(); // Map<seq, chunk>
+    this.length = 0; // Characters stored or being checked
+    this.nextSeq = 0; // First chunk not yet delivered in order
+  }
+
+  /**
+   * Check and store one frame
+   * @param {object} frame - prompt-response or attachment-chunk frame
+   * @returns {Promise<object>} - {status: 'ok'|'duplicate'|'corrupt'|'invalid'|'too-large', delivered:
+   *   chunks now available in order, complete: whether this frame completed the content}; after
+   *   'too-large' the transfer cannot complete and should be cancelled
+   */
+  async accept(frame) {
+    const { seq, chunk } = frame;
+    const result = { status: 'invalid', delivered: [], complete: false };
+    const announcesTotal = frame.totalChunks !== undefined && frame.totalChunks !== null;
+    const total = announcesTotal ? frame.totalChunks : this.totalChunks;
+    if (!Number.isInteger(seq) || seq < 0 || (total !== null && seq >= total) || typeof chunk !== 'string' ||
+        (announcesTotal && this.totalChunks !== null &&
+          (frame.totalChunks !== this.totalChunks || frame.contentHash !== this.contentHash)) ||
+        (announcesTotal && [...this.chunks.keys()].some(stored => stored >= frame.totalChunks))) {
+      return result;
+    }
+    if (this.chunks.has(seq)) {
+      result.status = 'duplicate'; // Our ack was lost; acknowledge again
+      return result;
+    }
+    if (seq >= this.maxChunks || (total !== null && total > this.maxChunks) || this.length + chunk.length > this.maxLength) {
+      result.status = 'too-large';
+      return result;
+    }
+
+    // Counted before the hash check, so chunks arriving together cannot overrun maxLength either
+    this.length += chunk.length;
+    if (await ChunkedTransfer.hash(chunk) !== frame.hash) {
+      this.length -= chunk.length;
+      result.status = 'corrupt';
+      return result;
+    }
+    if (this.chunks.has(seq)) {
+      this.length -= chunk.length;
+      result.status = 'duplicate';
+      return result;
+    }
+
+    result.status = 'ok';
+    if (announcesTotal && this.totalChunks === null) {
+      this.totalChunks = frame.totalChunks;
+      this.contentHash = frame.contentHash;
+    }
+    if (frame.attachments) this.attachments = frame.attachments;
+    this.chunks.set(seq, chunk);
+    while (this.chunks.has(this.nextSeq)) {
+      result.delivered.push(this.chunks.get(this.nextSeq));
+      this.nextSeq++;
+    }
+    result.complete = result.delivered.length > 0 && this.nextSeq === this.totalChunks;
+    return result;
+  }
+
+  /**
+   * Join the chunks and verify the whole content
+   * @returns {Promise<string>} - Response text, or the base64 encoding of an attachment
+   */
+  async assemble() {
+    const response = Array.from({ length: this.totalChunks }, (_, seq) => this.chunks.get(seq)).join('');
+    if (await ChunkedTransfer.hash(response) !== this.contentHash) {
+      throw new Error('Transfer failed its integrity check');
+    }
+    return response;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ChunkedTransfer, ResponseStream, OutgoingTransfer, IncomingTransfer };
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.ChunkedTransfer = ChunkedTransfer;
+  window.ResponseStream = ResponseStream;
+  window.OutgoingTransfer = OutgoingTransfer;
+  window.IncomingTransfer = IncomingTransfer;
+}
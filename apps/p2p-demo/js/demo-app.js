@@ -4,15 +4,22 @@
  */
 class P2PDemo {
   constructor() {
-    this.p2pManager = new EnhancedP2PManager();
     this.quotaMonitor = new QuotaMonitor({
       totalQuota: 1000,
       requestsPerMinute: 60,
       maxConcurrent: 5
     });
     this.securityManager = new SecurityManager();
+    this.p2pManager = new EnhancedP2PManager({
+      identity: new PeerIdentity(),
+      quotaMonitor: this.quotaMonitor,
+      securityManager: this.securityManager,
+      aiBackends: this.createAIBackends()
+    });
     
     this.currentExecutionId = null;
+    this.currentTaskId = null; // Delegation the Cancel button stops
+    this.streamAttempt = null; // Failover attempt the response panel shows
     this.discoveredPeers = new Map();
     this.activeTasks = new Map();
     
@@ -21,6 +28,25 @@ class P2PDemo {
     this.startUIUpdates();
   }
 
+  /**
+   * Chrome built-in AI when the browser has it, an OpenAI-compatible server when
+   * localStorage['helios.openaiBaseUrl'] names one (with 'helios.openaiApiKey' and
+   * 'helios.openaiModel'), and the mock backend so the demo always answers
+   */
+  createAIBackends() {
+    const registry = new AIBackendRegistry().register(new ChromeAIBackend());
+    const baseUrl = localStorage.getItem('helios.openaiBaseUrl');
+    if (baseUrl) {
+      const model = localStorage.getItem('helios.openaiModel');
+      registry.register(new OpenAICompatibleBackend({
+        baseUrl,
+        apiKey: localStorage.getItem('helios.openaiApiKey'),
+        models: model ? [model] : ['*']
+      }));
+    }
+    return registry.register(new MockAIBackend({ tokenDelay: 50 }));
+  }
+
   initializeUI() {
     // Get DOM elements
     this.elements = {
@@ -33,9 +59,11 @@ class P2PDemo {
       
       // Connection
       signalingUrl: document.getElementById('signalingUrl'),
+      roomName: document.getElementById('roomName'),
       connectBtn: document.getElementById('connectBtn'),
       disconnectBtn: document.getElementById('disconnectBtn'),
       peerIdDisplay: document.getElementById('peerIdDisplay'),
+      roomDisplay: document.getElementById('roomDisplay'),
       connectionState: document.getElementById('connectionState'),
       
       // Capabilities
@@ -56,6 +84,7 @@ class P2PDemo {
       promptInput: document.getElementById('promptInput'),
       executionMode: document.getElementById('executionMode'),
       executePromptBtn: document.getElementById('executePromptBtn'),
+      cancelPromptBtn: document.getElementById('cancelPromptBtn'),
       executionStatus: document.getElementById('executionStatus'),
       executionMessage: document.getElementById('executionMessage'),
       progressBar: document.getElementById('progressBar'),
@@ -106,6 +135,7 @@ class P2PDemo {
     
     // Task delegation handlers
     this.elements.executePromptBtn.addEventListener('click', () => this.executePrompt());
+    this.elements.cancelPromptBtn.addEventListener('click', () => this.cancelPrompt());
     this.elements.promptInput.addEventListener('keydown', (e) => {
       if (e.ctrlKey && e.key === 'Enter') {
         this.executePrompt();
@@ -129,6 +159,20 @@ class P2PDemo {
       this.updateConnectionState(data.newState);
     });
     
+    this.p2pManager.on('reconnecting', (data) => {
+      this.log(`Signaling connection lost; reconnect attempt ${data.attempt} in ${Math.round(data.delay / 1000)}s`, 'warning');
+    });
+    
+    this.p2pManager.on('reconnected', (data) => {
+      this.elements.peerIdDisplay.textContent = data.peerId;
+      this.log('Reconnected to signaling server', 'success');
+    });
+    
+    this.p2pManager.on('reconnect-failed', (data) => {
+      this.log(`Could not reconnect to signaling server after ${data.attempts} attempts`, 'error');
+      this.elements.connectBtn.disabled = false;
+    });
+    
     this.p2pManager.on('peers-discovered', (peers) => {
       this.updatePeerGrid(peers);
     });
@@ -137,10 +181,39 @@ class P2PDemo {
       this.updatePeerCapabilities(data.peerId, data.capabilities);
     });
     
+    this.p2pManager.on('room-joined', (data) => {
+      this.elements.roomDisplay.textContent = data.room;
+      this.discoveredPeers.clear();
+      this.updatePeerGrid([]);
+      this.log(`Joined room ${data.room}`, 'info');
+    });
+    
     this.p2pManager.on('response-chunk', (data) => {
       this.handleResponseChunk(data);
     });
     
+    this.p2pManager.on('task-failover', (data) => {
+      const target = data.to ? `peer ${data.to}` : 'local processing';
+      this.log(`Peer ${data.from} failed task ${data.taskId} (${data.reason}); retrying on ${target}`, 'warning');
+      if (data.taskId === this.currentTaskId) {
+        this.setExecutionMessage(`Retrying on ${target}...`);
+        this.elements.responseContent.textContent = ''; // The next attempt answers from scratch
+      }
+    });
+    
+    this.p2pManager.on('task-queued', (data) => {
+      this.log(`Task ${data.taskId} is number ${data.position} in peer ${data.peerId}'s queue`, 'info');
+      if (data.taskId === this.currentTaskId) {
+        this.setExecutionMessage(`Queued at position ${data.position} of ${data.queueLength}...`);
+      }
+    });
+    
+    this.p2pManager.on('task-cancelled', (data) => {
+      if (data.initiator === 'remote') {
+        this.log(`Peer ${data.peerId} cancelled task ${data.taskId}: ${data.reason}`, 'warning');
+      }
+    });
+    
     // Quota Monitor events
     this.quotaMonitor.on('quota-reserved', (data) => {
       this.log(`Quota reserved: ${data.cost}, remaining: ${data.remaining}`, 'info');
@@ -165,7 +238,9 @@ class P2PDemo {
       this.elements.connectBtn.disabled = true;
       this.log('Connecting to signaling server...', 'info');
       
-      await this.p2pManager.connect(this.elements.signalingUrl.value);
+      await this.p2pManager.connect(this.elements.signalingUrl.value, {
+        room: this.elements.roomName.value.trim() || undefined
+      });
       
       this.elements.connectBtn.disabled = true;
       this.elements.disconnectBtn.disabled = false;
@@ -175,6 +250,7 @@ class P2PDemo {
       this.elements.executePromptBtn.disabled = false;
       
       this.elements.peerIdDisplay.textContent = this.p2pManager.peerId || 'Not assigned';
+      this.elements.roomDisplay.textContent = this.p2pManager.room || this.elements.roomName.value.trim() || 'default';
       
       this.log('Connected to signaling server', 'success');
       
@@ -198,18 +274,19 @@ class P2PDemo {
     this.elements.executePromptBtn.disabled = true;
     
     this.elements.peerIdDisplay.textContent = 'Not assigned';
+    this.elements.roomDisplay.textContent = '-';
     this.discoveredPeers.clear();
     this.updatePeerGrid([]);
     
     this.log('Disconnected from signaling server', 'info');
   }
 
-  announceCapabilities() {
+  async announceCapabilities() {
     const capabilities = {
       hasAI: this.elements.hasAI.checked,
       hasGPU: this.elements.hasGPU.checked,
       hasStorage: this.elements.hasStorage.checked,
-      models: this.elements.hasAI.checked ? ['gpt-3.5-turbo', 'text-davinci-003'] : [],
+      models: this.elements.hasAI.checked ? await this.p2pManager.aiBackends.availableModels() : [],
       quota: this.quotaMonitor.getLocalQuota(),
       performance: {
         latency: 50 + Math.random() * 100,
@@ -256,6 +333,8 @@ class P2PDemo {
       
       if (mode === 'local' || (mode === 'auto' && this.shouldExecuteLocally())) {
         result = await this.executeLocally(prompt);
+      } else if (mode === 'consensus') {
+        result = await this.delegateToConsensus(prompt);
       } else {
         result = await this.delegateToOptimalPeer(prompt);
       }
@@ -263,16 +342,26 @@ class P2PDemo {
       const endTime = Date.now();
       const duration = endTime - startTime;
       
-      this.showResponse(result, duration, mode === 'local' ? 'Local' : 'Peer');
+      this.showResponse(result, duration, { local: 'Local', consensus: 'Consensus' }[mode] || 'Peer');
       this.log(`Prompt executed successfully in ${duration}ms`, 'success');
       
     } catch (error) {
-      this.log(`Prompt execution failed: ${error.message}`, 'error');
+      if (error.name === 'TaskCancelledError') {
+        this.log(`Prompt execution cancelled: ${error.message}`, 'warning');
+      } else {
+        this.log(`Prompt execution failed: ${error.message}`, 'error');
+      }
     } finally {
       this.hideExecutionStatus();
     }
   }
 
+  cancelPrompt() {
+    if (this.currentTaskId && this.p2pManager.cancel(this.currentTaskId)) {
+      this.setExecutionMessage('Cancelling...');
+    }
+  }
+
   shouldExecuteLocally() {
     const permission = this.quotaMonitor.checkLocalPermission();
     return permission.allowed && this.discoveredPeers.size === 0;
@@ -288,16 +377,16 @@ class P2PDemo {
     });
     
     try {
-      // Simulate local processing
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      this.elements.responseContent.textContent = '';
+      const result = await this.p2pManager.processPrompt(prompt, {
+        onToken: chunk => this.appendResponse(chunk)
+      });
       this.setProgress(75);
       
-      const response = `Local AI Response: Based on your query "${prompt.substring(0, 50)}...", here are some insights from local processing.`;
-      
-      this.quotaMonitor.releaseQuota(reservationId, { status: 'completed', actualCost: 8 });
+      this.quotaMonitor.releaseQuota(reservationId, { status: 'completed' });
       this.setProgress(100);
       
-      return response;
+      return typeof result === 'string' ? result : result.text;
       
     } catch (error) {
       this.quotaMonitor.releaseQuota(reservationId, { status: 'failed' });
@@ -314,17 +403,28 @@ class P2PDemo {
     this.setExecutionMessage(`Delegating to peer ${bestPeer.peerId}...`);
     this.setProgress(10);
     
+    // One ID ties the negotiation and the task together in browser and server logs
+    const taskId = this.p2pManager.generateTaskId();
+    // ...and one trace covers negotiation, signaling and the worker's processing
+    const span = this.p2pManager.tracer.startSpan('delegation', {
+      attributes: { 'peer.target': bestPeer.peerId, 'helios.task_id': taskId }
+    });
+    const parent = span.traceparent();
+    
     try {
       // Connect to peer if not already connected
       if (!this.p2pManager.connections.has(bestPeer.peerId)) {
-        await this.p2pManager.connectToPeer(bestPeer.peerId);
+        await this.p2pManager.connectToPeer(bestPeer.peerId, { correlationId: taskId, parent });
         this.setProgress(30);
       }
       
       this.setExecutionMessage('Sending prompt...');
       this.setProgress(50);
       
-      const response = await this.p2pManager.delegatePrompt(prompt, bestPeer.peerId);
+      this.currentTaskId = taskId;
+      this.streamAttempt = null;
+      this.elements.cancelPromptBtn.disabled = false;
+      const response = await this.p2pManager.delegatePrompt(prompt, bestPeer.peerId, { taskId, parent });
       this.setProgress(100);
       
       // Update security score for successful interaction
@@ -333,8 +433,46 @@ class P2PDemo {
       return response;
       
     } catch (error) {
-      this.securityManager.reportFailedInteraction(bestPeer.peerId, 'delegation_failed');
+      span.recordError(error);
+      // Our own cancellation says nothing about the peer
+      if (error.name !== 'TaskCancelledError') {
+        this.securityManager.reportFailedInteraction(bestPeer.peerId, 'delegation_failed');
+      }
       throw error;
+    } finally {
+      this.currentTaskId = null;
+      this.elements.cancelPromptBtn.disabled = true;
+      span.end();
+    }
+  }
+
+  /**
+   * Ask the three best peers and keep the response most of them agree on
+   */
+  async delegateToConsensus(prompt) {
+    const peerIds = this.quotaMonitor.rankPeersForDelegation().slice(0, 3).map(peer => peer.peerId);
+    if (peerIds.length < 2) {
+      throw new Error('Consensus needs at least two suitable peers');
+    }
+    
+    this.setExecutionMessage(`Asking ${peerIds.length} peers...`);
+    this.setProgress(10);
+    const taskId = this.p2pManager.generateTaskId();
+    this.currentTaskId = taskId; // Cancel stops every peer's delegation
+    this.elements.cancelPromptBtn.disabled = false;
+    
+    try {
+      const outcome = await this.p2pManager.delegateFanOut(prompt, peerIds, { taskId, strategy: 'majority' });
+      this.setProgress(100);
+      outcome.results.forEach(result => {
+        const verdict = result.status === 'completed' ? (result.agrees ? 'agrees' : 'disagrees') : result.status;
+        this.log(`Peer ${result.peerId}: ${verdict} in ${result.latency}ms, cost ${result.cost}`, result.agrees ? 'info' : 'warning');
+      });
+      this.log(`Consensus from ${outcome.peerId} (${Math.round(outcome.agreement * 100)}% agreement)`, 'success');
+      return outcome.response;
+    } finally {
+      this.currentTaskId = null;
+      this.elements.cancelPromptBtn.disabled = true;
     }
   }
 
@@ -352,6 +490,7 @@ class P2PDemo {
     const stateTexts = {
       'disconnected': 'Disconnected',
       'signaling': 'Connecting...',
+      'reconnecting': 'Reconnecting...',
       'connected': 'Connected',
       'discovering': 'Discovering peers...',
       'connecting': 'Establishing P2P connection...',
@@ -460,6 +599,20 @@ class P2PDemo {
     this.elements.responsePanel.scrollIntoView({ behavior: 'smooth' });
   }
 
+  handleResponseChunk(data) {
+    if (data.taskId !== this.currentTaskId) return;
+    if (data.attempt !== this.streamAttempt) {
+      this.streamAttempt = data.attempt;
+      this.elements.responseContent.textContent = '';
+    }
+    this.appendResponse(data.chunk);
+  }
+
+  appendResponse(chunk) {
+    this.elements.responsePanel.style.display = 'block';
+    this.elements.responseContent.textContent += chunk;
+  }
+
   clearResponse() {
     this.elements.responsePanel.style.display = 'none';
     this.elements.responseContent.textContent = '';
@@ -544,5 +697,5 @@ class P2PDemo {
 let app;
 document.addEventListener('DOMContentLoaded', () => {
   app = new P2PDemo();
-  console.log('P2P Task Handoff Demo initialized');
+  new StructuredLogger('demo').info('P2P Task Handoff Demo initialized');
 });
\ No newline at end of file
@@ -1,19 +1,83 @@
+/**
+ * Rejection reason of a delegation stopped with cancel(), and the abort reason
+ * a worker's processPrompt receives through its AbortSignal
+ */
+class TaskCancelledError extends Error {
+  /**
+   * @param {string} taskId - Cancelled task
+   * @param {string} [reason] - Why the requester cancelled
+   */
+  constructor(taskId, reason = 'Task cancelled') {
+    super(reason);
+    this.name = 'TaskCancelledError';
+    this.taskId = taskId;
+  }
+}
+
+/**
+ * Rejection reason of a majority fan-out whose responses did not agree enough
+ */
+class ConsensusError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object[]} results - Per-peer results of the fan-out (see delegateFanOut)
+   */
+  constructor(message, results) {
+    super(message);
+    this.name = 'ConsensusError';
+    this.results = results;
+  }
+}
+
 /**
  * Enhanced P2P Manager for WebRTC-based peer-to-peer communication
  * Manages connection lifecycle, peer discovery, and data channel communication
  */
 class EnhancedP2PManager {
-  constructor() {
+  /**
+   * @param {object} options - Manager options
+   * @param {PeerIdentity} [options.identity] - Keypair identity; without it the
+   *   server admits this peer in limited (anonymous) mode
+   * @param {boolean} [options.allowServerRelay=true] - Consent to exchanging task frames through
+   *   the signaling server when no data channel can be opened (authenticated peers only)
+   * @param {StructuredLogger} [options.logger] - Logger; a 'p2p' StructuredLogger by default
+   * @param {Tracer} [options.tracer] - Tracer for connection and delegation spans
+   * @param {string} [options.otlpEndpoint] - Collector URL for the default tracer, e.g. 'http://localhost:4318'
+   * @param {object} [options.transfer] - Overrides for transferOptions (chunk size, window, retransmission, buffering, response limits)
+   * @param {object} [options.attachments] - Limits on received attachments: {maxBytes, maxCount}
+   * @param {QuotaMonitor} [options.quotaMonitor] - Charged for prompts this peer works on, and
+   *   for the peer quota its delegations hold; also picks the peer a failed delegation moves to.
+   *   Its maxConcurrent rate limit is how many incoming prompts run at once.
+   * @param {object} [options.scheduler] - Queue for incoming prompts ({maxQueueLength, and maxConcurrent
+   *   when there is no quotaMonitor}); see TaskScheduler
+   * @param {object} [options.failover] - Overrides for failover ({maxRetries, local, connectTimeout})
+   * @param {AIBackendRegistry} [options.aiBackends] - Backends processPrompt answers with; none by default
+   * @param {SecurityManager} [options.securityManager] - Told how each peer of a fan-out did, so peers
+   *   that disagree with the chosen response lose trust
+   * @param {object} [options.e2e] - End-to-end encryption ({required}); task frames to peers that
+   *   announced keys are always sealed, `required` also refuses peers that did not
+   * @param {object} [options.reconnect] - Overrides for signaling reconnects ({enabled, initialDelay,
+   *   maxDelay, factor, jitter, maxAttempts})
+   * @param {number} [options.signalingTimeout=10000] - ms the signaling socket and handshake may take
+   */
+  constructor(options = {}) {
+    this.identity = options.identity || null;
+    this.log = options.logger || new StructuredLogger('p2p');
+    this.tracer = options.tracer || new Tracer('helios-p2p-demo', { otlpEndpoint: options.otlpEndpoint });
     this.peerId = null;
+    this.resumeToken = null; // Lets an anonymous session reclaim its peer ID after a drop
+    this.authenticated = false;
+    this.room = null;
     this.ws = null;
     this.connections = new Map(); // Map<peerId, RTCPeerConnection>
     this.dataChannels = new Map(); // Map<peerId, RTCDataChannel>
     this.peers = new Map(); // Map<peerId, PeerInfo>
+    this.discoverySubscriptions = new Map(); // Map<subscriptionId, requirements>
     this.connectionState = 'disconnected';
     this.messageHandlers = new Map();
     this.eventHandlers = new Map();
     
-    // WebRTC configuration
+    // WebRTC configuration; iceServers is replaced by the signaling server's list once connected
     this.rtcConfig = {
       iceServers: [
         { urls: 'stun:stun.l.google.com:19302' },
@@ -22,6 +86,57 @@ class EnhancedP2PManager {
       ],
       iceCandidatePoolSize: 10
     };
+    this.relayAvailable = false; // Whether the server issued TURN credentials
+    this.iceServersExpireAt = null;
+    this.pendingIceServers = [];
+    this.transports = new Map(); // Map<peerId, {initiator, relayOnly, type, recoveryTimer}>
+    this.recoveryGracePeriod = options.recoveryGracePeriod || 5000; // ms a dropped path gets to recover
+    this.allowServerRelay = options.allowServerRelay !== false;
+    this.drainHint = null; // {deadline, reconnectIn, reconnectUrl} once the signaling server starts draining
+    // A dropped signaling socket is reopened after initialDelay * factor^attempt ms (capped at maxDelay,
+    // minus up to `jitter` of it at random); peer connections stay up meanwhile
+    this.reconnect = { enabled: true, initialDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.5, maxAttempts: Infinity, ...options.reconnect };
+    this.signalingTimeout = options.signalingTimeout || 10000;
+    this.signaling = null; // {url, room, established} of the session connect() opened; null once disconnected
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.lastCapabilities = null; // Re-announced after a reconnect
+    // Response transfers; see chunked-transfer.js
+    this.transferOptions = {
+      chunkSize: 1000,
+      windowSize: 16, // Unacknowledged chunks in flight
+      retransmitTimeout: 1000,
+      maxRetransmits: 5,
+      highWaterMark: 256 * 1024, // Pause sending while the data channel buffers more than this
+      lowWaterMark: 64 * 1024, // ...and resume once it drains below this
+      attachmentChunkSize: 15 * 1024, // Bytes, before base64
+      attachmentTimeout: 60000, // ms a received attachment waits for the frame that claims it
+      streamFlushInterval: 100, // ms generated text may wait for more before a short chunk goes out
+      maxResponseLength: 16 * 1024 * 1024, // Characters of a response we buffer before giving up on it
+      maxResponseChunks: 65536, // ...and chunks, which streamed responses send short ones of
+      ...options.transfer
+    };
+    this.outgoingTransfers = new Map(); // Map<`${peerId}:${taskId}[:${attachmentId}]`, OutgoingTransfer>
+    // Announced with capabilities and sent with each delegation; larger attachments are refused
+    this.attachmentLimits = { maxBytes: 10 * 1024 * 1024, maxCount: 8, ...options.attachments };
+    this.incomingAttachments = new Map(); // Map<`${peerId}:${taskId}:${attachmentId}`, {transfer, size, complete, timer}>
+    this.quotaMonitor = options.quotaMonitor || null;
+    this.activeTasks = new Map(); // Map<`${requesterId}:${taskId}`, {controller, reservationId}> for prompts we work on
+    // Incoming prompts beyond the concurrency limit wait here by priority until their timeout
+    const schedulerOptions = { maxConcurrent: 5, maxQueueLength: 32, ...options.scheduler };
+    this.scheduler = new TaskScheduler({
+      maxConcurrent: () => this.quotaMonitor ? this.quotaMonitor.localQuota.rateLimits.maxConcurrent : schedulerOptions.maxConcurrent,
+      maxQueueLength: schedulerOptions.maxQueueLength,
+      onPositionChange: ({ context }, position, queueLength) => this.sendQueuePosition(context, position, queueLength)
+    });
+    // Delegations whose peer disconnects or times out are retried on the next best peer,
+    // then (with `local`) run here; connectTimeout bounds the wait for a new data channel
+    this.failover = { maxRetries: 2, local: true, connectTimeout: 10000, ...options.failover };
+    this.aiBackends = options.aiBackends || new AIBackendRegistry();
+    this.securityManager = options.securityManager || null;
+    this.fanOuts = new Map(); // Map<fanOutId, {results, settle, abort}> for delegateFanOut in progress
+    this.secureChannels = new Map(); // Map<peerId, SecureChannel>, from the keys exchanged in offer/answer
+    this.e2e = { required: false, ...options.e2e };
     
     this.setupMessageHandlers();
   }
@@ -29,49 +144,195 @@ class EnhancedP2PManager {
   /**
    * Connect to signaling server
    * @param {string} signalingUrl - WebSocket URL for signaling server
+   * @param {object} options - Connection options
+   * @param {string} [options.room] - Room to join on connect (server default room if omitted)
+   */
+  async connect(signalingUrl = 'ws://localhost:8083/signaling', options = {}) {
+    const span = this.tracer.startSpan('p2p.connect', {
+      kind: Tracer.SPAN_KIND.client,
+      attributes: { 'signaling.url': signalingUrl, 'signaling.room': options.room }
+    });
+    
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.signaling = { url: signalingUrl, room: options.room, established: false };
+    this.updateConnectionState('signaling');
+    return this.traced(span, this.openSignaling(signalingUrl, options.room));
+  }
+
+  /**
+   * Open the signaling socket; connect() and reconnects share this
+   * @param {string} signalingUrl - WebSocket URL
+   * @param {string} [room] - Room to join
+   * @returns {Promise<void>} - Resolves with the 'peer-id' message, rejects when the socket
+   *   closes or the handshake takes longer than signalingTimeout
    */
-  async connect(signalingUrl = 'ws://localhost:8083/signaling') {
+  openSignaling(signalingUrl, room) {
     return new Promise((resolve, reject) => {
-      try {
-        this.ws = new WebSocket(signalingUrl);
-        this.updateConnectionState('signaling');
-        
-        this.ws.onopen = () => {
-          console.log('[P2P] Connected to signaling server');
-          this.updateConnectionState('connected');
+      const url = new URL(signalingUrl);
+      if (room) {
+        url.searchParams.set('room', room);
+      }
+      
+      const ws = new WebSocket(url.toString());
+      this.ws = ws;
+      
+      // Settled by the 'peer-id' message once the auth handshake completes
+      const timer = setTimeout(() => {
+        if (this.pendingConnect !== pending) return;
+        this.pendingConnect = null;
+        reject(new Error('Connection timeout'));
+        ws.close(); // onclose schedules the next attempt when reconnecting
+      }, this.signalingTimeout);
+      const pending = {
+        resolve: () => {
+          clearTimeout(timer);
           resolve();
-        };
-        
-        this.ws.onmessage = (event) => {
-          try {
-            const message = JSON.parse(event.data);
-            this.handleSignalingMessage(message);
-          } catch (error) {
-            console.error('[P2P] Failed to parse signaling message:', error);
-          }
-        };
-        
-        this.ws.onclose = () => {
-          console.log('[P2P] Disconnected from signaling server');
-          this.updateConnectionState('disconnected');
-        };
-        
-        this.ws.onerror = (error) => {
-          console.error('[P2P] WebSocket error:', error);
-          this.updateConnectionState('disconnected');
+        },
+        reject: (error) => {
+          clearTimeout(timer);
           reject(error);
-        };
-        
-        // Connection timeout
-        setTimeout(() => {
-          if (this.connectionState === 'signaling') {
-            reject(new Error('Connection timeout'));
-          }
-        }, 10000);
-        
-      } catch (error) {
-        reject(error);
-      }
+        }
+      };
+      this.pendingConnect = pending;
+      
+      ws.onopen = () => {
+        this.log.info('Connected to signaling server, awaiting handshake');
+      };
+      
+      ws.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          this.handleSignalingMessage(message);
+        } catch (error) {
+          this.log.error('Failed to parse signaling message', { error });
+        }
+      };
+      
+      ws.onclose = (event) => {
+        if (this.ws !== ws) return; // Replaced by a newer socket
+        this.log.info('Disconnected from signaling server', { code: event.code });
+        if (this.pendingConnect === pending) {
+          this.pendingConnect = null;
+          pending.reject(new Error(`Signaling connection closed: ${event.reason || event.code}`));
+        }
+        this.handleSignalingClose(event);
+      };
+      
+      ws.onerror = (error) => {
+        // A close event follows and settles the attempt
+        this.log.error('Signaling WebSocket error', { error });
+      };
+    });
+  }
+
+  /**
+   * Reconnect after the signaling socket dropped, unless we closed it, the
+   * first connect never got a session, or the server ended the session for good
+   * @param {CloseEvent} event - Close event of the socket
+   */
+  handleSignalingClose(event) {
+    const final = EnhancedP2PManager.FINAL_CLOSE_CODES.has(event.code);
+    if (!this.signaling || !this.signaling.established || !this.reconnect.enabled || final) {
+      this.updateConnectionState('disconnected');
+      return;
+    }
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Arm the next reconnect attempt, emitting a 'reconnecting' event
+   */
+  scheduleReconnect() {
+    if (this.reconnectAttempt >= this.reconnect.maxAttempts) {
+      this.log.error('Giving up reconnecting to signaling server', { attempts: this.reconnectAttempt });
+      this.updateConnectionState('disconnected');
+      this.triggerEvent('reconnect-failed', { attempts: this.reconnectAttempt });
+      return;
+    }
+    
+    const delay = this.reconnectDelay(this.reconnectAttempt);
+    this.reconnectAttempt++;
+    this.updateConnectionState('reconnecting');
+    this.log.info('Reconnecting to signaling server', { attempt: this.reconnectAttempt, delay });
+    this.triggerEvent('reconnecting', { attempt: this.reconnectAttempt, delay });
+    this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+  }
+
+  /**
+   * @param {number} attempt - Attempts made so far
+   * @returns {number} - ms to wait; a draining server's own jittered hint comes first
+   */
+  reconnectDelay(attempt) {
+    if (attempt === 0 && this.drainHint && Number.isFinite(this.drainHint.reconnectIn)) {
+      return this.drainHint.reconnectIn;
+    }
+    return EnhancedP2PManager.backoffDelay(attempt, this.reconnect);
+  }
+
+  /**
+   * Exponential backoff with jitter: initialDelay * factor^attempt, capped at
+   * maxDelay, then shortened by up to `jitter` of itself
+   * @param {number} attempt - Attempts made so far
+   * @param {{initialDelay: number, maxDelay: number, factor: number, jitter: number}} options - Reconnect options
+   * @param {function(): number} [random=Math.random] - Source of the jitter, in [0, 1)
+   * @returns {number} - ms to wait, between (1 - jitter) and 1 times the capped delay
+   */
+  static backoffDelay(attempt, { initialDelay, maxDelay, factor, jitter }, random = Math.random) {
+    const delay = Math.min(maxDelay, initialDelay * factor ** attempt);
+    // Spread out the peers a server restart dropped at the same moment
+    return Math.round(delay * (1 - jitter * random()));
+  }
+
+  /**
+   * Open a new signaling socket for the session; failures schedule the next attempt
+   */
+  async attemptReconnect() {
+    this.reconnectTimer = null;
+    if (!this.signaling) return; // disconnect() meanwhile
+    
+    const url = (this.drainHint && this.drainHint.reconnectUrl) || this.signaling.url;
+    this.drainHint = null;
+    try {
+      // The room we were in last, which may differ from the one connect() joined
+      await this.openSignaling(url, this.room || this.signaling.room);
+    } catch (error) {
+      this.log.warn('Reconnect attempt failed', { attempt: this.reconnectAttempt, error });
+    }
+  }
+
+  /**
+   * Restore what the server keeps per connection once a reconnect has a session:
+   * the last capability announcement and the discovery subscriptions
+   */
+  restoreSignalingState() {
+    const attempts = this.reconnectAttempt;
+    this.reconnectAttempt = 0;
+    if (this.lastCapabilities) {
+      this.announceCapabilities(this.lastCapabilities);
+    }
+    this.discoverySubscriptions.forEach((requirements, subscriptionId) => {
+      this.sendSignalingMessage({ type: 'subscribe-discovery', subscriptionId, requirements });
+    });
+    
+    this.log.info('Reconnected to signaling server', { attempts, subscriptions: this.discoverySubscriptions.size });
+    this.triggerEvent('reconnected', { peerId: this.peerId, attempts });
+  }
+
+  /**
+   * End a span when a promise settles, marking it failed on rejection
+   * @param {Span} span - Span covering the operation
+   * @param {Promise} promise - Operation
+   * @returns {Promise} - The operation's result
+   */
+  traced(span, promise) {
+    return promise.then(result => {
+      span.end();
+      return result;
+    }, error => {
+      span.recordError(error).end();
+      throw error;
     });
   }
 
@@ -84,17 +345,64 @@ class EnhancedP2PManager {
       throw new Error('Not connected to signaling server');
     }
     
+    this.lastCapabilities = capabilities;
     this.sendSignalingMessage({
       type: 'capability-announce',
-      capabilities
+      capabilities: { attachments: this.attachmentLimits, ...capabilities }
+    });
+    
+    this.log.info('Capabilities announced', { capabilities: StructuredLogger.summarizeCapabilities(capabilities) });
+  }
+
+  /**
+   * Move to another room; discovery and capability updates are scoped to it
+   * @param {string} room - Room name
+   */
+  joinRoom(room) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to signaling server');
+    }
+    
+    this.sendSignalingMessage({
+      type: 'join-room',
+      room
     });
+  }
+
+  /**
+   * Leave the current room and return to the server default room
+   */
+  leaveRoom() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to signaling server');
+    }
+    
+    this.sendSignalingMessage({ type: 'leave-room' });
+  }
+
+  /**
+   * Request the list of rooms; the result arrives as a 'rooms-list' event
+   */
+  listRooms() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to signaling server');
+    }
     
-    console.log('[P2P] Capabilities announced:', capabilities);
+    this.sendSignalingMessage({ type: 'list-rooms' });
   }
 
   /**
    * Discover peers matching requirements
-   * @param {object} requirements - Peer requirements
+   * @param {object} requirements - Discovery query
+   * @param {boolean} [requirements.needsAI] - Only peers announcing hasAI
+   * @param {object} [requirements.capabilities] - {required, optional} capability flags, e.g. ['hasGPU']
+   * @param {object} [requirements.models] - {all, any} model name sets
+   * @param {number} [requirements.maxLatency] - Latency ceiling in ms
+   * @param {string|string[]} [requirements.region] - Acceptable region(s)
+   * @param {string} [requirements.profile] - Scoring profile: 'default', 'low-latency' or 'capacity'
+   * @param {object} [requirements.weights] - Per-call overrides of the profile's scoring weights
+   * @param {number} [requirements.limit] - Page size (results are ranked best first)
+   * @param {number} [requirements.offset] - Page start, e.g. the previous result's nextOffset
    */
   async discoverPeers(requirements = {}) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
@@ -103,30 +411,93 @@ class EnhancedP2PManager {
     
     this.updateConnectionState('discovering');
     
+    // Results arrive asynchronously as 'peers-discovered'; the server's span shows the ranking
+    const span = this.tracer.startSpan('p2p.discover', {
+      kind: Tracer.SPAN_KIND.producer,
+      attributes: { 'discovery.profile': requirements.profile }
+    });
     this.sendSignalingMessage({
       type: 'discover',
+      requirements,
+      traceparent: span.traceparent()
+    });
+    span.end();
+    
+    this.log.info('Discovering peers', { requirements });
+  }
+
+  /**
+   * Keep a discovery query open; matches arrive as 'peer-matched' and
+   * 'peer-unmatched' events instead of room-wide capability updates
+   * @param {object} requirements - Discovery query (see discoverPeers)
+   * @param {string} [subscriptionId] - Reusing an ID replaces that subscription
+   * @returns {string} - Subscription ID
+   */
+  subscribeDiscovery(requirements = {}, subscriptionId = crypto.randomUUID()) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to signaling server');
+    }
+    
+    this.discoverySubscriptions.set(subscriptionId, requirements);
+    this.sendSignalingMessage({
+      type: 'subscribe-discovery',
+      subscriptionId,
       requirements
     });
     
-    console.log('[P2P] Discovering peers with requirements:', requirements);
+    this.log.info('Subscribed to discovery', { subscriptionId, requirements });
+    return subscriptionId;
+  }
+
+  /**
+   * Close a discovery subscription
+   * @param {string} subscriptionId - ID returned by subscribeDiscovery
+   */
+  unsubscribeDiscovery(subscriptionId) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to signaling server');
+    }
+    
+    this.discoverySubscriptions.delete(subscriptionId);
+    this.sendSignalingMessage({
+      type: 'unsubscribe-discovery',
+      subscriptionId
+    });
   }
 
   /**
    * Initiate WebRTC connection with a peer
    * @param {string} targetPeerId - Target peer ID
+   * @param {object} [options] - Connection options
+   * @param {boolean} [options.relayOnly] - Only gather TURN candidates (used for relay fallback)
+   * @param {string} [options.correlationId] - Task this negotiation is for, echoed in its signaling
+   * @param {string} [options.parent] - traceparent of the operation that needs the connection
    */
-  async connectToPeer(targetPeerId) {
+  async connectToPeer(targetPeerId, options = {}) {
+    const { correlationId, parent } = options;
     if (this.connections.has(targetPeerId)) {
-      console.log(`[P2P] Already connected to peer ${targetPeerId}`);
+      this.log.debug('Already connected to peer', { peerId: targetPeerId, correlationId });
       return;
     }
     
-    console.log(`[P2P] Initiating connection to peer ${targetPeerId}`);
+    this.log.info('Initiating connection to peer', { peerId: targetPeerId, relayOnly: Boolean(options.relayOnly), correlationId });
     this.updateConnectionState('connecting');
     
+    // Ends when the data channel opens (see setupDataChannel) or the negotiation is abandoned
+    const span = this.tracer.startSpan('p2p.connectToPeer', {
+      parent,
+      kind: Tracer.SPAN_KIND.client,
+      attributes: {
+        'peer.target': targetPeerId,
+        'webrtc.relay_only': Boolean(options.relayOnly),
+        'helios.correlation_id': correlationId
+      }
+    });
+    
     try {
-      const pc = new RTCPeerConnection(this.rtcConfig);
+      const pc = new RTCPeerConnection(await this.getRtcConfig(options.relayOnly));
       this.connections.set(targetPeerId, pc);
+      this.trackTransport(targetPeerId, { initiator: true, relayOnly: Boolean(options.relayOnly), correlationId, parent, span });
       this.setupPeerConnection(pc, targetPeerId);
       
       // Create data channel
@@ -144,13 +515,18 @@ class EnhancedP2PManager {
       this.sendSignalingMessage({
         type: 'offer',
         targetPeerId,
-        sdp: offer
+        sdp: offer,
+        keys: await this.createKeyAnnouncement(),
+        correlationId,
+        traceparent: span.traceparent()
       });
       
     } catch (error) {
-      console.error(`[P2P] Failed to connect to peer ${targetPeerId}:`, error);
+      this.log.error('Failed to connect to peer', { peerId: targetPeerId, correlationId, error });
+      span.recordError(error).end();
       this.connections.delete(targetPeerId);
       this.dataChannels.delete(targetPeerId);
+      this.untrackTransport(targetPeerId);
       throw error;
     }
   }
@@ -160,174 +536,1293 @@ class EnhancedP2PManager {
    * @param {string} prompt - The prompt to delegate
    * @param {string} targetPeerId - Target peer ID
    * @param {object} options - Delegation options
+   * @param {string} [options.taskId] - Task ID to use, e.g. the correlationId already given to connectToPeer
+   * @param {string} [options.parent] - traceparent of the enclosing operation
+   * @param {object[]} [options.attachments] - Files sent with the prompt: {data: ArrayBuffer|Blob, name,
+   *   mimeType, metadata}; must fit the limits the peer announced. Attachments the worker returns
+   *   arrive as 'response-attachment' events before the promise resolves.
+   * @param {object} [options.requirements] - QuotaMonitor requirements for peers the task fails over to
+   * @param {boolean} [options.failover=true] - false rejects when the peer fails instead of failing over
+   * @param {string} [options.model] - Model the worker should answer with; any of its backends when omitted
    */
   async delegatePrompt(prompt, targetPeerId, options = {}) {
-    const dataChannel = this.dataChannels.get(targetPeerId);
+    const taskId = options.taskId || this.generateTaskId();
+    const span = this.tracer.startSpan('p2p.delegatePrompt', {
+      parent: options.parent,
+      kind: Tracer.SPAN_KIND.client,
+      attributes: { 'peer.target': targetPeerId, 'helios.task_id': taskId, 'prompt.length': prompt.length }
+    });
     
-    if (!dataChannel || dataChannel.readyState !== 'open') {
-      throw new Error(`No active data channel to peer ${targetPeerId}`);
-    }
+    // Registered before anything is sent, so cancel() and prompt-error also work during uploads.
+    // The same handler, and taskId, follow the task through failover attempts.
+    const taskHandler = { timeout: null, peerId: targetPeerId, prompt, options, span, attempt: 0, triedPeers: new Set() };
+    const response = new Promise((resolve, reject) => {
+      Object.assign(taskHandler, { resolve, reject });
+    });
+    this.eventHandlers.set(`task-${taskId}`, taskHandler);
+    const settled = this.traced(span, response).then(result => {
+      this.releasePeerQuota(taskId, 'completed');
+      return result;
+    }, error => {
+      this.releasePeerQuota(taskId, error instanceof TaskCancelledError ? 'cancelled' : 'failed');
+      throw error;
+    });
     
-    const taskId = this.generateTaskId();
+    await this.sendDelegation(taskId, taskHandler);
+    
+    // Resolves when the response is complete
+    return settled;
+  }
+
+  /**
+   * Send the current attempt of a delegation to taskHandler.peerId. Every
+   * attempt reuses the taskId, so a worker reached twice runs the task once.
+   * @param {string} taskId - Task ID
+   * @param {object} taskHandler - Pending delegation registered by delegatePrompt
+   */
+  async sendDelegation(taskId, taskHandler) {
+    const { prompt, options, span, peerId, attempt } = taskHandler;
+    const isCurrent = () => this.eventHandlers.get(`task-${taskId}`) === taskHandler && taskHandler.attempt === attempt;
+    taskHandler.triedPeers.add(peerId);
     const message = {
       type: 'prompt-delegation',
       taskId,
       prompt,
       requesterCapabilities: options.capabilities || {},
       priority: options.priority || 1,
+      estimatedCost: options.estimatedCost || 10,
       timeout: options.timeout || 30000,
-      timestamp: Date.now()
+      model: options.model,
+      attempt,
+      timestamp: Date.now(),
+      traceparent: span.traceparent() // The worker's spans join this trace
     };
     
-    console.log(`[P2P] Delegating prompt to ${targetPeerId}:`, { taskId, prompt: prompt.substring(0, 50) + '...' });
+    this.log.info('Delegating prompt', { peerId, correlationId: taskId, promptLength: prompt.length, attempt });
+    if (this.quotaMonitor) {
+      this.quotaMonitor.reservePeerQuota(peerId, taskId, message.estimatedCost);
+    }
     
     try {
-      dataChannel.send(JSON.stringify(message));
-      this.updateConnectionState('transferring');
+      // Attachments go first, so they are complete by the time the worker reads the prompt
+      if (options.attachments && options.attachments.length > 0) {
+        const peer = this.peers.get(peerId);
+        message.attachments = await this.sendAttachments(peerId, taskId, options.attachments, {
+          limits: peer && peer.attachments,
+          traceparent: message.traceparent
+        });
+        span.setAttribute('attachments.count', message.attachments.length);
+      }
       
-      // Return promise that resolves when response is complete
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Prompt delegation timeout'));
+      if (isCurrent()) { // Not cancelled or failed over meanwhile
+        message.attachmentLimits = this.attachmentLimits; // What the worker may send back
+        span.setAttribute('helios.transport', await this.sendProtected(peerId, message))
+          .setAttribute('helios.e2e', this.secureChannels.has(peerId));
+        this.updateConnectionState('transferring');
+        taskHandler.timeout = setTimeout(() => {
+          this.failoverTask(taskId, new Error('Prompt delegation timeout'));
         }, message.timeout);
-        
-        this.eventHandlers.set(`task-${taskId}`, { resolve, reject, timeout });
+      }
+    } catch (error) {
+      if (isCurrent()) {
+        this.log.error('Failed to delegate prompt', { peerId, correlationId: taskId, attempt, error });
+        await this.failoverTask(taskId, error);
+      }
+    }
+  }
+
+  /**
+   * Move a delegation whose peer disconnected, timed out or could not be
+   * reached to the next best peer from the QuotaMonitor, or to processPrompt
+   * on this peer; once the retry budget is spent the task rejects with `error`.
+   * Response chunks already delivered came from the abandoned attempt: the
+   * 'task-failover' event reports how many, and later 'response-chunk' events
+   * carry the new attempt number.
+   * @param {string} taskId - Task ID
+   * @param {Error} error - Why the current attempt failed
+   */
+  async failoverTask(taskId, error) {
+    const taskHandler = this.eventHandlers.get(`task-${taskId}`);
+    if (!taskHandler) return;
+    
+    const previousPeerId = taskHandler.peerId;
+    clearTimeout(taskHandler.timeout);
+    taskHandler.timeout = null;
+    this.cancelTransfers(previousPeerId, taskId, error);
+    this.reportTaskOutcome(previousPeerId, taskId, 'failed');
+    this.releasePeerQuota(taskId, 'failed');
+    // A worker that merely timed out should stop spending quota on the task
+    this.sendProtected(previousPeerId, { type: 'prompt-cancel', taskId, reason: 'Failed over to another peer' })
+      .catch(() => {}); // Gone already
+    
+    const retry = taskHandler.options.failover !== false && taskHandler.attempt < this.failover.maxRetries;
+    const next = retry && this.quotaMonitor
+      ? this.quotaMonitor.findBestPeerForDelegation({
+        ...taskHandler.options.requirements,
+        excludePeers: [...taskHandler.triedPeers]
+      })
+      : null;
+    const runLocally = !next && retry && this.failover.local;
+    if (!next && !runLocally) {
+      this.log.error('Delegation failed', { peerId: previousPeerId, correlationId: taskId, attempts: taskHandler.attempt + 1, error });
+      this.rejectTask(taskId, error);
+      return;
+    }
+    
+    const partialChunks = taskHandler.transfer ? taskHandler.transfer.nextSeq : 0;
+    taskHandler.transfer = null; // The next attempt answers from scratch
+    taskHandler.attempt++;
+    taskHandler.peerId = next ? next.peerId : null;
+    taskHandler.span.setAttribute('helios.failover.attempts', taskHandler.attempt);
+    this.log.warn('Failing over delegated task', {
+      peerId: previousPeerId,
+      correlationId: taskId,
+      nextPeerId: taskHandler.peerId,
+      attempt: taskHandler.attempt,
+      partialChunks,
+      error
+    });
+    this.triggerEvent('task-failover', {
+      taskId,
+      from: previousPeerId,
+      to: taskHandler.peerId,
+      attempt: taskHandler.attempt,
+      reason: error.message,
+      partialChunks
+    });
+    
+    if (runLocally) {
+      await this.runTaskLocally(taskId, taskHandler);
+      return;
+    }
+    if (!this.connections.has(next.peerId)) {
+      try {
+        await this.connectToPeer(next.peerId, { correlationId: taskId, parent: taskHandler.span.traceparent() });
+        await this.waitForDataChannel(next.peerId, this.failover.connectTimeout);
+      } catch (connectError) {
+        this.log.warn('Could not reach failover peer', { peerId: next.peerId, correlationId: taskId, error: connectError });
+        // sendDelegation fails over again unless the server relay can carry the task
+      }
+    }
+    if (this.eventHandlers.get(`task-${taskId}`) === taskHandler) {
+      await this.sendDelegation(taskId, taskHandler);
+    }
+  }
+
+  /**
+   * Last resort of failover: answer a delegation with this peer's own processPrompt
+   * @param {string} taskId - Task ID
+   * @param {object} taskHandler - Pending delegation
+   */
+  async runTaskLocally(taskId, taskHandler) {
+    const { prompt, options, attempt } = taskHandler;
+    taskHandler.controller = new AbortController(); // cancel() aborts this instead of messaging a peer
+    const { signal } = taskHandler.controller;
+    taskHandler.span.setAttribute('helios.failover.local', true);
+    let reservationId = null;
+    let status = 'completed';
+    
+    try {
+      if (this.quotaMonitor) {
+        reservationId = this.quotaMonitor.reserveQuota({
+          estimatedCost: options.estimatedCost || 10,
+          priority: options.priority || 1,
+          taskId
+        });
+      }
+      const attachments = (await Promise.all((options.attachments || []).map(ChunkedTransfer.normalizeAttachment)))
+        .map(({ bytes, ...attachment }) => ({ ...attachment, data: bytes.slice().buffer }));
+      let streamed = 0;
+      const result = await this.processPrompt(prompt, {
+        attachments,
+        taskId,
+        senderId: this.peerId,
+        signal,
+        model: options.model,
+        onToken: chunk => {
+          streamed += chunk.length;
+          this.triggerEvent('response-chunk', { taskId, chunk, senderId: null, attempt });
+        }
       });
+      signal.throwIfAborted();
+      const response = typeof result === 'string' ? { text: result } : result;
       
+      for (const returned of response.attachments || []) {
+        const { bytes, ...attachment } = await ChunkedTransfer.normalizeAttachment(returned);
+        this.triggerEvent('response-attachment', { taskId, attachment: { ...attachment, data: bytes.slice().buffer }, senderId: null });
+      }
+      if (response.text.length > streamed) {
+        this.triggerEvent('response-chunk', { taskId, chunk: response.text.slice(streamed), senderId: null, attempt });
+      }
+      this.eventHandlers.delete(`task-${taskId}`);
+      taskHandler.resolve(response.text);
+    } catch (error) {
+      status = signal.aborted ? 'cancelled' : 'failed';
+      this.rejectTask(taskId, error); // Already rejected when cancelled
+    } finally {
+      if (reservationId) {
+        this.quotaMonitor.releaseQuota(reservationId, { status });
+      }
+    }
+  }
+
+  /**
+   * Wait until the data channel to a peer is open
+   * @param {string} peerId - Peer ID
+   * @param {number} timeout - ms to wait
+   * @returns {Promise<void>} - Rejects when the channel closes, is missing or does not open in time
+   */
+  waitForDataChannel(peerId, timeout) {
+    const dataChannel = this.dataChannels.get(peerId);
+    if (!dataChannel) return Promise.reject(new Error(`No data channel to peer ${peerId}`));
+    if (dataChannel.readyState === 'open') return Promise.resolve();
+    
+    return new Promise((resolve, reject) => {
+      const settle = (error) => {
+        clearTimeout(timer);
+        dataChannel.removeEventListener('open', onOpen);
+        dataChannel.removeEventListener('close', onClose);
+        if (error) reject(error); else resolve();
+      };
+      const onOpen = () => settle();
+      const onClose = () => settle(new Error(`Data channel to peer ${peerId} closed`));
+      const timer = setTimeout(() => settle(new Error(`Data channel to peer ${peerId} did not open`)), timeout);
+      dataChannel.addEventListener('open', onOpen);
+      dataChannel.addEventListener('close', onClose);
+    });
+  }
+
+  /**
+   * Send the same prompt to several peers and settle on one response. Each peer
+   * gets its own delegation (`${fanOutId}:${index}`) without failover, so a
+   * failing peer cannot hand its vote to another; delegations still running once
+   * the outcome is known are cancelled.
+   * @param {string} prompt - The prompt to delegate
+   * @param {string[]} peerIds - Peers to ask; connections are opened as needed
+   * @param {object} [options] - delegatePrompt options for every peer, plus:
+   * @param {string|function} [options.strategy='majority'] - 'first': the first completed response
+   *   wins; 'majority': responses are grouped by similarity and the largest group wins once it
+   *   reaches the quorum; or a judge `async (responses) => peerId` choosing among the completed
+   *   responses ({peerId, response, latency}); when the judge throws or names a peer without a
+   *   response, the earliest response of the largest agreeing group wins regardless of quorum
+   * @param {number} [options.quorum] - Agreeing responses 'majority' needs; more than half of peerIds by default
+   * @param {number} [options.similarityThreshold=0.8] - responseSimilarity at which two responses agree
+   * @param {string} [options.taskId] - Fan-out ID; cancel() with it stops every delegation
+   * @returns {Promise<object>} - {response, peerId, strategy, agreement: share of completed responses
+   *   agreeing with the chosen one, results: one entry per peer {peerId, taskId, status: 'completed'|
+   *   'failed'|'cancelled', latency (ms), cost (quota charged), response, error, agrees}}; rejects with a
+   *   ConsensusError when no group reaches the quorum, and when every peer failed
+   */
+  async delegateFanOut(prompt, peerIds, options = {}) {
+    const {
+      strategy = 'majority',
+      quorum = Math.floor(peerIds.length / 2) + 1,
+      similarityThreshold = 0.8,
+      ...delegation
+    } = options;
+    const strategyName = typeof strategy === 'function' ? 'judge' : strategy;
+    if (!['first', 'majority', 'judge'].includes(strategyName)) {
+      throw new Error(`Unknown fan-out strategy: ${strategy}`);
+    }
+    if (peerIds.length === 0) {
+      throw new Error('Fan-out needs at least one peer');
+    }
+    
+    const fanOutId = options.taskId || this.generateTaskId();
+    const span = this.tracer.startSpan('p2p.delegateFanOut', {
+      parent: options.parent,
+      kind: Tracer.SPAN_KIND.client,
+      attributes: { 'helios.task_id': fanOutId, 'fanout.peers': peerIds.length, 'fanout.strategy': strategyName }
+    });
+    const results = peerIds.map((peerId, index) => ({
+      peerId,
+      taskId: `${fanOutId}:${index}`,
+      status: 'pending',
+      latency: null,
+      cost: 0
+    }));
+    const fanOut = { results };
+    // Settles early once the strategy has its answer, or rejects on cancel()
+    const decided = new Promise((resolve, reject) => {
+      Object.assign(fanOut, { settle: resolve, abort: reject });
+    });
+    this.fanOuts.set(fanOutId, fanOut);
+    this.log.info('Fanning out prompt', { correlationId: fanOutId, peers: peerIds, strategy: strategyName });
+    
+    const branchOptions = { ...delegation, parent: span.traceparent(), failover: false };
+    const branches = results.map(result => this.runFanOutBranch(prompt, result, branchOptions).then(() => {
+      const completed = results.filter(r => r.status === 'completed');
+      if ((strategyName === 'first' && completed.length > 0) ||
+          (strategyName === 'majority' && this.groupResponses(completed, similarityThreshold)[0]?.length >= quorum)) {
+        fanOut.settle();
+      }
+    }));
+    
+    const outcome = Promise.race([Promise.all(branches), decided]).then(async () => {
+      const completed = results.filter(r => r.status === 'completed').sort((a, b) => a.latency - b.latency);
+      if (completed.length === 0) {
+        throw new ConsensusError(`All ${peerIds.length} peers failed: ${results.map(r => r.error).join('; ')}`, results);
+      }
+      
+      let winner;
+      if (strategyName === 'first') {
+        winner = completed[0];
+      } else if (strategyName === 'majority') {
+        const [group] = this.groupResponses(completed, similarityThreshold);
+        if (group.length < quorum) {
+          throw new ConsensusError(`No ${quorum} of ${peerIds.length} responses agree (largest group: ${group.length})`, results);
+        }
+        winner = group[0];
+      } else {
+        try {
+          const choice = await strategy(completed.map(({ peerId, response, latency }) => ({ peerId, response, latency })));
+          winner = completed.find(r => r.peerId === choice);
+          if (!winner) {
+            throw new Error(`Judge chose ${choice}, which gave no response`);
+          }
+        } catch (error) {
+          // A broken judge should not waste the responses already paid for
+          [winner] = this.groupResponses(completed, similarityThreshold)[0];
+          this.log.warn('Fan-out judge failed, using the largest group', { correlationId: fanOutId, peerId: winner.peerId, error });
+          span.setAttribute('fanout.judge_failed', true);
+        }
+      }
+      return winner;
+    });
+    
+    try {
+      const winner = await outcome;
+      // Late responses only vote while the fan-out is undecided
+      this.stopFanOut(fanOutId, 'Fan-out settled');
+      const completed = results.filter(r => r.status === 'completed');
+      completed.forEach(result => {
+        result.agrees = EnhancedP2PManager.responseSimilarity(result.response, winner.response) >= similarityThreshold;
+      });
+      const agreement = completed.filter(r => r.agrees).length / completed.length;
+      this.reportFanOutTrust(fanOutId, results);
+      
+      span.setAttribute('fanout.completed', completed.length)
+        .setAttribute('fanout.agreement', agreement)
+        .setAttribute('peer.target', winner.peerId)
+        .end();
+      this.log.info('Fan-out settled', { correlationId: fanOutId, peerId: winner.peerId, agreement, completed: completed.length });
+      return { response: winner.response, peerId: winner.peerId, strategy: strategyName, agreement, results };
+    } catch (error) {
+      this.stopFanOut(fanOutId, 'Fan-out failed');
+      span.recordError(error).end();
+      throw error;
+    }
+  }
+
+  /**
+   * One peer's delegation within a fan-out; records the outcome in `result`
+   * instead of throwing
+   * @param {string} prompt - The prompt
+   * @param {object} result - Entry of the fan-out's results for this peer
+   * @param {object} options - delegatePrompt options
+   */
+  async runFanOutBranch(prompt, result, options) {
+    const { peerId, taskId } = result;
+    const started = Date.now();
+    try {
+      if (!this.connections.has(peerId)) {
+        try {
+          await this.connectToPeer(peerId, { correlationId: taskId, parent: options.parent });
+          await this.waitForDataChannel(peerId, this.failover.connectTimeout);
+        } catch (connectError) {
+          // delegatePrompt still tries the server relay
+          this.log.warn('Could not reach fan-out peer', { peerId, correlationId: taskId, error: connectError });
+        }
+      }
+      if (result.status !== 'pending') return; // Settled while we were connecting
+      const response = await this.delegatePrompt(prompt, peerId, { ...options, taskId });
+      if (result.status !== 'pending') return;
+      Object.assign(result, {
+        status: 'completed',
+        response,
+        latency: Date.now() - started,
+        cost: options.estimatedCost || 10 // What sendDelegation reserved; only completed work stays charged
+      });
+    } catch (error) {
+      if (result.status !== 'pending') return;
+      Object.assign(result, {
+        status: error instanceof TaskCancelledError ? 'cancelled' : 'failed',
+        error: error.message,
+        latency: Date.now() - started
+      });
+    }
+  }
+
+  /**
+   * Cancel what is still running of a fan-out and forget it
+   * @param {string} fanOutId - Fan-out ID
+   * @param {string} reason - Cancellation reason sent to the workers
+   */
+  stopFanOut(fanOutId, reason) {
+    const fanOut = this.fanOuts.get(fanOutId);
+    if (!fanOut) return;
+    this.fanOuts.delete(fanOutId);
+    fanOut.results.filter(result => result.status === 'pending').forEach(result => {
+      result.status = 'cancelled';
+      result.error = reason;
+      this.cancel(result.taskId, reason);
+    });
+  }
+
+  /**
+   * Feed a settled fan-out into the SecurityManager: peers agreeing with the
+   * chosen response gain trust, peers that disagreed or failed lose it
+   * @param {string} fanOutId - Fan-out ID
+   * @param {object[]} results - Per-peer results with `agrees` set
+   */
+  reportFanOutTrust(fanOutId, results) {
+    if (!this.securityManager) return;
+    results.forEach(({ peerId, taskId, status, agrees, latency }) => {
+      const details = { taskId, fanOutId, latency };
+      if (status === 'completed' && agrees) {
+        this.securityManager.reportSuccessfulInteraction(peerId, details);
+      } else if (status === 'completed') {
+        this.securityManager.reportFailedInteraction(peerId, 'consensus_disagreement', details);
+      } else if (status === 'failed') {
+        this.securityManager.reportFailedInteraction(peerId, 'delegation_failed', details);
+      }
+    });
+  }
+
+  /**
+   * Group responses that agree: each joins the first group whose first member
+   * is at least `threshold` similar
+   * @param {object[]} results - Completed fan-out results, earliest first
+   * @param {number} threshold - Similarity at which responses agree
+   * @returns {object[][]} - Groups, largest first
+   */
+  groupResponses(results, threshold) {
+    const groups = [];
+    for (const result of results) {
+      const group = groups.find(([first]) => EnhancedP2PManager.responseSimilarity(first.response, result.response) >= threshold);
+      if (group) {
+        group.push(result);
+      } else {
+        groups.push([result]);
+      }
+    }
+    return groups.sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Word overlap of two responses (Jaccard index of their lowercased words)
+   * @param {string} a - Response
+   * @param {string} b - Response
+   * @returns {number} - 1 for the same words, 0 for none in common
+   */
+  static responseSimilarity(a, b) {
+    const words = text => new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 && right.size === 0) return 1;
+    let shared = 0;
+    left.forEach(word => {
+      if (right.has(word)) shared++;
+    });
+    return shared / (left.size + right.size - shared);
+  }
+
+  /**
+   * Cancel a delegated task: the worker's handler is aborted through its
+   * AbortSignal, transfers stop, quota is released on both sides and the
+   * pending delegatePrompt promise rejects with a TaskCancelledError
+   * @param {string} taskId - Task ID, or a fan-out ID to cancel all of a delegateFanOut
+   * @param {string} [reason='Cancelled by requester'] - Passed to the worker
+   * @returns {boolean} - False when the task is unknown or already settled
+   */
+  cancel(taskId, reason = 'Cancelled by requester') {
+    const fanOut = this.fanOuts.get(taskId);
+    if (fanOut) {
+      fanOut.abort(new TaskCancelledError(taskId, reason)); // delegateFanOut cancels every delegation
+      return true;
+    }
+    
+    const taskHandler = this.eventHandlers.get(`task-${taskId}`);
+    if (!taskHandler) return false;
+    
+    const { peerId } = taskHandler;
+    const error = new TaskCancelledError(taskId, reason);
+    if (taskHandler.controller) {
+      taskHandler.controller.abort(error); // Failed over to this peer (see runTaskLocally)
+    } else {
+      this.cancelTransfers(peerId, taskId, error);
+      this.sendProtected(peerId, { type: 'prompt-cancel', taskId, reason }).catch(sendError => {
+        // The worker's own timeout and quota bookkeeping still apply
+        this.log.warn('Could not deliver cancellation', { peerId, correlationId: taskId, error: sendError });
+      });
+    }
+    this.rejectTask(taskId, error);
+    
+    this.log.info('Task cancelled', { peerId, correlationId: taskId, reason });
+    this.triggerEvent('task-cancelled', { taskId, peerId, reason, initiator: 'local' });
+    return true;
+  }
+
+  /**
+   * Settle a pending delegation with an error
+   * @param {string} taskId - Task ID
+   * @param {Error} error - Rejection reason
+   */
+  rejectTask(taskId, error) {
+    const taskHandler = this.eventHandlers.get(`task-${taskId}`);
+    if (!taskHandler) return;
+    clearTimeout(taskHandler.timeout);
+    this.eventHandlers.delete(`task-${taskId}`);
+    taskHandler.reject(error);
+  }
+
+  /**
+   * Give back the peer quota a delegation held, unless the work was done
+   * @param {string} taskId - Task ID
+   * @param {'completed'|'failed'|'cancelled'} status - How the delegation ended
+   */
+  releasePeerQuota(taskId, status) {
+    if (this.quotaMonitor) {
+      this.quotaMonitor.releasePeerQuota(taskId, { status });
+    }
+  }
+
+  /**
+   * Handle a requester's prompt-cancel: abort the running handler and stop
+   * sending its response
+   * @param {object} message - prompt-cancel frame
+   * @param {string} senderId - Requester peer ID
+   */
+  handlePromptCancel(message, senderId) {
+    const { taskId } = message;
+    const reason = message.reason || 'Cancelled by requester';
+    const error = new TaskCancelledError(taskId, reason);
+    
+    // Attachments still arriving for the task will not be claimed
+    this.incomingAttachments.forEach((entry, key) => {
+      if (key.startsWith(`${senderId}:${taskId}:`)) {
+        clearTimeout(entry.timer);
+        this.incomingAttachments.delete(key);
+      }
+    });
+    this.cancelTransfers(senderId, taskId, error);
+    
+    const task = this.activeTasks.get(`${senderId}:${taskId}`);
+    if (!task) return;
+    task.controller.abort(error);
+    this.log.info('Task cancelled by requester', { peerId: senderId, correlationId: taskId, reason });
+    this.triggerEvent('task-cancelled', { taskId, peerId: senderId, reason, initiator: 'remote' });
+  }
+
+  /**
+   * Stop the outgoing transfers (response text and attachments) of a task
+   * @param {string} peerId - Peer receiving them
+   * @param {string} taskId - Task ID
+   * @param {Error} error - Rejection reason for the transfers
+   */
+  cancelTransfers(peerId, taskId, error) {
+    this.outgoingTransfers.forEach((transfer, key) => {
+      if (key === `${peerId}:${taskId}` || key.startsWith(`${peerId}:${taskId}:`)) {
+        transfer.cancel(error);
+      }
+    });
+  }
+
+  /**
+   * Handle incoming prompt from another peer
+   * @param {object} message - Incoming prompt message
+   * @param {string} senderId - Sender peer ID
+   */
+  async handleIncomingPrompt(message, senderId) {
+    const { taskId, prompt } = message;
+    this.log.info('Received prompt', { peerId: senderId, correlationId: taskId, promptLength: prompt.length });
+    const span = this.tracer.startSpan('p2p.handlePrompt', {
+      parent: message.traceparent,
+      kind: Tracer.SPAN_KIND.server,
+      attributes: { 'peer.requester': senderId, 'helios.task_id': taskId, 'prompt.length': prompt.length }
+    });
+    
+    const key = `${senderId}:${taskId}`;
+    if (this.activeTasks.has(key)) {
+      // Task IDs are stable across failover attempts; the running handler answers
+      this.log.debug('Ignoring duplicate delegation', { peerId: senderId, correlationId: taskId, attempt: message.attempt });
+      span.setAttribute('helios.duplicate', true).end();
+      return;
+    }
+    const task = { controller: new AbortController(), reservationId: null };
+    const { signal } = task.controller;
+    this.activeTasks.set(key, task);
+    let status = 'completed';
+    let stream = null;
+    let release = null;
+    
+    try {
+      // The requester's timeout, counted from arrival, bounds the wait for a slot
+      release = await this.scheduler.acquire({
+        priority: Number.isFinite(message.priority) ? message.priority : 1,
+        deadline: Date.now() + (message.timeout || 30000),
+        signal,
+        context: { taskId, senderId }
+      });
+      if (this.quotaMonitor) {
+        try {
+          task.reservationId = this.quotaMonitor.reserveQuota({
+            estimatedCost: message.estimatedCost || 10,
+            priority: message.priority,
+            taskId,
+            requester: senderId
+          });
+        } catch (error) {
+          // A free slot does not mean quota or rate limits allow the task; the requester can move on
+          throw new TaskRejectedError('busy', error.message);
+        }
+      }
+      const attachments = await this.claimAttachments(senderId, taskId, message.attachments);
+      // Generated text goes out while the backend is still producing the rest
+      stream = this.openResponseStream(taskId, senderId, { parent: span.traceparent() });
+      const result = await this.processPrompt(prompt, {
+        attachments,
+        taskId,
+        senderId,
+        signal,
+        model: message.model,
+        onToken: text => stream.write(text)
+      });
+      signal.throwIfAborted(); // Handlers that ignore the signal still must not answer
+      const response = typeof result === 'string' ? { text: result } : result;
+      
+      await stream.end(response.text, { attachments: response.attachments, limits: message.attachmentLimits });
+      
+    } catch (error) {
+      if (stream) stream.cancel(error);
+      if (signal.aborted) {
+        status = 'cancelled'; // The requester already gave up; nothing to report back
+        span.setAttribute('helios.cancelled', true);
+      } else if (error instanceof TaskRejectedError) {
+        status = 'rejected'; // Never started, so nothing was reserved
+        this.log.warn('Turned away incoming prompt', { peerId: senderId, correlationId: taskId, reason: error.code });
+        span.setAttribute('helios.rejected', error.code);
+        this.sendErrorResponse(taskId, error.message, senderId, span.traceparent(), error.code);
+      } else {
+        status = 'failed';
+        this.log.error('Failed to process incoming prompt', { peerId: senderId, correlationId: taskId, error });
+        span.recordError(error);
+        this.sendErrorResponse(taskId, error.message, senderId, span.traceparent());
+      }
+    } finally {
+      if (release) release();
+      this.activeTasks.delete(key);
+      if (task.reservationId) {
+        this.quotaMonitor.releaseQuota(task.reservationId, { status });
+      }
+      span.end();
+    }
+  }
+
+  /**
+   * Send a complete response back to the requester
+   * @param {string} taskId - Task ID
+   * @param {string} response - Full response
+   * @param {string} targetPeerId - Target peer ID
+   * @param {object} [options]
+   * @param {string} [options.parent] - traceparent of the span handling the prompt
+   * @param {object[]} [options.attachments] - Files to return, sent before the final chunk
+   * @param {object} [options.limits] - Attachment limits the requester sent with the prompt
+   */
+  async sendStreamingResponse(taskId, response, targetPeerId, options = {}) {
+    const stream = this.openResponseStream(taskId, targetPeerId, { parent: options.parent });
+    await stream.end(response, { attachments: options.attachments, limits: options.limits });
+  }
+
+  /**
+   * Start a response whose text is sent as it is written (see ResponseStream)
+   * @param {string} taskId - Task ID
+   * @param {string} targetPeerId - Requester peer ID
+   * @param {object} [options]
+   * @param {string} [options.parent] - traceparent of the span handling the prompt
+   * @returns {{write: function(string): void, end: function(string, object): Promise<void>, cancel: function(Error): void}} -
+   *   `end(text, {attachments, limits})` sends whatever of `text` was not written yet, then the
+   *   attachments, then the final chunk, and resolves once the requester acknowledged everything
+   */
+  openResponseStream(taskId, targetPeerId, options = {}) {
+    const span = this.tracer.startSpan('p2p.sendStreamingResponse', {
+      parent: options.parent,
+      kind: Tracer.SPAN_KIND.producer,
+      attributes: { 'peer.target': targetPeerId, 'helios.task_id': taskId }
+    });
+    const transfer = new OutgoingTransfer([], {
+      ...this.transferOptions,
+      open: true,
+      send: frame => this.sendToPeer(targetPeerId, frame),
+      waitForCapacity: () => this.waitForChannelCapacity(targetPeerId)
+    });
+    const key = `${targetPeerId}:${taskId}`;
+    this.outgoingTransfers.set(key, transfer);
+    transfer.start().catch(() => {}); // Failures surface through end()
+    const stream = new ResponseStream(taskId, transfer, {
+      chunkSize: this.transferOptions.chunkSize,
+      flushInterval: this.transferOptions.streamFlushInterval,
+      traceparent: span.traceparent(),
+      seal: frame => this.protect(targetPeerId, frame)
+    });
+    
+    const fail = (error) => {
+      stream.cancel(error);
+      this.outgoingTransfers.delete(key);
+      span.recordError(error).end();
+    };
+    
+    return {
+      write: text => stream.write(text),
+      cancel: fail,
+      end: async (text, { attachments, limits } = {}) => {
+        let stats;
+        try {
+          if (!text.startsWith(stream.text)) {
+            throw new Error('Response differs from the text already streamed');
+          }
+          stream.write(text.slice(stream.text.length));
+          let descriptors;
+          if (attachments && attachments.length > 0) {
+            descriptors = await this.sendAttachments(targetPeerId, taskId, attachments, {
+              limits,
+              traceparent: span.traceparent()
+            });
+            span.setAttribute('attachments.count', descriptors.length);
+          }
+          stats = await stream.end({ attachments: descriptors });
+        } catch (error) {
+          fail(error);
+          throw error;
+        }
+        this.outgoingTransfers.delete(key);
+        span.setAttribute('response.length', text.length)
+          .setAttribute('response.chunks', stats.chunks)
+          .setAttribute('transfer.retransmits', stats.retransmits)
+          .end();
+        this.log.info('Sent streaming response', { peerId: targetPeerId, correlationId: taskId, ...stats });
+      }
+    };
+  }
+
+  /**
+   * Send attachments one after another as reliable chunked transfers, emitting
+   * 'attachment-progress' events as chunks are acknowledged
+   * @param {string} peerId - Receiving peer
+   * @param {string} taskId - Task the attachments belong to
+   * @param {object[]} attachments - {data: ArrayBuffer|ArrayBufferView|Blob, name, mimeType, metadata}
+   * @param {object} options
+   * @param {object} [options.limits] - {maxBytes, maxCount} the receiver announced
+   * @param {string} [options.traceparent] - Trace context stamped on every frame
+   * @returns {Promise<object[]>} - Descriptors {id, name, mimeType, size, metadata} for the task frame
+   */
+  async sendAttachments(peerId, taskId, attachments, { limits, traceparent }) {
+    const normalized = await Promise.all(attachments.map(attachment => ChunkedTransfer.normalizeAttachment(attachment)));
+    ChunkedTransfer.checkLimits(normalized, limits, peerId);
+    
+    for (const attachment of normalized) {
+      const frames = await Promise.all((await ChunkedTransfer.createAttachmentFrames(taskId, attachment, {
+        chunkSize: this.transferOptions.attachmentChunkSize,
+        traceparent
+      })).map(frame => this.protect(peerId, frame)));
+      const transfer = new OutgoingTransfer(frames, {
+        ...this.transferOptions,
+        send: frame => this.sendToPeer(peerId, frame),
+        waitForCapacity: () => this.waitForChannelCapacity(peerId),
+        onProgress: (acknowledged, total) => this.triggerEvent('attachment-progress', {
+          taskId,
+          attachmentId: attachment.id,
+          name: attachment.name,
+          direction: 'upload',
+          bytes: Math.round(attachment.size * acknowledged / total),
+          totalBytes: attachment.size
+        })
+      });
+      const key = `${peerId}:${taskId}:${attachment.id}`;
+      this.outgoingTransfers.set(key, transfer);
+      try {
+        await transfer.start();
+      } finally {
+        this.outgoingTransfers.delete(key);
+      }
+      this.log.info('Sent attachment', { peerId, correlationId: taskId, name: attachment.name, size: attachment.size });
+    }
+    
+    return normalized.map(({ bytes: _bytes, ...descriptor }) => descriptor);
+  }
+
+  /**
+   * Store one chunk of an attachment, refusing attachments over our limits and
+   * senders that send more chunks or bytes than the attachment's declared size
+   * @param {object} message - attachment-chunk frame
+   * @param {string} senderId - Sender peer ID
+   */
+  async handleAttachmentChunk(message, senderId) {
+    const { taskId, attachmentId, seq, chunk } = message;
+    const key = `${senderId}:${taskId}:${attachmentId}`;
+    let entry = this.incomingAttachments.get(key);
+    
+    if (!entry) {
+      const pending = Array.from(this.incomingAttachments.keys()).filter(k => k.startsWith(`${senderId}:${taskId}:`)).length;
+      entry = {
+        transfer: new IncomingTransfer(message.totalChunks, message.contentHash),
+        size: message.size,
+        received: 0, // Decoded bytes of the chunks stored or being checked
+        refused: false,
+        complete: false,
+        // Dropped if no task frame claims it in time
+        timer: setTimeout(() => this.incomingAttachments.delete(key), this.transferOptions.attachmentTimeout)
+      };
+      this.incomingAttachments.set(key, entry);
+      
+      const refusal = this.checkAttachmentFrame(message, pending);
+      if (refusal) {
+        this.refuseAttachment(entry, message, senderId, refusal);
+      }
+    }
+    if (entry.refused) return; // Unacknowledged, so the sender gives up
+    
+    // Counted before the hash check, so chunks arriving together cannot overrun the size either
+    const stored = entry.transfer.chunks.has(seq);
+    const bytes = typeof chunk === 'string' ? ChunkedTransfer.decodedLength(chunk) : 0;
+    if (!stored) {
+      if (entry.received + bytes > entry.size) {
+        this.refuseAttachment(entry, message, senderId, `Attachment sent more than its declared ${entry.size} bytes`);
+        return;
+      }
+      entry.received += bytes;
+    }
+    
+    const result = await entry.transfer.accept(message);
+    if (!stored && result.status !== 'ok') entry.received -= bytes;
+    if (entry.refused) return; // Refused while this chunk was being checked
+    if (result.status === 'invalid') {
+      this.log.warn('Dropped malformed attachment chunk', { peerId: senderId, correlationId: taskId, seq });
+      return;
+    }
+    if (result.complete) entry.complete = true;
+    this.sendTransferControl(senderId, {
+      type: result.status === 'corrupt' ? 'chunk-nack' : 'chunk-ack',
+      taskId,
+      attachmentId,
+      seq
+    });
+    
+    if (result.status === 'ok') {
+      this.triggerEvent('attachment-progress', {
+        taskId,
+        attachmentId,
+        direction: 'download',
+        bytes: Math.round(entry.size * entry.transfer.chunks.size / entry.transfer.totalChunks),
+        totalBytes: entry.size
+      });
+    }
+  }
+
+  /**
+   * Check the first chunk of an attachment against our limits
+   * @param {object} message - attachment-chunk frame
+   * @param {number} pending - Attachments of the same task already buffered
+   * @returns {string|null} - Why the attachment is refused, or null
+   */
+  checkAttachmentFrame(message, pending) {
+    const { size, chunkSize, totalChunks } = message;
+    if (!Number.isInteger(size) || size < 0 || size > this.attachmentLimits.maxBytes) {
+      return `Attachment exceeds the ${this.attachmentLimits.maxBytes} byte limit`;
+    }
+    if (pending >= this.attachmentLimits.maxCount) {
+      return `At most ${this.attachmentLimits.maxCount} attachments are accepted`;
+    }
+    // Chunks hold a multiple of 3 bytes, so their base64 concatenates (see createAttachmentFrames)
+    if (!Number.isInteger(chunkSize) || chunkSize < 3 || chunkSize % 3 !== 0 ||
+        !Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > Math.max(1, Math.ceil(size / chunkSize))) {
+      return `Attachment of ${size} bytes cannot have ${totalChunks} chunks`;
+    }
+    return null;
+  }
+
+  /**
+   * Stop receiving an attachment and tell the sender; what arrived so far is dropped
+   * @param {object} entry - Entry of incomingAttachments
+   * @param {object} message - attachment-chunk frame that caused the refusal
+   * @param {string} senderId - Sender peer ID
+   * @param {string} reason - Sent to the sender as a prompt-error
+   */
+  refuseAttachment(entry, message, senderId, reason) {
+    entry.refused = true;
+    entry.transfer.chunks.clear();
+    this.log.warn('Refused attachment', { peerId: senderId, correlationId: message.taskId, size: message.size, reason });
+    this.sendErrorResponse(message.taskId, reason, senderId);
+  }
+
+  /**
+   * Take the attachments a task frame lists out of the receive buffer
+   * @param {string} senderId - Sender peer ID
+   * @param {string} taskId - Task ID
+   * @param {object[]} [descriptors] - Descriptors from the prompt-delegation or prompt-response frame
+   * @returns {Promise<object[]>} - {id, name, mimeType, size, metadata, data: ArrayBuffer}
+   */
+  async claimAttachments(senderId, taskId, descriptors = []) {
+    const attachments = [];
+    for (const descriptor of descriptors) {
+      const key = `${senderId}:${taskId}:${descriptor.id}`;
+      const entry = this.incomingAttachments.get(key);
+      if (!entry || !entry.complete || entry.size !== descriptor.size) {
+        throw new Error(`Attachment ${descriptor.name} was not received`);
+      }
+      clearTimeout(entry.timer);
+      this.incomingAttachments.delete(key);
+      
+      const bytes = ChunkedTransfer.fromBase64(await entry.transfer.assemble());
+      attachments.push({ ...descriptor, data: bytes.buffer });
+    }
+    return attachments;
+  }
+
+  /**
+   * Resolve once a peer's data channel has drained below the high-water mark;
+   * frames going through the server relay are paced by the transfer window alone
+   * @param {string} peerId - Peer ID
+   * @returns {Promise<void>} - Resolves when another frame may be sent
+   */
+  waitForChannelCapacity(peerId) {
+    const channel = this.dataChannels.get(peerId);
+    if (!channel || channel.readyState !== 'open' || channel.bufferedAmount <= this.transferOptions.highWaterMark) {
+      return Promise.resolve();
+    }
+    
+    channel.bufferedAmountLowThreshold = this.transferOptions.lowWaterMark;
+    return new Promise(resolve => {
+      // A closing channel releases the sender too; the next send falls back or fails
+      const done = () => {
+        channel.removeEventListener('bufferedamountlow', done);
+        channel.removeEventListener('close', done);
+        resolve();
+      };
+      channel.addEventListener('bufferedamountlow', done);
+      channel.addEventListener('close', done);
+    });
+  }
+
+  /**
+   * Answer a prompt with the first available backend in aiBackends that serves the requested model
+   * @param {string} prompt - Prompt to process
+   * @param {object} [context] - {attachments: [{id, name, mimeType, size, metadata, data: ArrayBuffer}], taskId,
+   *   senderId, signal, model, onToken}; `signal` aborts with a TaskCancelledError when the requester
+   *   cancels, and `onToken` takes each piece of text as it is generated (overrides may skip it and
+   *   only return the text)
+   * @returns {Promise<string|{text: string, attachments: object[]}>} - Response, optionally with
+   *   attachments to return ({data: ArrayBuffer|Blob, name, mimeType, metadata})
+   */
+  async processPrompt(prompt, { attachments, taskId, signal, model, onToken } = {}) {
+    const backend = await this.aiBackends.select(model);
+    if (!backend) {
+      throw new Error(model ? `No AI backend available for model ${model}` : 'No AI backend available');
+    }
+    this.log.debug('Processing prompt', { correlationId: taskId, backend: backend.name, model });
+    
+    let text = '';
+    for await (const piece of backend.stream(prompt, { model, signal, attachments })) {
+      text += piece;
+      if (onToken) onToken(piece);
+    }
+    return text;
+  }
+
+  /**
+   * Send error response
+   * @param {string} taskId - Task ID
+   * @param {string} errorMessage - Error message
+   * @param {string} targetPeerId - Target peer ID
+   * @param {string} [traceparent] - Trace context of the failed handling
+   * @param {string} [code] - 'busy' or 'expired' when the task was never started (see TaskScheduler)
+   */
+  async sendErrorResponse(taskId, errorMessage, targetPeerId, traceparent, code) {
+    const message = {
+      type: 'prompt-error',
+      taskId,
+      error: errorMessage,
+      code,
+      timestamp: Date.now(),
+      traceparent
+    };
+    
+    try {
+      await this.sendProtected(targetPeerId, message);
+    } catch (error) {
+      this.log.warn('Could not report task error', { peerId: targetPeerId, correlationId: taskId, error });
+    }
+  }
+
+  /**
+   * Tell a requester where its prompt waits in our queue
+   * @param {object} context - {taskId, senderId} of the queued prompt
+   * @param {number} position - 1-based queue position
+   * @param {number} queueLength - Prompts waiting
+   */
+  sendQueuePosition({ taskId, senderId }, position, queueLength) {
+    try {
+      this.sendToPeer(senderId, { type: 'prompt-queued', taskId, position, queueLength, timestamp: Date.now() });
     } catch (error) {
-      console.error(`[P2P] Failed to delegate prompt:`, error);
-      throw error;
+      this.log.debug('Could not send queue position', { peerId: senderId, correlationId: taskId, error });
     }
   }
 
   /**
-   * Handle incoming prompt from another peer
-   * @param {object} message - Incoming prompt message
-   * @param {string} senderId - Sender peer ID
+   * Seal a task frame for a peer we share a SecureChannel with. Without one the
+   * frame goes out as is, unless e2e.required.
+   * @param {string} peerId - Receiving peer
+   * @param {object} frame - Task frame
+   * @returns {Promise<object>} - Frame to send
    */
-  async handleIncomingPrompt(message, senderId) {
-    const { taskId, prompt } = message;
-    console.log(`[P2P] Received prompt from ${senderId}:`, { taskId, prompt: prompt.substring(0, 50) + '...' });
-    
-    try {
-      // Simulate AI processing (replace with actual AI integration)
-      const response = await this.processPrompt(prompt);
-      
-      // Send response back in chunks
-      await this.sendStreamingResponse(taskId, response, senderId);
-      
-    } catch (error) {
-      console.error('[P2P] Failed to process incoming prompt:', error);
-      this.sendErrorResponse(taskId, error.message, senderId);
+  async protect(peerId, frame) {
+    const channel = this.secureChannels.get(peerId);
+    if (channel) return channel.seal(frame);
+    if (this.e2e.required) {
+      throw new Error(`No end-to-end keys for peer ${peerId}`);
     }
+    return frame;
   }
 
   /**
-   * Send streaming response back to requester
-   * @param {string} taskId - Task ID
-   * @param {string} response - Full response
-   * @param {string} targetPeerId - Target peer ID
+   * sendToPeer for frames with task content, sealed by protect()
+   * @param {string} peerId - Target peer ID
+   * @param {object} frame - prompt-delegation, prompt-error or prompt-cancel frame
+   * @returns {Promise<string>} - Path used: 'datachannel' or 'server-relay'
+   */
+  async sendProtected(peerId, frame) {
+    return this.sendToPeer(peerId, await this.protect(peerId, frame));
+  }
+
+  /**
+   * Our keys for the offer/answer, so the other peer can open a SecureChannel
+   * @returns {Promise<object|undefined>} - {publicKey, encryptionKey, signature}; undefined for
+   *   anonymous sessions, whose peer ID is not bound to a key
+   */
+  async createKeyAnnouncement() {
+    if (!this.identity || !this.authenticated) return undefined;
+    return this.identity.createKeyAnnouncement();
+  }
+
+  /**
+   * Derive the SecureChannel to a peer from the keys in its offer or answer
+   * @param {string} peerId - Peer ID
+   * @param {object} [keys] - Keys the peer announced
    */
-  async sendStreamingResponse(taskId, response, targetPeerId) {
-    const dataChannel = this.dataChannels.get(targetPeerId);
-    if (!dataChannel || dataChannel.readyState !== 'open') {
-      throw new Error(`No active data channel to peer ${targetPeerId}`);
+  async establishSecureChannel(peerId, keys) {
+    if (keys && this.identity && this.authenticated) {
+      this.secureChannels.set(peerId, await SecureChannel.establish(this.identity, peerId, keys));
+      return;
     }
-    
-    const chunkSize = 1000; // Send in 1KB chunks
-    const chunks = [];
-    
-    for (let i = 0; i < response.length; i += chunkSize) {
-      chunks.push(response.substring(i, i + chunkSize));
+    if (this.e2e.required) {
+      throw new Error(`Peer ${peerId} did not announce end-to-end keys`);
     }
-    
-    // Send chunks
-    for (let i = 0; i < chunks.length; i++) {
-      const message = {
-        type: 'prompt-response',
-        taskId,
-        chunk: chunks[i],
-        chunkIndex: i,
-        totalChunks: chunks.length,
-        isComplete: i === chunks.length - 1,
-        metadata: {
-          timestamp: Date.now(),
-          size: chunks[i].length
-        }
-      };
-      
-      dataChannel.send(JSON.stringify(message));
-      
-      // Small delay between chunks to prevent overwhelming
-      if (i < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 10));
-      }
+    this.secureChannels.delete(peerId);
+  }
+
+  /**
+   * Open a sealed task frame and handle what it contains; frames that fail
+   * verification are dropped, so the sender's retransmission or timeout applies
+   * @param {object} message - Frame with `sealed`
+   * @param {string} senderId - Sender peer ID
+   */
+  async openSealedMessage(message, senderId) {
+    const channel = this.secureChannels.get(senderId);
+    try {
+      if (!channel) throw new Error('No end-to-end keys for sender');
+      this.dispatchTaskFrame(await channel.open(message), senderId);
+    } catch (error) {
+      this.log.warn('Dropped sealed frame', { peerId: senderId, correlationId: message.taskId, type: message.type, error });
     }
-    
-    console.log(`[P2P] Sent streaming response for task ${taskId} in ${chunks.length} chunks`);
   }
 
   /**
-   * Process prompt (placeholder for AI integration)
-   * @param {string} prompt - Prompt to process
-   * @returns {Promise<string>} - Response
+   * Send a task frame over the data channel, or through the signaling server
+   * relay when no channel is open
+   * @param {string} peerId - Target peer ID
+   * @param {object} message - Task frame: prompt-delegation, prompt-response, prompt-error, prompt-cancel,
+   *   prompt-queued, attachment-chunk, chunk-ack or chunk-nack
+   * @returns {string} - Path used: 'datachannel' or 'server-relay'
    */
-  async processPrompt(prompt) {
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+  sendToPeer(peerId, message) {
+    const dataChannel = this.dataChannels.get(peerId);
+    if (dataChannel && dataChannel.readyState === 'open') {
+      dataChannel.send(JSON.stringify(message));
+      return 'datachannel';
+    }
     
-    // Generate mock response
-    const responses = [
-      `Based on your query "${prompt}", here are some key insights: AI technology continues to evolve rapidly, offering new opportunities for automation and enhancement across various industries.`,
-      `Regarding "${prompt}": This is an interesting question that touches on several important aspects of modern technology and its applications in real-world scenarios.`,
-      `Your question about "${prompt}" highlights important considerations. The field is constantly evolving with new developments and methodologies being introduced regularly.`
-    ];
+    if (!this.canUseServerRelay()) {
+      throw new Error(`No active data channel to peer ${peerId}`);
+    }
     
-    return responses[Math.floor(Math.random() * responses.length)];
+    this.sendSignalingMessage({
+      type: 'relay',
+      targetPeerId: peerId,
+      payload: message
+    });
+    return 'server-relay';
   }
 
   /**
-   * Send error response
-   * @param {string} taskId - Task ID
-   * @param {string} errorMessage - Error message
-   * @param {string} targetPeerId - Target peer ID
+   * Whether task frames can fall back to the signaling server relay
+   * @returns {boolean} - True when consented and the signaling socket is open
    */
-  sendErrorResponse(taskId, errorMessage, targetPeerId) {
-    const dataChannel = this.dataChannels.get(targetPeerId);
-    if (!dataChannel || dataChannel.readyState !== 'open') return;
-    
-    const message = {
-      type: 'prompt-error',
-      taskId,
-      error: errorMessage,
-      timestamp: Date.now()
-    };
-    
-    dataChannel.send(JSON.stringify(message));
+  canUseServerRelay() {
+    return this.allowServerRelay && this.authenticated &&
+      Boolean(this.ws) && this.ws.readyState === WebSocket.OPEN;
   }
 
   /**
    * Setup message handlers for different message types
    */
   setupMessageHandlers() {
+    this.messageHandlers.set('auth-challenge', async (message) => {
+      try {
+        let response;
+        if (this.identity) {
+          // Signed identities resume their previous session automatically
+          response = await this.identity.createAuthResponse(message.nonce);
+        } else if (this.peerId && this.resumeToken) {
+          response = { type: 'resume', peerId: this.peerId, resumeToken: this.resumeToken };
+        } else {
+          response = { type: 'authenticate', anonymous: true };
+        }
+        this.sendSignalingMessage(response);
+      } catch (error) {
+        this.log.error('Failed to answer auth challenge', { error });
+        this.sendSignalingMessage({ type: 'authenticate', anonymous: true });
+      }
+    });
+    
     this.messageHandlers.set('peer-id', (message) => {
+      const previousPeerId = this.peerId;
       this.peerId = message.peerId;
-      console.log(`[P2P] Assigned peer ID: ${this.peerId}`);
+      this.resumeToken = message.resumeToken || null;
+      this.authenticated = Boolean(message.authenticated);
+      this.room = message.room || null;
+      this.log.info('Assigned peer ID', {
+        peerId: this.peerId,
+        room: this.room,
+        authenticated: this.authenticated,
+        resumed: Boolean(message.resumed)
+      });
+      
+      if (message.resumed) {
+        this.triggerEvent('session-resumed', { peerId: this.peerId, room: this.room });
+      } else if (previousPeerId && previousPeerId !== this.peerId) {
+        // Resume window missed: the server sees us as a brand-new peer
+        this.triggerEvent('session-reset', { previousPeerId, peerId: this.peerId });
+      }
+      
+      // Peer connections survived the signaling outage
+      this.updateConnectionState(this.dataChannels.size > 0 ? 'p2p-connected' : 'connected');
+      this.refreshIceServers();
+      if (this.allowServerRelay && this.authenticated) {
+        this.sendSignalingMessage({ type: 'relay-consent', allow: true });
+      }
+      if (this.signaling) {
+        if (this.signaling.established) {
+          this.restoreSignalingState();
+        }
+        this.signaling.established = true;
+      }
+      if (this.pendingConnect) {
+        this.pendingConnect.resolve();
+        this.pendingConnect = null;
+      }
+    });
+    
+    this.messageHandlers.set('ice-servers', (message) => {
+      const { iceServers, relayAvailable, expiresAt } = message;
+      this.rtcConfig = { ...this.rtcConfig, iceServers };
+      this.relayAvailable = Boolean(relayAvailable);
+      this.iceServersExpireAt = expiresAt;
+      this.log.info('Received ICE servers', { entries: iceServers.length, relayAvailable: this.relayAvailable });
+      this.pendingIceServers.splice(0).forEach(resolve => resolve());
+    });
+    
+    this.messageHandlers.set('relay', (message) => {
+      // Relayed frames are handled exactly like data channel messages
+      this.handleDataChannelMessage(message.payload, message.fromPeerId);
+    });
+    
+    this.messageHandlers.set('relay-consent-updated', (message) => {
+      this.log.info('Server relay consent updated', { allow: message.allow });
+    });
+
+    // The server is shutting down; it closes the socket with 1012 once in-flight negotiations finish
+    this.messageHandlers.set('server-draining', (message) => {
+      const { deadline, reconnectIn, reconnectUrl } = message;
+      this.drainHint = { deadline, reconnectIn, reconnectUrl };
+      this.log.info('Signaling server draining', { reconnectIn, reconnectUrl });
+      this.triggerEvent('server-draining', this.drainHint);
+    });
+
+    this.messageHandlers.set('task-report-recorded', (message) => {
+      this.log.info('Task outcome reported', {
+        peerId: message.targetPeerId,
+        correlationId: message.taskId,
+        reputation: message.reputation
+      });
+    });
+    
+    this.messageHandlers.set('room-joined', (message) => {
+      const { room, previousRoom } = message;
+      if (room !== this.room) {
+        // Peers known from the previous room are no longer reachable
+        this.peers.clear();
+      }
+      this.room = room;
+      this.log.info('Joined room', { room, previousRoom });
+      this.triggerEvent('room-joined', { room, previousRoom, peers: message.peers });
+    });
+    
+    this.messageHandlers.set('room-left', (message) => {
+      this.log.info('Left room', { room: message.room });
+      this.triggerEvent('room-left', { room: message.room, currentRoom: message.currentRoom });
+    });
+    
+    this.messageHandlers.set('rooms-list', (message) => {
+      this.triggerEvent('rooms-list', message.rooms);
     });
     
     this.messageHandlers.set('peer-capability-update', (message) => {
       const { peerId, capabilities } = message;
-      this.peers.set(peerId, { ...capabilities, peerId });
-      console.log(`[P2P] Updated capabilities for peer ${peerId}`);
+      this.rememberPeer(peerId, capabilities);
+      this.log.debug('Updated peer capabilities', { peerId, capabilities: StructuredLogger.summarizeCapabilities(capabilities) });
       this.triggerEvent('peer-capability-update', { peerId, capabilities });
     });
     
     this.messageHandlers.set('peers-discovered', (message) => {
       const { peers } = message;
-      console.log(`[P2P] Discovered ${peers.length} peers`);
+      // Kept so delegations can check e.g. the attachment limits a peer announced
+      peers.forEach(peer => this.rememberPeer(peer.peerId, peer.capabilities));
+      this.log.info('Discovered peers', { count: peers.length });
       this.triggerEvent('peers-discovered', peers);
     });
     
+    this.messageHandlers.set('discovery-subscribed', (message) => {
+      const { subscriptionId, peers } = message;
+      peers.forEach(peer => this.rememberPeer(peer.peerId, peer.capabilities));
+      this.log.info('Discovery subscription active', { subscriptionId, matches: peers.length });
+      this.triggerEvent('discovery-subscribed', { subscriptionId, peers });
+    });
+    
+    this.messageHandlers.set('peer-matched', (message) => {
+      const { subscriptionId, peer } = message;
+      this.rememberPeer(peer.peerId, peer.capabilities);
+      this.triggerEvent('peer-matched', { subscriptionId, peer });
+    });
+    
+    this.messageHandlers.set('peer-unmatched', (message) => {
+      const { subscriptionId, peerId } = message;
+      this.triggerEvent('peer-unmatched', { subscriptionId, peerId });
+    });
+    
+    this.messageHandlers.set('discovery-unsubscribed', (message) => {
+      this.triggerEvent('discovery-unsubscribed', { subscriptionId: message.subscriptionId });
+    });
+    
     this.messageHandlers.set('offer', async (message) => {
       await this.handleOffer(message);
     });
@@ -346,10 +1841,44 @@ class EnhancedP2PManager {
     });
     
     this.messageHandlers.set('error', (message) => {
-      console.error('[P2P] Signaling error:', message.error);
+      this.log.error('Signaling error', { ...message.error, correlationId: message.error && message.error.taskId });
+      if (this.isRelayFailure(message.error)) {
+        this.failoverTask(message.error.taskId, new Error(message.error.message));
+      }
+      if (message.error && message.error.code === 'rate-limit') {
+        // retryAfter is in milliseconds; null when the request can never fit the budget
+        this.triggerEvent('rate-limited', { retryAfter: message.error.retryAfter, scope: message.error.scope });
+      }
     });
   }
 
+  /**
+   * Whether a signaling error means the relay could not deliver a frame of a
+   * task to the peer currently working on it. Task report errors carry the
+   * taskId too, but concern an attempt that already ended.
+   * @param {object} [error] - error of a signaling 'error' message
+   */
+  isRelayFailure(error) {
+    if (!error || !error.taskId) return false;
+    const relayCode = EnhancedP2PManager.RELAY_FAILURE_CODES.has(error.code) ||
+      (error.code === 'rate-limit' && error.scope === 'relay');
+    const taskHandler = this.eventHandlers.get(`task-${error.taskId}`);
+    return relayCode && Boolean(taskHandler) && taskHandler.peerId === error.targetPeerId;
+  }
+
+  /**
+   * Keep the capabilities a peer announced: delegations check its attachment
+   * limits, and failover picks from the quota it reported
+   * @param {string} peerId - Peer ID
+   * @param {object} capabilities - Announced capabilities
+   */
+  rememberPeer(peerId, capabilities = {}) {
+    this.peers.set(peerId, { ...capabilities, peerId });
+    if (this.quotaMonitor && capabilities.quota) {
+      this.quotaMonitor.updatePeerQuota(peerId, { ...capabilities.quota, performance: capabilities.performance });
+    }
+  }
+
   /**
    * Handle signaling messages
    * @param {object} message - Signaling message
@@ -359,7 +1888,7 @@ class EnhancedP2PManager {
     if (handler) {
       handler(message);
     } else {
-      console.warn('[P2P] Unknown signaling message type:', message.type);
+      this.log.warn('Unknown signaling message type', { type: message.type });
     }
   }
 
@@ -368,12 +1897,27 @@ class EnhancedP2PManager {
    * @param {object} message - Offer message
    */
   async handleOffer(message) {
-    const { fromPeerId, sdp } = message;
-    console.log(`[P2P] Received offer from ${fromPeerId}`);
+    const { fromPeerId, sdp, correlationId } = message;
+    this.log.info('Received offer', { peerId: fromPeerId, correlationId });
+    const span = this.tracer.startSpan('p2p.acceptConnection', {
+      parent: message.traceparent,
+      kind: Tracer.SPAN_KIND.server,
+      attributes: { 'peer.requester': fromPeerId, 'helios.correlation_id': correlationId }
+    });
     
     try {
-      const pc = new RTCPeerConnection(this.rtcConfig);
+      // Keys that do not belong to fromPeerId end the negotiation here
+      await this.establishSecureChannel(fromPeerId, message.keys);
+      
+      // A repeated offer is the other side retrying (e.g. over the relay); it replaces the old path
+      const previous = this.connections.get(fromPeerId);
+      if (previous) {
+        previous.close();
+      }
+      
+      const pc = new RTCPeerConnection(await this.getRtcConfig());
       this.connections.set(fromPeerId, pc);
+      this.trackTransport(fromPeerId, { initiator: false, relayOnly: false, correlationId, span });
       this.setupPeerConnection(pc, fromPeerId);
       
       await pc.setRemoteDescription(sdp);
@@ -383,11 +1927,15 @@ class EnhancedP2PManager {
       this.sendSignalingMessage({
         type: 'answer',
         targetPeerId: fromPeerId,
-        sdp: answer
+        sdp: answer,
+        keys: await this.createKeyAnnouncement(),
+        correlationId,
+        traceparent: span.traceparent()
       });
       
     } catch (error) {
-      console.error(`[P2P] Failed to handle offer from ${fromPeerId}:`, error);
+      this.log.error('Failed to handle offer', { peerId: fromPeerId, correlationId, error });
+      span.recordError(error).end();
     }
   }
 
@@ -396,16 +1944,24 @@ class EnhancedP2PManager {
    * @param {object} message - Answer message
    */
   async handleAnswer(message) {
-    const { fromPeerId, sdp } = message;
-    console.log(`[P2P] Received answer from ${fromPeerId}`);
+    const { fromPeerId, sdp, correlationId } = message;
+    this.log.info('Received answer', { peerId: fromPeerId, correlationId });
     
     try {
       const pc = this.connections.get(fromPeerId);
       if (pc) {
+        // Before the data channel can open, so no task frame goes out unsealed
+        try {
+          await this.establishSecureChannel(fromPeerId, message.keys);
+        } catch (error) {
+          this.log.error('Rejected end-to-end keys', { peerId: fromPeerId, correlationId, error });
+          this.handlePeerDisconnect(fromPeerId);
+          return;
+        }
         await pc.setRemoteDescription(sdp);
       }
     } catch (error) {
-      console.error(`[P2P] Failed to handle answer from ${fromPeerId}:`, error);
+      this.log.error('Failed to handle answer', { peerId: fromPeerId, correlationId, error });
     }
   }
 
@@ -422,7 +1978,7 @@ class EnhancedP2PManager {
         await pc.addIceCandidate(candidate);
       }
     } catch (error) {
-      console.error(`[P2P] Failed to add ICE candidate from ${fromPeerId}:`, error);
+      this.log.warn('Failed to add ICE candidate', { peerId: fromPeerId, correlationId: message.correlationId, error });
     }
   }
 
@@ -437,18 +1993,30 @@ class EnhancedP2PManager {
         this.sendSignalingMessage({
           type: 'ice-candidate',
           targetPeerId: peerId,
-          candidate: event.candidate
+          candidate: event.candidate,
+          correlationId: this.correlationFor(peerId),
+          traceparent: this.traceparentFor(peerId)
         });
       }
     };
     
     pc.onconnectionstatechange = () => {
-      console.log(`[P2P] Connection state with ${peerId}: ${pc.connectionState}`);
+      this.log.info('Peer connection state changed', { peerId, state: pc.connectionState, correlationId: this.correlationFor(peerId) });
+      const transport = this.transports.get(peerId);
+      if (!transport || this.connections.get(peerId) !== pc) return; // Superseded by a newer connection
       
       if (pc.connectionState === 'connected') {
+        clearTimeout(transport.recoveryTimer);
         this.updateConnectionState('p2p-connected');
+        this.detectTransport(peerId, pc);
+      } else if (pc.connectionState === 'failed' && transport.initiator) {
+        this.recoverPeerConnection(peerId, pc);
       } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-        this.handlePeerDisconnect(peerId);
+        // 'disconnected' often heals by itself, and a failed answerer waits for the offerer's relay retry
+        clearTimeout(transport.recoveryTimer);
+        transport.recoveryTimer = setTimeout(() => {
+          this.recoverPeerConnection(peerId, pc);
+        }, this.recoveryGracePeriod);
       }
     };
     
@@ -459,6 +2027,166 @@ class EnhancedP2PManager {
     };
   }
 
+  /**
+   * Build an RTCPeerConnection configuration, refreshing expired TURN credentials first
+   * @param {boolean} [relayOnly] - Restrict ICE to relay candidates
+   * @returns {Promise<object>} - RTCConfiguration
+   */
+  async getRtcConfig(relayOnly = false) {
+    if (this.iceServersExpireAt && this.iceServersExpireAt - Date.now() < 60000) {
+      await this.refreshIceServers();
+    }
+    return {
+      ...this.rtcConfig,
+      iceTransportPolicy: relayOnly ? 'relay' : 'all'
+    };
+  }
+
+  /**
+   * Ask the signaling server for current STUN/TURN servers
+   * @returns {Promise<void>} - Settles on the reply, or after 5s with the current list
+   */
+  refreshIceServers() {
+    return new Promise(resolve => {
+      const timeout = setTimeout(resolve, 5000);
+      this.pendingIceServers.push(() => {
+        clearTimeout(timeout);
+        resolve();
+      });
+      this.sendSignalingMessage({ type: 'get-ice-servers' });
+    });
+  }
+
+  /**
+   * Start tracking which transport carries a peer connection
+   * @param {string} peerId - Peer ID
+   * @param {object} details - {initiator, relayOnly, correlationId, parent, span}
+   */
+  trackTransport(peerId, { initiator, relayOnly, correlationId = null, parent = null, span = null }) {
+    this.untrackTransport(peerId);
+    this.transports.set(peerId, {
+      initiator,
+      relayOnly,
+      correlationId, // Task that caused this negotiation, echoed in its signaling and logs
+      parent, // traceparent a relay retry continues from
+      span, // Negotiation span, open until the data channel is
+      type: 'connecting',
+      recoveryTimer: null
+    });
+  }
+
+  /**
+   * Trace context of the negotiation in progress with a peer
+   * @param {string} peerId - Peer ID
+   * @returns {string|undefined} - traceparent, while the negotiation span is open
+   */
+  traceparentFor(peerId) {
+    const transport = this.transports.get(peerId);
+    return (transport && transport.span && transport.span.traceparent()) || undefined;
+  }
+
+  /**
+   * End a peer's negotiation span, if still open
+   * @param {string} peerId - Peer ID
+   * @param {Error} [error] - Why the negotiation was abandoned
+   */
+  endNegotiationSpan(peerId, error) {
+    const transport = this.transports.get(peerId);
+    if (!transport || !transport.span) return;
+    if (error) transport.span.recordError(error);
+    transport.span.end();
+    transport.span = null;
+  }
+
+  /**
+   * Correlation ID of the negotiation in progress with a peer
+   * @param {string} peerId - Peer ID
+   * @returns {string|undefined} - Correlation ID, if the negotiation carried one
+   */
+  correlationFor(peerId) {
+    const transport = this.transports.get(peerId);
+    return (transport && transport.correlationId) || undefined;
+  }
+
+  /**
+   * Stop tracking a peer's transport
+   * @param {string} peerId - Peer ID
+   */
+  untrackTransport(peerId) {
+    const transport = this.transports.get(peerId);
+    if (transport) {
+      clearTimeout(transport.recoveryTimer);
+      this.endNegotiationSpan(peerId, new Error('Negotiation abandoned before the data channel opened'));
+      this.transports.delete(peerId);
+    }
+  }
+
+  /**
+   * Recover a connection whose path broke: the offering side retries once over
+   * TURN, anything else is treated as a disconnect
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} pc - Connection that broke
+   */
+  recoverPeerConnection(peerId, pc) {
+    if (this.connections.get(peerId) !== pc || pc.connectionState === 'connected') {
+      return; // Replaced or healed in the meantime
+    }
+    
+    const transport = this.transports.get(peerId);
+    if (!transport || !transport.initiator || transport.relayOnly || !this.relayAvailable) {
+      this.handlePeerDisconnect(peerId);
+      return;
+    }
+    
+    const { correlationId, parent } = transport;
+    this.log.warn('Direct path failed, retrying through TURN relay', { peerId, correlationId });
+    pc.close();
+    this.connections.delete(peerId);
+    this.dataChannels.delete(peerId);
+    this.triggerEvent('transport-fallback', { peerId, transport: 'relay' });
+    
+    this.connectToPeer(peerId, { relayOnly: true, correlationId, parent }).catch(error => {
+      this.log.error('Relay fallback failed', { peerId, correlationId, error });
+      this.handlePeerDisconnect(peerId);
+    });
+  }
+
+  /**
+   * Inspect the selected ICE candidate pair to tell direct from relayed paths
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} pc - Connected peer connection
+   */
+  async detectTransport(peerId, pc) {
+    let type;
+    try {
+      const stats = await pc.getStats();
+      let pair = null;
+      stats.forEach(report => {
+        if (report.type === 'transport' && report.selectedCandidatePairId) {
+          pair = stats.get(report.selectedCandidatePairId);
+        }
+      });
+      if (!pair) {
+        // Firefox exposes the selection on the candidate pair itself
+        stats.forEach(report => {
+          if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+            pair = report;
+          }
+        });
+      }
+      const candidates = pair ? [stats.get(pair.localCandidateId), stats.get(pair.remoteCandidateId)] : [];
+      type = candidates.some(candidate => candidate && candidate.candidateType === 'relay') ? 'relay' : 'direct';
+    } catch (error) {
+      this.log.warn('Could not read ICE stats', { peerId, error });
+    }
+    
+    const transport = this.transports.get(peerId);
+    if (!transport || this.connections.get(peerId) !== pc) return;
+    transport.type = type || (transport.relayOnly ? 'relay' : 'direct');
+    this.log.info('Peer connected', { peerId, transport: transport.type, correlationId: transport.correlationId || undefined });
+    this.triggerEvent('transport-change', { peerId, transport: transport.type });
+  }
+
   /**
    * Setup data channel event handlers
    * @param {RTCDataChannel} dataChannel - Data channel
@@ -466,12 +2194,13 @@ class EnhancedP2PManager {
    */
   setupDataChannel(dataChannel, peerId) {
     dataChannel.onopen = () => {
-      console.log(`[P2P] Data channel opened with ${peerId}`);
+      this.log.info('Data channel opened', { peerId, correlationId: this.correlationFor(peerId) });
+      this.endNegotiationSpan(peerId);
       this.updateConnectionState('p2p-connected');
     };
     
     dataChannel.onclose = () => {
-      console.log(`[P2P] Data channel closed with ${peerId}`);
+      this.log.info('Data channel closed', { peerId });
     };
     
     dataChannel.onmessage = (event) => {
@@ -479,21 +2208,39 @@ class EnhancedP2PManager {
         const message = JSON.parse(event.data);
         this.handleDataChannelMessage(message, peerId);
       } catch (error) {
-        console.error(`[P2P] Failed to parse data channel message from ${peerId}:`, error);
+        this.log.error('Failed to parse data channel message', { peerId, error });
       }
     };
     
     dataChannel.onerror = (error) => {
-      console.error(`[P2P] Data channel error with ${peerId}:`, error);
+      this.log.error('Data channel error', { peerId, error });
     };
   }
 
   /**
    * Handle data channel messages
    * @param {object} message - Data channel message
-   * @param {string} _senderId - Sender peer ID
+   * @param {string} senderId - Sender peer ID
    */
   handleDataChannelMessage(message, senderId) {
+    if (message.sealed) {
+      this.openSealedMessage(message, senderId);
+      return;
+    }
+    if (SecureChannel.SEALED_TYPES.has(message.type) && (this.secureChannels.has(senderId) || this.e2e.required)) {
+      // Anyone on the path, the relay included, could have written it
+      this.log.warn('Dropped unsealed task frame', { peerId: senderId, correlationId: message.taskId, type: message.type });
+      return;
+    }
+    this.dispatchTaskFrame(message, senderId);
+  }
+
+  /**
+   * Route a task frame, opened if it was sealed, to its handler
+   * @param {object} message - Task frame
+   * @param {string} senderId - Sender peer ID
+   */
+  dispatchTaskFrame(message, senderId) {
     switch (message.type) {
       case 'prompt-delegation':
         this.handleIncomingPrompt(message, senderId);
@@ -504,40 +2251,120 @@ class EnhancedP2PManager {
       case 'prompt-error':
         this.handlePromptError(message, senderId);
         break;
+      case 'prompt-cancel':
+        this.handlePromptCancel(message, senderId);
+        break;
+      case 'prompt-queued':
+        this.handlePromptQueued(message, senderId);
+        break;
+      case 'attachment-chunk':
+        this.handleAttachmentChunk(message, senderId);
+        break;
+      case 'chunk-ack':
+      case 'chunk-nack':
+        this.handleChunkAck(message, senderId);
+        break;
       default:
-        console.warn(`[P2P] Unknown data channel message type: ${message.type}`);
+        this.log.warn('Unknown data channel message type', { peerId: senderId, type: message.type });
     }
   }
 
   /**
-   * Handle streaming prompt response
+   * Handle one chunk of a streaming prompt response: verify it, acknowledge it,
+   * and emit chunks in sequence order as gaps fill
    * @param {object} message - Response message
    * @param {string} senderId - Sender peer ID
    */
-  handlePromptResponse(message, senderId) {
-    const { taskId, chunk, isComplete } = message;
+  async handlePromptResponse(message, senderId) {
+    const { taskId, seq } = message;
     
-    // Get task handler
     const taskHandler = this.eventHandlers.get(`task-${taskId}`);
-    if (!taskHandler) return;
+    if (!taskHandler || taskHandler.peerId !== senderId) {
+      // Retransmission of a task already settled (our ack was lost), or from a peer it failed over from
+      if (Number.isInteger(seq)) this.sendTransferControl(senderId, { type: 'chunk-ack', taskId, seq });
+      return;
+    }
     
-    // Initialize response buffer if needed
-    if (!taskHandler.responseBuffer) {
-      taskHandler.responseBuffer = '';
+    if (!taskHandler.transfer) {
+      taskHandler.transfer = new IncomingTransfer(message.totalChunks, message.contentHash, {
+        maxChunks: this.transferOptions.maxResponseChunks,
+        maxLength: this.transferOptions.maxResponseLength
+      });
+    }
+    const { transfer } = taskHandler;
+    const result = await transfer.accept(message);
+    if (result.status === 'invalid') {
+      this.log.warn('Dropped malformed response chunk', { peerId: senderId, correlationId: taskId, seq });
+      return;
     }
+    if (result.status === 'too-large') {
+      if (taskHandler.transfer === transfer) { // Not failed over by an earlier chunk meanwhile
+        const { maxResponseChunks, maxResponseLength } = this.transferOptions;
+        this.failoverTask(taskId, new Error(`Response exceeds ${maxResponseChunks} chunks or ${maxResponseLength} characters`));
+      }
+      return;
+    }
+    this.sendTransferControl(senderId, { type: result.status === 'corrupt' ? 'chunk-nack' : 'chunk-ack', taskId, seq });
     
-    // Append chunk
-    taskHandler.responseBuffer += chunk;
+    result.delivered.forEach(chunk => {
+      this.triggerEvent('response-chunk', {
+        taskId,
+        chunk,
+        senderId,
+        attempt: taskHandler.attempt,
+        verified: this.secureChannels.has(senderId) // Sealed and signed by senderId
+      });
+    });
     
-    // Trigger chunk event
-    this.triggerEvent('response-chunk', { taskId, chunk, senderId });
+    if (!result.complete || this.eventHandlers.get(`task-${taskId}`) !== taskHandler) return;
+    clearTimeout(taskHandler.timeout);
+    this.eventHandlers.delete(`task-${taskId}`);
     
-    if (isComplete) {
-      // Clear timeout and resolve
-      clearTimeout(taskHandler.timeout);
-      taskHandler.resolve(taskHandler.responseBuffer);
-      this.eventHandlers.delete(`task-${taskId}`);
-      this.updateConnectionState('p2p-connected');
+    try {
+      const response = await taskHandler.transfer.assemble();
+      const attachments = await this.claimAttachments(senderId, taskId, taskHandler.transfer.attachments);
+      attachments.forEach(attachment => {
+        this.triggerEvent('response-attachment', { taskId, attachment, senderId });
+      });
+      taskHandler.resolve(response);
+      this.reportTaskOutcome(taskHandler.peerId, taskId, 'completed');
+    } catch (error) {
+      this.log.error('Discarded response', { peerId: senderId, correlationId: taskId, error });
+      taskHandler.reject(error);
+      this.reportTaskOutcome(taskHandler.peerId, taskId, 'failed');
+    }
+    this.updateConnectionState('p2p-connected');
+  }
+
+  /**
+   * Route a requester's acknowledgement to the transfer it belongs to
+   * @param {object} message - chunk-ack or chunk-nack frame
+   * @param {string} senderId - Requester peer ID
+   */
+  handleChunkAck(message, senderId) {
+    const key = message.attachmentId
+      ? `${senderId}:${message.taskId}:${message.attachmentId}`
+      : `${senderId}:${message.taskId}`;
+    const transfer = this.outgoingTransfers.get(key);
+    if (!transfer) return;
+    if (message.type === 'chunk-nack') {
+      this.log.debug('Retransmitting corrupt chunk', { peerId: senderId, correlationId: message.taskId, seq: message.seq });
+      transfer.handleNack(message.seq);
+    } else {
+      transfer.handleAck(message.seq);
+    }
+  }
+
+  /**
+   * Send an acknowledgement frame; a lost ack only costs a retransmission
+   * @param {string} peerId - Sender of the response
+   * @param {object} frame - chunk-ack or chunk-nack frame
+   */
+  sendTransferControl(peerId, frame) {
+    try {
+      this.sendToPeer(peerId, frame);
+    } catch (error) {
+      this.log.warn('Could not acknowledge response chunk', { peerId, correlationId: frame.taskId, seq: frame.seq, error });
     }
   }
 
@@ -549,20 +2376,58 @@ class EnhancedP2PManager {
   handlePromptError(message, senderId) {
     const { taskId, error } = message;
     
+    // e.g. the worker refused an attachment we are still uploading
+    this.cancelTransfers(senderId, taskId, new Error(error));
+    
     const taskHandler = this.eventHandlers.get(`task-${taskId}`);
-    if (taskHandler) {
+    if (taskHandler && taskHandler.peerId === senderId && (message.code === 'busy' || message.code === 'expired')) {
+      // The worker never started the task; another peer may have room
+      this.failoverTask(taskId, new Error(error));
+    } else if (taskHandler && taskHandler.peerId === senderId) {
       clearTimeout(taskHandler.timeout);
       taskHandler.reject(new Error(error));
       this.eventHandlers.delete(`task-${taskId}`);
+      this.reportTaskOutcome(taskHandler.peerId, taskId, 'failed');
     }
   }
 
+  /**
+   * Report a worker's queue position for one of our delegations as a 'task-queued' event
+   * @param {object} message - prompt-queued frame
+   * @param {string} senderId - Worker peer ID
+   */
+  handlePromptQueued(message, senderId) {
+    const { taskId, position, queueLength } = message;
+    const taskHandler = this.eventHandlers.get(`task-${taskId}`);
+    if (!taskHandler || taskHandler.peerId !== senderId) return;
+    
+    this.log.debug('Task queued by worker', { peerId: senderId, correlationId: taskId, position, queueLength });
+    this.triggerEvent('task-queued', { taskId, peerId: senderId, position, queueLength, attempt: taskHandler.attempt });
+  }
+
+  /**
+   * Tell the signaling server how a delegated task went, feeding the worker's
+   * reputation in discovery ranking. Only authenticated identities may report.
+   * @param {string} peerId - Peer the task was delegated to
+   * @param {string} taskId - Task ID
+   * @param {'completed'|'failed'} outcome - Task outcome
+   */
+  reportTaskOutcome(peerId, taskId, outcome) {
+    if (!this.authenticated || !peerId) return;
+    this.sendSignalingMessage({
+      type: 'task-report',
+      targetPeerId: peerId,
+      taskId,
+      outcome
+    });
+  }
+
   /**
    * Handle peer disconnection
    * @param {string} peerId - Peer ID
    */
   handlePeerDisconnect(peerId) {
-    console.log(`[P2P] Peer ${peerId} disconnected`);
+    this.log.info('Peer disconnected', { peerId });
     
     // Clean up connections
     const pc = this.connections.get(peerId);
@@ -570,9 +2435,21 @@ class EnhancedP2PManager {
       pc.close();
       this.connections.delete(peerId);
     }
+    this.untrackTransport(peerId);
     
     this.dataChannels.delete(peerId);
+    this.secureChannels.delete(peerId);
     this.peers.delete(peerId);
+    if (this.quotaMonitor) {
+      this.quotaMonitor.removePeerQuota(peerId);
+    }
+    
+    // Delegations in flight to the peer move on instead of waiting for their timeout
+    this.eventHandlers.forEach((handler, key) => {
+      if (key.startsWith('task-') && handler.peerId === peerId) {
+        this.failoverTask(key.slice('task-'.length), new Error(`Peer ${peerId} disconnected`));
+      }
+    });
     
     this.triggerEvent('peer-disconnected', { peerId });
     
@@ -600,7 +2477,7 @@ class EnhancedP2PManager {
     if (this.connectionState !== newState) {
       const oldState = this.connectionState;
       this.connectionState = newState;
-      console.log(`[P2P] Connection state: ${oldState} -> ${newState}`);
+      this.log.debug('Connection state changed', { from: oldState, to: newState });
       this.triggerEvent('connection-state-change', { oldState, newState });
     }
   }
@@ -629,7 +2506,7 @@ class EnhancedP2PManager {
         try {
           handler(data);
         } catch (error) {
-          console.error(`[P2P] Event handler error for ${event}:`, error);
+          this.log.error('Event handler error', { event, error });
         }
       });
     }
@@ -650,8 +2527,15 @@ class EnhancedP2PManager {
   getConnectionInfo() {
     return {
       peerId: this.peerId,
+      authenticated: this.authenticated,
+      room: this.room,
       connectionState: this.connectionState,
       connectedPeers: Array.from(this.connections.keys()),
+      relayAvailable: this.relayAvailable,
+      serverRelay: this.canUseServerRelay(),
+      // Per peer: 'connecting', 'direct' or 'relay'
+      transports: Object.fromEntries(Array.from(this.transports.entries(), ([peerId, transport]) => [peerId, transport.type])),
+      scheduler: this.scheduler.getStatus(), // Incoming prompts running and queued
       availablePeers: Array.from(this.peers.keys()),
       peerCount: this.peers.size
     };
@@ -661,33 +2545,68 @@ class EnhancedP2PManager {
    * Disconnect from all peers and signaling server
    */
   disconnect() {
-    console.log('[P2P] Disconnecting from all peers and signaling server');
+    this.log.info('Disconnecting from all peers and signaling server');
     
     // Close all peer connections
-    for (const [_peerId, pc] of this.connections.entries()) {
+    for (const pc of this.connections.values()) {
       pc.close();
     }
     
-    // Close signaling connection
+    // Close signaling connection; a normal closure tells the server not to hold the session
+    this.signaling = null; // Nothing to reconnect
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
     if (this.ws) {
-      this.ws.close();
+      this.ws.close(1000, 'Client disconnect');
     }
+    this.resumeToken = null;
+    this.lastCapabilities = null;
+    this.discoverySubscriptions.clear();
     
     // Clear state
+    this.outgoingTransfers.forEach(transfer => transfer.cancel(new Error('Disconnected')));
+    this.outgoingTransfers.clear();
+    this.incomingAttachments.forEach(entry => clearTimeout(entry.timer));
+    this.incomingAttachments.clear();
+    this.activeTasks.forEach(task => task.controller.abort(new Error('Disconnected')));
+    // Pending delegations settle now: with the handlers gone their timeouts could not fail them over
+    this.fanOuts.forEach(fanOut => fanOut.abort(new Error('Disconnected')));
+    this.fanOuts.clear();
+    Array.from(this.eventHandlers.entries()).forEach(([key, taskHandler]) => {
+      if (!key.startsWith('task-') || Array.isArray(taskHandler)) return; // Listeners of e.g. 'task-failover'
+      if (taskHandler.controller) taskHandler.controller.abort(new Error('Disconnected')); // Running locally
+      this.rejectTask(key.slice('task-'.length), new Error('Disconnected'));
+    });
+    for (const peerId of Array.from(this.transports.keys())) {
+      this.untrackTransport(peerId);
+    }
     this.connections.clear();
     this.dataChannels.clear();
     this.peers.clear();
     this.eventHandlers.clear();
     this.updateConnectionState('disconnected');
+    this.tracer.flush();
   }
 }
 
+// Signaling close codes after which reconnecting cannot help: normal closure, invalid room,
+// authentication failure, ban, session taken over by another connection, removed by an admin
+EnhancedP2PManager.FINAL_CLOSE_CODES = new Set([1000, 1008, 4401, 4403, 4409, 4410]);
+
+// Signaling error codes with which the server turns away a relayed task frame
+EnhancedP2PManager.RELAY_FAILURE_CODES = new Set(['peer-not-found', 'relay-consent-required', 'relay-refused']);
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = EnhancedP2PManager;
+  module.exports.TaskCancelledError = TaskCancelledError;
+  module.exports.ConsensusError = ConsensusError;
 }
 
 // Global assignment for script tag usage
 if (typeof window !== 'undefined') {
   window.EnhancedP2PManager = EnhancedP2PManager;
+  window.TaskCancelledError = TaskCancelledError;
+  window.ConsensusError = ConsensusError;
 }
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * Peer Identity backed by a long-lived ECDSA P-256 keypair
+ * The private key is generated non-extractable and persisted in IndexedDB,
+ * so the derived peer ID stays stable across reconnects and page reloads.
+ * A second, ECDH keypair stored alongside it is what peers derive their
+ * end-to-end keys from (see secure-channel.js).
+ */
+class PeerIdentity {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'helios-p2p-identity';
+    this.storeName = 'keys';
+    this.keyName = options.keyName || 'signing-key';
+    this.encryptionKeyName = options.encryptionKeyName || 'encryption-key';
+    this.keyPair = null;
+    this.publicKeyJwk = null;
+    this.encryptionKeyPair = null;
+    this.encryptionKeyJwk = null;
+    this.peerId = null;
+    this.log = options.logger || new StructuredLogger('identity');
+  }
+
+  /**
+   * Load the stored keypair or create one on first use
+   * @returns {Promise<PeerIdentity>} - This identity, ready to sign
+   */
+  async load() {
+    if (this.keyPair) {
+      return this;
+    }
+
+    let keyPair = await this.readStoredKeyPair();
+    if (!keyPair) {
+      keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false, // Private key never leaves the browser key store
+        ['sign', 'verify']
+      );
+      await this.writeStoredKeyPair(keyPair);
+      this.log.info('Generated new peer keypair');
+    }
+
+    let encryptionKeyPair = await this.readStoredKeyPair(this.encryptionKeyName);
+    if (!encryptionKeyPair) {
+      encryptionKeyPair = await crypto.subtle.generateKey(
+        { name: 'ECDH', namedCurve: 'P-256' },
+        false,
+        ['deriveBits']
+      );
+      await this.writeStoredKeyPair(encryptionKeyPair, this.encryptionKeyName);
+    }
+
+    this.keyPair = keyPair;
+    this.encryptionKeyPair = encryptionKeyPair;
+    this.publicKeyJwk = await PeerIdentity.exportPublicKey(keyPair.publicKey);
+    this.encryptionKeyJwk = await PeerIdentity.exportPublicKey(encryptionKeyPair.publicKey);
+    this.peerId = await PeerIdentity.fingerprint(this.publicKeyJwk);
+
+    return this;
+  }
+
+  /**
+   * Keys sent with an offer or answer: the identity key, and the encryption
+   * key signed by it so the signaling server cannot substitute its own
+   * @returns {Promise<object>} - {publicKey, encryptionKey, signature}
+   */
+  async createKeyAnnouncement() {
+    await this.load();
+    return {
+      publicKey: this.publicKeyJwk,
+      encryptionKey: this.encryptionKeyJwk,
+      signature: await this.sign(PeerIdentity.keyBindingText(this.encryptionKeyJwk))
+    };
+  }
+
+  /**
+   * Derive the AES-GCM key shared with a peer: ECDH, then HKDF-SHA-256
+   * @param {object} peerEncryptionKey - The peer's ECDH public key (JWK)
+   * @param {string} info - Context both sides use, e.g. the sorted peer IDs
+   * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM 256 key
+   */
+  async deriveSharedKey(peerEncryptionKey, info) {
+    await this.load();
+    const publicKey = await crypto.subtle.importKey('jwk', peerEncryptionKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, this.encryptionKeyPair.privateKey, 256);
+    const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(`helios-e2e:${info}`) },
+      hkdfKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Answer a signaling server auth challenge
+   * @param {string} nonce - Challenge nonce from the server
+   * @returns {Promise<object>} - 'authenticate' message payload
+   */
+  async createAuthResponse(nonce) {
+    await this.load();
+    const signature = await this.sign(`helios-signaling-auth:${nonce}`);
+
+    return {
+      type: 'authenticate',
+      publicKey: this.publicKeyJwk,
+      signature
+    };
+  }
+
+  /**
+   * Sign text with the identity key
+   * @param {string} text - Data to sign
+   * @returns {Promise<string>} - base64url encoded IEEE P1363 signature
+   */
+  async sign(text) {
+    await this.load();
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      this.keyPair.privateKey,
+      new TextEncoder().encode(text)
+    );
+    return PeerIdentity.toBase64Url(signature);
+  }
+
+  /**
+   * Check a signature made with sign()
+   * @param {object} publicKey - Signer's identity key (JWK)
+   * @param {string} text - Signed data
+   * @param {string} signature - base64url signature
+   * @returns {Promise<boolean>} - Whether it verifies
+   */
+  static async verify(publicKey, text, signature) {
+    const key = await crypto.subtle.importKey('jwk', publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    try {
+      return await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        key,
+        PeerIdentity.fromBase64Url(signature),
+        new TextEncoder().encode(text)
+      );
+    } catch {
+      return false; // Malformed signature
+    }
+  }
+
+  /**
+   * Text an identity signs to vouch for its encryption key
+   * @param {object} jwk - ECDH public key
+   * @returns {string} - Signed text
+   */
+  static keyBindingText(jwk) {
+    return `helios-e2e-key:${JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y })}`;
+  }
+
+  /**
+   * @param {CryptoKey} publicKey - EC public key
+   * @returns {Promise<object>} - {kty, crv, x, y}
+   */
+  static async exportPublicKey(publicKey) {
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', publicKey);
+    return { kty, crv, x, y };
+  }
+
+  /**
+   * RFC 7638 JWK thumbprint, matching the server-side peer ID derivation
+   * @param {object} jwk - EC public key
+   * @returns {Promise<string>} - base64url SHA-256 thumbprint
+   */
+  static async fingerprint(jwk) {
+    const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+    return PeerIdentity.toBase64Url(digest);
+  }
+
+  /**
+   * Encode bytes as unpadded base64url
+   * @param {ArrayBuffer} buffer - Raw bytes
+   * @returns {string} - base64url string
+   */
+  static toBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode unpadded base64url
+   * @param {string} text - base64url string
+   * @returns {Uint8Array} - Raw bytes
+   */
+  static fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Open the IndexedDB key store
+   * @returns {Promise<IDBDatabase>} - Database handle
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Read a persisted keypair
+   * @param {string} [name] - Store key; the signing key by default
+   * @returns {Promise<CryptoKeyPair|null>} - Stored keypair or null
+   */
+  async readStoredKeyPair(name = this.keyName) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly')
+        .objectStore(this.storeName)
+        .get(name);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Persist a keypair (CryptoKey objects are structured-cloneable)
+   * @param {CryptoKeyPair} keyPair - Keypair to store
+   * @param {string} [name] - Store key; the signing key by default
+   */
+  async writeStoredKeyPair(keyPair, name = this.keyName) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      tx.objectStore(this.storeName).put(keyPair, name);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PeerIdentity;
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.PeerIdentity = PeerIdentity;
+}
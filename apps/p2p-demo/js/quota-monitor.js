@@ -4,6 +4,7 @@
  */
 class QuotaMonitor {
   constructor(options = {}) {
+    this.log = options.logger || new StructuredLogger('quota');
     this.localQuota = {
       totalQuota: options.totalQuota || 1000,
       usedQuota: 0,
@@ -21,6 +22,7 @@ class QuotaMonitor {
     this.peerQuotas = new Map(); // Map<peerId, QuotaStatus>
     this.requestHistory = []; // Array of request timestamps
     this.activeRequests = new Set(); // Set of active request IDs
+    this.delegations = new Map(); // Map<taskId, {peerId, cost}> held against peer quotas
     this.quotaEventHandlers = new Map();
     
     // Start quota monitoring
@@ -52,7 +54,7 @@ class QuotaMonitor {
     
     this.peerQuotas.set(peerId, updatedQuota);
     
-    console.log(`[Quota] Updated quota for peer ${peerId}:`, updatedQuota);
+    this.log.debug('Updated peer quota', { peerId, availableQuota: updatedQuota.availableQuota });
     
     // Trigger quota update event
     this.triggerQuotaEvent('peer-quota-update', { peerId, quota: updatedQuota, previous: existingQuota });
@@ -140,7 +142,7 @@ class QuotaMonitor {
       ...requestInfo
     });
     
-    console.log(`[Quota] Reserved quota for request ${reservationId}, cost: ${cost}, remaining: ${this.localQuota.availableQuota}`);
+    this.log.info('Reserved quota', { reservationId, cost, availableQuota: this.localQuota.availableQuota });
     
     // Trigger quota change event
     this.triggerQuotaEvent('quota-reserved', { reservationId, cost, remaining: this.localQuota.availableQuota });
@@ -156,7 +158,7 @@ class QuotaMonitor {
   releaseQuota(reservationId, completionInfo = {}) {
     const request = this.requestHistory.find(r => r.id === reservationId);
     if (!request) {
-      console.warn(`[Quota] Reservation ${reservationId} not found`);
+      this.log.warn('Reservation not found', { reservationId });
       return;
     }
     
@@ -168,14 +170,19 @@ class QuotaMonitor {
     // Remove from active requests
     this.activeRequests.delete(reservationId);
     
-    // Adjust quota if actual cost differs from estimated
-    if (completionInfo.actualCost && completionInfo.actualCost !== request.cost) {
+    // Cancelled work is not charged
+    if (request.status === 'cancelled') {
+      request.actualCost = 0;
+      this.localQuota.usedQuota -= request.cost;
+      this.localQuota.availableQuota += request.cost;
+    } else if (completionInfo.actualCost && completionInfo.actualCost !== request.cost) {
+      // Adjust quota if actual cost differs from estimated
       const adjustment = completionInfo.actualCost - request.cost;
       this.localQuota.usedQuota += adjustment;
       this.localQuota.availableQuota -= adjustment;
     }
     
-    console.log(`[Quota] Released quota for request ${reservationId}, status: ${request.status}`);
+    this.log.info('Released quota', { reservationId, status: request.status });
     
     // Trigger quota change event
     this.triggerQuotaEvent('quota-released', { 
@@ -185,12 +192,63 @@ class QuotaMonitor {
     });
   }
 
+  /**
+   * Hold part of a peer's advertised quota for a task delegated to it, so
+   * delegation scoring sees it before the peer re-announces
+   * @param {string} peerId - Worker peer ID
+   * @param {string} taskId - Delegated task ID
+   * @param {number} cost - Estimated cost
+   */
+  reservePeerQuota(peerId, taskId, cost) {
+    const peerQuota = this.peerQuotas.get(peerId);
+    if (peerQuota && typeof peerQuota.availableQuota === 'number') {
+      peerQuota.availableQuota -= cost;
+    }
+    this.delegations.set(taskId, { peerId, cost });
+  }
+
+  /**
+   * Settle a peer quota hold; only completed work stays charged
+   * @param {string} taskId - Delegated task ID
+   * @param {object} [completionInfo] - {status: 'completed'|'failed'|'cancelled'}
+   */
+  releasePeerQuota(taskId, completionInfo = {}) {
+    const delegation = this.delegations.get(taskId);
+    if (!delegation) return;
+    this.delegations.delete(taskId);
+    
+    const status = completionInfo.status || 'completed';
+    const peerQuota = this.peerQuotas.get(delegation.peerId);
+    if (status !== 'completed' && peerQuota && typeof peerQuota.availableQuota === 'number') {
+      peerQuota.availableQuota += delegation.cost;
+    }
+    
+    this.log.debug('Released peer quota', { peerId: delegation.peerId, correlationId: taskId, status });
+    this.triggerQuotaEvent('peer-quota-released', { peerId: delegation.peerId, taskId, status, cost: delegation.cost });
+  }
+
   /**
    * Find best peer for task delegation
-   * @param {object} requirements - Task requirements
+   * @param {object} requirements - Task requirements; `excludePeers` lists peer IDs to skip
    * @returns {object|null} - Best peer or null if none suitable
    */
   findBestPeerForDelegation(requirements = {}) {
+    const [bestPeer] = this.rankPeersForDelegation(requirements);
+    if (!bestPeer) {
+      return null;
+    }
+    
+    this.log.info('Selected peer for delegation', { peerId: bestPeer.peerId, score: bestPeer.score });
+    
+    return bestPeer;
+  }
+
+  /**
+   * Suitable peers for a task, best first, e.g. to fan a prompt out to the top few
+   * @param {object} requirements - Task requirements (see findBestPeerForDelegation)
+   * @returns {object[]} - {peerId, quota, score} per suitable peer
+   */
+  rankPeersForDelegation(requirements = {}) {
     const suitablePeers = [];
     
     for (const [peerId, quota] of this.peerQuotas.entries()) {
@@ -203,17 +261,8 @@ class QuotaMonitor {
       }
     }
     
-    if (suitablePeers.length === 0) {
-      return null;
-    }
-    
     // Sort by score (highest first)
-    suitablePeers.sort((a, b) => b.score - a.score);
-    
-    const bestPeer = suitablePeers[0];
-    console.log(`[Quota] Best peer for delegation: ${bestPeer.peerId} (score: ${bestPeer.score})`);
-    
-    return bestPeer;
+    return suitablePeers.sort((a, b) => b.score - a.score);
   }
 
   /**
@@ -223,6 +272,11 @@ class QuotaMonitor {
    * @returns {boolean} - Whether peer is suitable
    */
   isPeerSuitable(peerQuota, requirements) {
+    // e.g. peers a failing-over task already tried
+    if (requirements.excludePeers && requirements.excludePeers.includes(peerQuota.peerId)) {
+      return false;
+    }
+    
     // Check quota availability
     if (peerQuota.availableQuota <= 0) {
       return false;
@@ -415,7 +469,7 @@ class QuotaMonitor {
       this.localQuota.availableQuota = this.localQuota.totalQuota;
       this.localQuota.resetTime = this.getNextResetTime();
       
-      console.log(`[Quota] Quota reset, available: ${this.localQuota.availableQuota}`);
+      this.log.info('Quota reset', { availableQuota: this.localQuota.availableQuota });
       
       // Clear old request history
       this.requestHistory = this.requestHistory.filter(r => 
@@ -452,7 +506,7 @@ class QuotaMonitor {
    */
   startQuotaMonitoring() {
     // Check quota status every minute
-    setInterval(() => {
+    this.monitoringTimer = setInterval(() => {
       this.updateQuotaReset();
       this.cleanupRequestHistory();
       
@@ -460,7 +514,7 @@ class QuotaMonitor {
       const staleThreshold = Date.now() - 10 * 60 * 1000;
       for (const [peerId, quota] of this.peerQuotas.entries()) {
         if (quota.lastUpdated < staleThreshold) {
-          console.log(`[Quota] Removing stale quota for peer ${peerId}`);
+          this.log.debug('Removing stale peer quota', { peerId });
           this.peerQuotas.delete(peerId);
           this.triggerQuotaEvent('peer-quota-removed', { peerId });
         }
@@ -468,6 +522,14 @@ class QuotaMonitor {
     }, 60000);
   }
 
+  /**
+   * Stop the monitoring interval, e.g. when the monitor is discarded
+   */
+  stopQuotaMonitoring() {
+    clearInterval(this.monitoringTimer);
+    this.monitoringTimer = null;
+  }
+
   /**
    * Generate unique reservation ID
    * @returns {string} - Reservation ID
@@ -500,7 +562,7 @@ class QuotaMonitor {
         try {
           handler(data);
         } catch (error) {
-          console.error(`[Quota] Event handler error for ${event}:`, error);
+          this.log.error('Event handler error', { event, error });
         }
       });
     }
@@ -581,7 +643,7 @@ class QuotaMonitor {
   removePeerQuota(peerId) {
     if (this.peerQuotas.has(peerId)) {
       this.peerQuotas.delete(peerId);
-      console.log(`[Quota] Removed quota information for peer ${peerId}`);
+      this.log.debug('Removed peer quota', { peerId });
       this.triggerQuotaEvent('peer-quota-removed', { peerId });
     }
   }
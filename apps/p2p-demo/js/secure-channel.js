@@ -0,0 +1,111 @@
+/**
+ * End-to-end protection of task frames between two peers
+ * Peers exchange their identity key and an ECDH key signed by it in the
+ * offer/answer (PeerIdentity.createKeyAnnouncement) and derive the same
+ * AES-GCM key. A sealed frame leaves only `type` and `taskId` readable, since
+ * the server relay routes on them; the rest is encrypted, and the sender's
+ * identity key signs the ciphertext together with both peer IDs, so the
+ * recipient knows which peer produced it and nobody else can read it.
+ */
+class SecureChannel {
+  /**
+   * @param {object} options
+   * @param {PeerIdentity} options.identity - Our identity
+   * @param {string} options.peerId - The other peer
+   * @param {object} options.publicKey - The other peer's identity key (JWK)
+   * @param {CryptoKey} options.key - Shared AES-GCM key
+   */
+  constructor({ identity, peerId, publicKey, key }) {
+    this.identity = identity;
+    this.peerId = peerId;
+    this.publicKey = publicKey;
+    this.key = key;
+  }
+
+  /**
+   * Check a peer's key announcement and derive the channel key
+   * @param {PeerIdentity} identity - Our identity
+   * @param {string} peerId - Peer the announcement came from
+   * @param {object} keys - {publicKey, encryptionKey, signature} from its offer or answer
+   * @returns {Promise<SecureChannel>} - Rejects when the keys are not peerId's
+   */
+  static async establish(identity, peerId, keys) {
+    await identity.load();
+    // Peer IDs are identity key thumbprints, so a substituted key cannot keep the ID
+    if (await PeerIdentity.fingerprint(keys.publicKey) !== peerId) {
+      throw new Error(`Keys announced for peer ${peerId} belong to another identity`);
+    }
+    if (!await PeerIdentity.verify(keys.publicKey, PeerIdentity.keyBindingText(keys.encryptionKey), keys.signature)) {
+      throw new Error(`Encryption key of peer ${peerId} is not signed by its identity`);
+    }
+
+    const key = await identity.deriveSharedKey(keys.encryptionKey, [identity.peerId, peerId].sort().join(':'));
+    return new SecureChannel({ identity, peerId, publicKey: keys.publicKey, key });
+  }
+
+  /**
+   * Encrypt and sign a frame for the peer
+   * @param {object} frame - Task frame
+   * @returns {Promise<object>} - {type, taskId, sealed: {iv, data, signature}}
+   */
+  async seal(frame) {
+    const { type, taskId } = frame;
+    const context = SecureChannel.context(type, taskId, this.identity.peerId, this.peerId);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      this.key,
+      new TextEncoder().encode(JSON.stringify(frame))
+    );
+
+    const sealed = { iv: PeerIdentity.toBase64Url(iv), data: PeerIdentity.toBase64Url(ciphertext) };
+    sealed.signature = await this.identity.sign(`${context}:${sealed.iv}:${sealed.data}`);
+    return { type, taskId, sealed };
+  }
+
+  /**
+   * Verify and decrypt a frame from the peer
+   * @param {object} frame - Sealed frame
+   * @returns {Promise<object>} - Original task frame; rejects when it was tampered with or not
+   *   sealed by the peer for us
+   */
+  async open(frame) {
+    const { type, taskId, sealed } = frame;
+    const context = SecureChannel.context(type, taskId, this.peerId, this.identity.peerId);
+    if (!sealed || typeof sealed.iv !== 'string' || typeof sealed.data !== 'string' ||
+        !await PeerIdentity.verify(this.publicKey, `${context}:${sealed.iv}:${sealed.data}`, String(sealed.signature))) {
+      throw new Error(`Frame is not signed by peer ${this.peerId}`);
+    }
+
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: PeerIdentity.fromBase64Url(sealed.iv), additionalData: new TextEncoder().encode(context) },
+      this.key,
+      PeerIdentity.fromBase64Url(sealed.data)
+    );
+    const inner = JSON.parse(new TextDecoder().decode(plaintext));
+    if (inner.type !== type || inner.taskId !== taskId) {
+      throw new Error('Sealed frame does not match its envelope');
+    }
+    return inner;
+  }
+
+  /**
+   * Authenticated context of a frame, binding it to its type, task and direction
+   */
+  static context(type, taskId, fromPeerId, toPeerId) {
+    return `helios-e2e:${type}:${taskId}:${fromPeerId}>${toPeerId}`;
+  }
+}
+
+// Frames with task content; acknowledgements carry only sequence numbers and stay readable
+SecureChannel.SEALED_TYPES = new Set(['prompt-delegation', 'prompt-response', 'prompt-error', 'prompt-cancel', 'attachment-chunk']);
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SecureChannel;
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.SecureChannel = SecureChannel;
+}
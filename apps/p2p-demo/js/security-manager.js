@@ -4,6 +4,7 @@
  */
 class SecurityManager {
   constructor(options = {}) {
+    this.log = options.logger || new StructuredLogger('security');
     this.config = {
       maxPromptLength: options.maxPromptLength || 10000,
       maxResponseLength: options.maxResponseLength || 50000,
@@ -423,7 +424,7 @@ class SecurityManager {
       trustData.positiveActions++;
     }
     
-    console.log(`[Security] Trust score for ${peerId}: ${oldScore.toFixed(3)} -> ${trustData.score.toFixed(3)} (${reason})`);
+    this.log.info('Trust score updated', { peerId, from: oldScore, to: trustData.score, reason });
     
     // Check if peer should be blocked
     if (trustData.score < this.config.minimumTrustScore && trustData.violations > 3) {
@@ -449,7 +450,7 @@ class SecurityManager {
   blockPeer(peerId, reason) {
     this.blockedPeers.add(peerId);
     
-    console.log(`[Security] Blocked peer ${peerId} for reason: ${reason}`);
+    this.log.warn('Blocked peer', { peerId, reason });
     
     this.logSecurityEvent('peer_blocked', {
       peerId,
@@ -467,7 +468,7 @@ class SecurityManager {
    */
   unblockPeer(peerId) {
     if (this.blockedPeers.delete(peerId)) {
-      console.log(`[Security] Unblocked peer ${peerId}`);
+      this.log.info('Unblocked peer', { peerId });
       this.triggerSecurityEvent('peer-unblocked', { peerId });
     }
   }
@@ -516,6 +517,9 @@ class SecurityManager {
       case 'connection_failed':
         trustPenalty = -0.02;
         break;
+      case 'consensus_disagreement': // Outvoted in a fan-out (see EnhancedP2PManager.delegateFanOut)
+        trustPenalty = -0.15;
+        break;
     }
     
     this.updateTrustScore(peerId, trustPenalty, `failed_interaction: ${reason}`);
@@ -615,7 +619,7 @@ class SecurityManager {
     for (const [peerId, trustData] of this.peerTrustScores.entries()) {
       if (now - trustData.lastUpdated > 7 * 24 * 60 * 60 * 1000) { // 7 days
         this.peerTrustScores.delete(peerId);
-        console.log(`[Security] Cleaned up trust data for inactive peer ${peerId}`);
+        this.log.debug('Cleaned up trust data for inactive peer', { peerId });
       }
     }
   }
@@ -638,7 +642,7 @@ class SecurityManager {
       riskLevels: this.getRiskLevelDistribution()
     };
     
-    console.log('[Security] Security Report:', report);
+    this.log.info('Security report', { report });
     this.triggerSecurityEvent('security-report', report);
   }
 
@@ -692,7 +696,7 @@ class SecurityManager {
       ...eventData
     };
     
-    console.log(`[Security] ${eventType}:`, logEntry);
+    this.log.info('Security event', logEntry);
     
     // In a real implementation, this would be sent to a security monitoring system
     this.triggerSecurityEvent('security-log', logEntry);
@@ -722,7 +726,7 @@ class SecurityManager {
         try {
           handler(data);
         } catch (error) {
-          console.error(`[Security] Event handler error for ${event}:`, error);
+          this.log.error('Event handler error', { event, error });
         }
       });
     }
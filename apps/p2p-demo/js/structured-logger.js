@@ -0,0 +1,135 @@
+/**
+ * Structured JSON-lines logger for the P2P demo components
+ * Same entry format and redaction rules as services/signaling/logger.mjs, so a
+ * delegation's correlationId (its taskId) can be followed from the browser
+ * console through the signaling server logs and back
+ */
+class StructuredLogger {
+  /**
+   * @param {string} component - e.g. 'p2p', 'quota', 'security'
+   * @param {object} [options]
+   * @param {string} [options.level='info'] - Minimum level written: debug, info, warn or error
+   * @param {object} [options.context] - Fields added to every entry
+   * @param {function(string, string): void} [options.write] - Receives each line and its level
+   */
+  constructor(component, options = {}) {
+    this.component = component;
+    this.level = StructuredLogger.LEVELS[options.level] ? options.level : StructuredLogger.defaultLevel;
+    this.context = options.context || {};
+    this.write = options.write || StructuredLogger.writeToConsole;
+  }
+
+  /**
+   * Logger that adds `context` (e.g. {peerId, correlationId}) to every entry
+   * @param {object} context - Extra fields
+   * @returns {StructuredLogger} - Child logger
+   */
+  child(context) {
+    return new StructuredLogger(this.component, {
+      level: this.level,
+      context: { ...this.context, ...context },
+      write: this.write
+    });
+  }
+
+  /**
+   * Write one entry if `level` is enabled
+   * @param {string} level - debug, info, warn or error
+   * @param {string} msg - Fixed message; variable data belongs in fields
+   * @param {object} [fields] - Structured data, redacted before writing
+   */
+  log(level, msg, fields = {}) {
+    if (StructuredLogger.LEVELS[level] < StructuredLogger.LEVELS[this.level]) return;
+    const entry = StructuredLogger.redact({ ...this.context, ...fields });
+    this.write(JSON.stringify({ time: new Date().toISOString(), level, component: this.component, msg, ...entry }), level);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  /**
+   * Replace sensitive fields (by key, at any depth) and flatten errors
+   * @param {*} value - Value to log
+   * @param {number} [depth] - Current nesting depth
+   * @returns {*} - Loggable copy
+   */
+  static redact(value, depth = 0) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message };
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= 4) return '[truncated]';
+    if (Array.isArray(value)) return value.map(item => StructuredLogger.redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = StructuredLogger.REDACTED_FIELDS.has(key) ? '[redacted]' : StructuredLogger.redact(item, depth + 1);
+    }
+    return result;
+  }
+
+  /**
+   * What is worth logging about a capability set, instead of the whole object
+   * @param {object} capabilities - Announced capabilities
+   * @returns {object} - Summary
+   */
+  static summarizeCapabilities(capabilities = {}) {
+    return {
+      hasAI: Boolean(capabilities.hasAI),
+      models: (capabilities.models || []).length,
+      availableQuota: capabilities.quota?.availableQuota ?? null,
+      region: capabilities.region ?? null
+    };
+  }
+
+  static writeToConsole(line, level) {
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+StructuredLogger.LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keep in sync with REDACTED_FIELDS in services/signaling/logger.mjs
+StructuredLogger.REDACTED_FIELDS = new Set([
+  'sdp',
+  'candidate',
+  'ip',
+  'remoteAddress',
+  'resumeToken',
+  'credential',
+  'signature',
+  'authorization',
+  'token'
+]);
+
+// Set e.g. localStorage['helios.logLevel'] = 'debug' to see per-message entries
+StructuredLogger.defaultLevel = (typeof localStorage !== 'undefined' && localStorage.getItem('helios.logLevel')) || 'info';
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredLogger;
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.StructuredLogger = StructuredLogger;
+}
@@ -0,0 +1,154 @@
+/**
+ * Worker-side admission of delegated prompts
+ * Tasks wait in a queue ordered by priority (then arrival) until one of the
+ * concurrency slots is free. A task still queued at its deadline is dropped,
+ * and a full queue turns away the lowest-priority task with a 'busy'
+ * rejection, so requesters can move on instead of waiting out their timeout.
+ */
+class TaskScheduler {
+  /**
+   * @param {object} [options]
+   * @param {function(): number} [options.maxConcurrent] - Slots, read whenever a task could start;
+   *   5 by default
+   * @param {number} [options.maxQueueLength=32] - Tasks that may wait for a slot
+   * @param {function(object, number, number): void} [options.onPositionChange] - Called with a
+   *   queued entry, its 1-based position and the queue length whenever the position changes
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || (() => 5);
+    this.maxQueueLength = options.maxQueueLength ?? 32;
+    this.onPositionChange = options.onPositionChange || (() => {});
+    this.queue = []; // Waiting entries, next to run first
+    this.running = 0;
+    this.arrivals = 0;
+  }
+
+  /**
+   * Wait for a slot
+   * @param {object} task
+   * @param {number} [task.priority=1] - Higher runs first
+   * @param {number} task.deadline - Epoch ms after which the task is dropped instead of started
+   * @param {AbortSignal} [task.signal] - Aborting removes the task from the queue
+   * @param {object} [task.context] - Passed back through onPositionChange
+   * @returns {Promise<function(): void>} - Resolves with the function that frees the slot again;
+   *   rejects with a TaskRejectedError, or the signal's reason
+   */
+  acquire({ priority = 1, deadline, signal, context }) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const entry = { priority, deadline, signal, context, seq: this.arrivals++, position: null, resolve, reject };
+
+      // A free slot means nothing is waiting, so only a task that would wait can find the queue full
+      if (this.queue.length >= this.maxQueueLength && this.running >= this.maxConcurrent()) {
+        // Make room by turning away the least urgent task, unless that is this one
+        const last = this.queue[this.queue.length - 1];
+        if (!last || TaskScheduler.compare(entry, last) > 0) {
+          reject(new TaskRejectedError('busy', 'Worker is busy'));
+          return;
+        }
+        this.remove(last, new TaskRejectedError('busy', 'Worker is busy; displaced by a higher-priority task'));
+      }
+
+      entry.timer = setTimeout(() => {
+        this.remove(entry, new TaskRejectedError('expired', 'Task expired while queued'));
+      }, Math.max(0, deadline - Date.now()));
+      if (signal) {
+        entry.onAbort = () => this.remove(entry, signal.reason);
+        signal.addEventListener('abort', entry.onAbort);
+      }
+
+      const index = this.queue.findIndex(queued => TaskScheduler.compare(entry, queued) < 0);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this.pump();
+    });
+  }
+
+  /**
+   * Start queued tasks while slots are free, then tell the rest where they stand
+   */
+  pump() {
+    while (this.queue.length > 0 && this.running < this.maxConcurrent()) {
+      const entry = this.queue.shift();
+      this.detach(entry);
+      this.running++;
+      let released = false;
+      entry.resolve(() => {
+        if (released) return;
+        released = true;
+        this.running--;
+        this.pump();
+      });
+    }
+    this.notifyPositions();
+  }
+
+  /**
+   * Drop a queued task
+   * @param {object} entry - Queue entry
+   * @param {Error} error - Rejection reason
+   */
+  remove(entry, error) {
+    const index = this.queue.indexOf(entry);
+    if (index === -1) return;
+    this.queue.splice(index, 1);
+    this.detach(entry);
+    entry.reject(error);
+    this.notifyPositions();
+  }
+
+  detach(entry) {
+    clearTimeout(entry.timer);
+    if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+  }
+
+  notifyPositions() {
+    this.queue.forEach((entry, index) => {
+      if (entry.position === index + 1) return;
+      entry.position = index + 1;
+      this.onPositionChange(entry, entry.position, this.queue.length);
+    });
+  }
+
+  /**
+   * @returns {{running: number, queued: number, maxConcurrent: number}} - Current load
+   */
+  getStatus() {
+    return { running: this.running, queued: this.queue.length, maxConcurrent: this.maxConcurrent() };
+  }
+
+  /**
+   * Queue order: higher priority first, then earlier arrival
+   */
+  static compare(a, b) {
+    return b.priority - a.priority || a.seq - b.seq;
+  }
+}
+
+/**
+ * Why the scheduler did not run a task; the worker passes `code` on to the requester
+ */
+class TaskRejectedError extends Error {
+  /**
+   * @param {'busy'|'expired'} code - Why the task was not run
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'TaskRejectedError';
+    this.code = code;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TaskScheduler, TaskRejectedError };
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.TaskScheduler = TaskScheduler;
+  window.TaskRejectedError = TaskRejectedError;
+}
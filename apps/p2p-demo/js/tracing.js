@@ -0,0 +1,234 @@
+/**
+ * Minimal OpenTelemetry-compatible tracing for the P2P demo components
+ * Browser counterpart of services/signaling/tracing.mjs: spans carry W3C trace
+ * context (`traceparent`) inside signaling messages and data channel task
+ * frames, and ended spans are POSTed as OTLP/HTTP JSON to the collector
+ * (otel/collector-config.yaml) when an endpoint is configured
+ */
+class Span {
+  /**
+   * @param {Tracer} tracer - Tracer that exports the span once ended
+   * @param {string} name - Span name, e.g. 'p2p.delegatePrompt'
+   * @param {object} [options]
+   * @param {object} [options.parent] - Parent context {traceId, spanId, sampled}
+   * @param {number} [options.kind] - One of Tracer.SPAN_KIND
+   * @param {object} [options.attributes] - Initial attributes
+   */
+  constructor(tracer, name, { parent = null, kind = Tracer.SPAN_KIND.internal, attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : Tracer.randomHex(16);
+    this.spanId = Tracer.randomHex(8);
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.sampled = parent ? parent.sampled : true;
+    this.attributes = {};
+    this.events = [];
+    this.status = null;
+    this.startTimeUnixNano = Tracer.nowUnixNano();
+    this.endTimeUnixNano = null;
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+  }
+
+  /**
+   * Set an attribute; null and undefined values are skipped
+   * @param {string} key - Attribute name
+   * @param {*} value - String, number or boolean
+   * @returns {Span} - This span
+   */
+  setAttribute(key, value) {
+    if (this.endTimeUnixNano) return this; // Ended spans are immutable, as in OpenTelemetry
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  /**
+   * Mark the span failed and record the error as an exception event
+   * @param {Error} error - Failure
+   * @returns {Span} - This span
+   */
+  recordError(error) {
+    if (this.endTimeUnixNano) return this;
+    this.status = { code: Tracer.STATUS_ERROR, message: error.message };
+    this.events.push({
+      name: 'exception',
+      timeUnixNano: Tracer.nowUnixNano(),
+      attributes: { 'exception.type': error.name, 'exception.message': error.message }
+    });
+    return this;
+  }
+
+  /**
+   * @returns {string} - W3C traceparent naming this span as the parent
+   */
+  traceparent() {
+    return Tracer.formatTraceparent(this);
+  }
+
+  /**
+   * End the span and hand it to the exporter; later calls are ignored
+   */
+  end() {
+    if (this.endTimeUnixNano) return;
+    this.endTimeUnixNano = Tracer.nowUnixNano();
+    if (this.sampled) this.tracer.export(this);
+  }
+}
+
+class Tracer {
+  /**
+   * @param {string} [serviceName='helios-p2p-demo'] - Reported as the service.name resource attribute
+   * @param {object} [options]
+   * @param {string} [options.otlpEndpoint] - Collector base URL, e.g. 'http://localhost:4318';
+   *   without one, context still propagates but spans are dropped
+   * @param {number} [options.maxBatchSize=128] - Spans per export request
+   * @param {number} [options.flushInterval=5000] - ms between exports
+   * @param {StructuredLogger} [options.logger] - Logger; a 'tracing' StructuredLogger by default
+   */
+  constructor(serviceName = 'helios-p2p-demo', options = {}) {
+    this.serviceName = serviceName;
+    this.endpoint = options.otlpEndpoint || Tracer.defaultEndpoint;
+    this.maxBatchSize = options.maxBatchSize || 128;
+    this.log = options.logger || new StructuredLogger('tracing');
+    this.queue = [];
+    this.timer = this.endpoint ? setInterval(() => this.flush(), options.flushInterval || 5000) : null;
+  }
+
+  /**
+   * Start a span, continuing the trace of `parent` when given
+   * @param {string} name - Span name
+   * @param {object} [options]
+   * @param {string|object} [options.parent] - traceparent string or span context
+   * @param {number} [options.kind] - One of Tracer.SPAN_KIND
+   * @param {object} [options.attributes] - Initial attributes
+   * @returns {Span} - Started span
+   */
+  startSpan(name, { parent, kind, attributes } = {}) {
+    const parentContext = typeof parent === 'string' ? Tracer.parseTraceparent(parent) : parent || null;
+    return new Span(this, name, { parent: parentContext, kind, attributes });
+  }
+
+  /**
+   * Queue an ended span for the collector
+   * @param {Span} span - Ended span
+   */
+  export(span) {
+    if (!this.endpoint) return;
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatchSize) this.flush();
+  }
+
+  /**
+   * POST queued spans to `${otlpEndpoint}/v1/traces`
+   * @returns {Promise<void>} - Settles once the collector answered or the request failed
+   */
+  async flush() {
+    if (this.queue.length === 0) return;
+    const spans = this.queue.splice(0);
+    try {
+      const response = await fetch(`${this.endpoint.replace(/\/$/, '')}/v1/traces`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Tracer.toOtlpRequest(this.serviceName, spans)),
+        keepalive: true // Lets the final flush outlive a closing page
+      });
+      if (!response.ok) {
+        this.log.warn('Collector rejected spans', { status: response.status, spans: spans.length });
+      }
+    } catch (error) {
+      // Tracing is best-effort; a missing collector must not affect delegation
+      this.log.warn('Failed to export spans', { spans: spans.length, error });
+    }
+  }
+
+  /**
+   * Stop the export timer and flush what is left
+   * @returns {Promise<void>} - Settles after the final flush
+   */
+  shutdown() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.flush();
+  }
+
+  /**
+   * @param {string} traceparent - W3C traceparent header value
+   * @returns {{traceId: string, spanId: string, sampled: boolean}|null} - null for missing or malformed values
+   */
+  static parseTraceparent(traceparent) {
+    const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(traceparent || '');
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+    return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+  }
+
+  /**
+   * @param {object} context - {traceId, spanId, sampled}
+   * @returns {string} - W3C traceparent header value
+   */
+  static formatTraceparent({ traceId, spanId, sampled }) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+  }
+
+  /**
+   * OTLP/HTTP JSON request body (ExportTraceServiceRequest) for ended spans
+   * @param {string} serviceName - service.name resource attribute
+   * @param {Span[]} spans - Ended spans
+   * @returns {object} - Request body
+   */
+  static toOtlpRequest(serviceName, spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: Tracer.toAttributes({ 'service.name': serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'helios-tracing' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId || undefined,
+            name: span.name,
+            kind: span.kind,
+            startTimeUnixNano: span.startTimeUnixNano,
+            endTimeUnixNano: span.endTimeUnixNano,
+            attributes: Tracer.toAttributes(span.attributes),
+            events: span.events.map(event => ({ ...event, attributes: Tracer.toAttributes(event.attributes) })),
+            status: span.status || { code: 0 }
+          }))
+        }]
+      }]
+    };
+  }
+
+  static toAttributes(attributes) {
+    return Object.entries(attributes).map(([key, value]) => {
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+      if (typeof value === 'number') return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: String(value) } };
+    });
+  }
+
+  static randomHex(bytes) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static nowUnixNano() {
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6)).toString();
+  }
+}
+
+Tracer.SPAN_KIND = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+Tracer.STATUS_ERROR = 2;
+
+// Set e.g. localStorage['helios.otlpEndpoint'] = 'http://localhost:4318' to export spans
+Tracer.defaultEndpoint = (typeof localStorage !== 'undefined' && localStorage.getItem('helios.otlpEndpoint')) || null;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Tracer, Span };
+}
+
+// Global assignment for script tag usage
+if (typeof window !== 'undefined') {
+  window.Tracer = Tracer;
+  window.Span = Span;
+}
@@ -0,0 +1,15 @@
+-- Peer directory and reputation for the signaling server (services/signaling/peer-store.mjs)
+
+-- One row per authenticated identity (RFC 7638 key thumbprint); anonymous peers are not stored
+CREATE TABLE IF NOT EXISTS peer_directory (
+  peer_id TEXT PRIMARY KEY,
+  public_key JSONB,
+  first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  capabilities JSONB,                 -- Last announced capabilities
+  capabilities_at TIMESTAMPTZ,
+  tasks_completed INTEGER NOT NULL DEFAULT 0,
+  tasks_failed INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS peer_directory_last_seen_idx ON peer_directory (last_seen DESC);
@@ -23,8 +23,17 @@ export default [
         RTCSessionDescription: "readonly",
         RTCIceCandidate: "readonly",
         fetch: "readonly",
+        URL: "readonly",
         performance: "readonly",
         crypto: "readonly",
+        indexedDB: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        btoa: "readonly",
+        atob: "readonly",
+        Blob: "readonly",
+        AbortController: "readonly",
+        LanguageModel: "readonly",
         
         // Browser timers
         setTimeout: "readonly",
@@ -36,6 +45,20 @@ export default [
         EnhancedP2PManager: "readonly",
         QuotaMonitor: "readonly",
         SecurityManager: "readonly",
+        PeerIdentity: "readonly",
+        SecureChannel: "readonly",
+        TaskScheduler: "readonly",
+        TaskRejectedError: "readonly",
+        StructuredLogger: "readonly",
+        Tracer: "readonly",
+        ChunkedTransfer: "readonly",
+        OutgoingTransfer: "readonly",
+        ResponseStream: "readonly",
+        IncomingTransfer: "readonly",
+        AIBackendRegistry: "readonly",
+        ChromeAIBackend: "readonly",
+        OpenAICompatibleBackend: "readonly",
+        MockAIBackend: "readonly",
         app: "writable",
         
         // Module system (for compatibility)
@@ -103,7 +126,10 @@ export default [
         
         // Node.js built-ins
         URL: "readonly",
-        URLSearchParams: "readonly"
+        URLSearchParams: "readonly",
+        TextEncoder: "readonly",
+        queueMicrotask: "readonly",
+        fetch: "readonly"
       }
     },
     rules: {
@@ -63,4 +63,5 @@ function startP2PDemo() {
   console.log('  - P2P demo (static):     http://localhost:8082');
   console.log('  - Signaling server:      ws://localhost:8083/signaling');
   console.log('  - Health check:          http://localhost:8083/health');
+  console.log('  - Metrics:               http://localhost:8083/metrics');
 })();
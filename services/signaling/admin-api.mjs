@@ -0,0 +1,180 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { reputationOf } from './peer-store.mjs';
+
+/**
+ * Admin REST API for inspecting and managing live signaling sessions
+ *
+ * Every request needs `Authorization: Bearer <adminToken>`; without a
+ * configured token the routes are not served at all.
+ *
+ * GET    /admin/peers                 peers connected to (or suspended on) this instance
+ * GET    /admin/peers/:peerId
+ * DELETE /admin/peers/:peerId         force-disconnect, skipping session resumption
+ * GET    /admin/directory?limit=n       peer directory entries with reputation, most recently seen first
+ * GET    /admin/directory/:peerId
+ * GET    /admin/rate-limits           token buckets per peer, per IP, for connection attempts, relay bytes and task reports
+ * GET    /admin/bans
+ * POST   /admin/bans                  {type: 'ip'|'peerId', value, reason?, durationMs?}
+ * DELETE /admin/bans/:type/:value
+ */
+
+export const BAN_TYPES = ['ip', 'peerId'];
+
+const MAX_BODY_SIZE = 16 * 1024;
+
+class AdminError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Hashing first keeps the comparison constant-time regardless of token length
+export function isAdminAuthorized(req, adminToken) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!adminToken || !match) return false;
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(adminToken));
+}
+
+/**
+ * Serve an /admin/* request against a SignalingServer
+ * @returns {Promise<void>}
+ */
+export async function handleAdminRequest(server, req, res) {
+  if (!server.options.adminToken) {
+    sendJSON(res, 404, { error: { code: 'not-found', message: 'Not Found' } });
+    return;
+  }
+
+  if (!isAdminAuthorized(req, server.options.adminToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="signaling-admin"');
+    sendJSON(res, 401, { error: { code: 'unauthorized', message: 'Admin token required' } });
+    return;
+  }
+
+  try {
+    const { status = 200, body } = await route(server, req);
+    sendJSON(res, status, body);
+  } catch (error) {
+    if (!(error instanceof AdminError)) {
+      server.log.error('Admin request failed', { method: req.method, url: req.url, error });
+      sendJSON(res, 500, { error: { code: 'internal-error', message: 'Internal error' } });
+      return;
+    }
+    sendJSON(res, error.status, { error: { code: error.code, message: error.message } });
+  }
+}
+
+async function route(server, req) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const [, , resource, ...params] = pathname.split('/').map(decodePathSegment);
+
+  switch (`${req.method} ${resource}/${params.length}`) {
+    case 'GET peers/0':
+      return { body: { peers: Array.from(server.peers.keys()).map(peerId => server.describePeer(peerId)) } };
+    case 'GET peers/1':
+      return { body: { peer: requirePeer(server, params[0]) } };
+    case 'DELETE peers/1': {
+      requirePeer(server, params[0]);
+      server.disconnectPeer(params[0], 'Disconnected by administrator');
+      return { body: { disconnected: params[0] } };
+    }
+    case 'GET directory/0': {
+      const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 100, 1), 1000);
+      const entries = await server.peerStore.listPeers({ limit });
+      return { body: { peers: entries.map(withReputation) } };
+    }
+    case 'GET directory/1': {
+      const entry = await server.peerStore.getPeer(params[0]);
+      if (!entry) {
+        throw new AdminError(404, 'peer-not-found', `Peer ${params[0]} is not in the peer directory`);
+      }
+      return { body: { peer: withReputation(entry) } };
+    }
+    case 'GET rate-limits/0':
+      return {
+        body: {
+          rateLimits: {
+            peers: server.peerRateLimiter.list(),
+            ips: server.ipRateLimiter.list(),
+            connections: server.connectionRateLimiter.list(),
+            relay: server.relayRateLimiter.list(),
+            reports: server.reportRateLimiter.list()
+          }
+        }
+      };
+    case 'GET bans/0':
+      return { body: { bans: server.listBans() } };
+    case 'POST bans/0': {
+      const ban = server.addBan(parseBan(await readJSON(req)));
+      return { status: 201, body: { ban } };
+    }
+    case 'DELETE bans/2': {
+      if (!server.removeBan(params[0], params[1])) {
+        throw new AdminError(404, 'not-found', `No ${params[0]} ban for ${params[1]}`);
+      }
+      return { body: { removed: { type: params[0], value: params[1] } } };
+    }
+    default:
+      throw new AdminError(404, 'not-found', `No admin route for ${req.method} ${pathname}`);
+  }
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new AdminError(400, 'invalid-path', `Malformed path segment: ${segment}`);
+  }
+}
+
+function withReputation(entry) {
+  return { ...entry, reputation: reputationOf(entry) };
+}
+
+function requirePeer(server, peerId) {
+  const peer = server.describePeer(peerId);
+  if (!peer) {
+    throw new AdminError(404, 'peer-not-found', `Peer ${peerId} is not connected to this instance`);
+  }
+  return peer;
+}
+
+function parseBan(body) {
+  const { type, value, reason = null, durationMs = null } = body || {};
+  if (!BAN_TYPES.includes(type)) {
+    throw new AdminError(400, 'invalid-ban', `type must be one of ${BAN_TYPES.join(', ')}`);
+  }
+  if (typeof value !== 'string' || value.length === 0 || value.length > 256) {
+    throw new AdminError(400, 'invalid-ban', 'value must be a non-empty string');
+  }
+  if (reason !== null && typeof reason !== 'string') {
+    throw new AdminError(400, 'invalid-ban', 'reason must be a string');
+  }
+  if (durationMs !== null && !(Number.isFinite(durationMs) && durationMs > 0)) {
+    throw new AdminError(400, 'invalid-ban', 'durationMs must be a positive number');
+  }
+  return { type, value, reason, durationMs };
+}
+
+async function readJSON(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      throw new AdminError(413, 'body-too-large', 'Request body too large');
+    }
+  }
+  try {
+    return JSON.parse(body || '{}');
+  } catch {
+    throw new AdminError(400, 'invalid-json', 'Request body must be valid JSON');
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
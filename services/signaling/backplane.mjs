@@ -0,0 +1,126 @@
+import { createLogger } from './logger.mjs';
+
+/**
+ * Pub/sub backplane used to stitch several SignalingServer instances together
+ *
+ * Subjects (core pub/sub, no persistence; signaling is useless once stale):
+ * - signaling.events.<kind>        presence, capability and instance lifecycle events
+ * - signaling.forward.<instanceId> offer/answer/ice-candidate addressed to a peer on that instance
+ */
+
+const log = createLogger('backplane');
+
+export const SUBJECTS = {
+  events: 'signaling.events.*',
+  event: (kind) => `signaling.events.${kind}`,
+  forward: (instanceId) => `signaling.forward.${instanceId}`
+};
+
+// NATS-style subject matching: '*' matches one token, '>' the remaining tokens
+export function subjectMatches(pattern, subject) {
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+
+  for (let i = 0; i < patternTokens.length; i++) {
+    if (patternTokens[i] === '>') return subjectTokens.length > i;
+    if (i >= subjectTokens.length) return false;
+    if (patternTokens[i] !== '*' && patternTokens[i] !== subjectTokens[i]) return false;
+  }
+  return patternTokens.length === subjectTokens.length;
+}
+
+/**
+ * In-process backplane, the default for single-instance deployments
+ * Sharing one instance between several servers simulates a cluster in tests
+ */
+export class InMemoryBackplane {
+  constructor() {
+    this.subscriptions = new Set(); // Set<{pattern, handler}>
+  }
+
+  async connect() {}
+
+  publish(subject, message) {
+    // Copy and deliver asynchronously, like a network hop would
+    const payload = JSON.stringify(message);
+    for (const subscription of this.subscriptions) {
+      if (subjectMatches(subscription.pattern, subject)) {
+        queueMicrotask(() => subscription.handler(JSON.parse(payload), subject));
+      }
+    }
+  }
+
+  subscribe(pattern, handler) {
+    const subscription = { pattern, handler };
+    this.subscriptions.add(subscription);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  async close() {
+    this.subscriptions.clear();
+  }
+}
+
+/**
+ * NATS backplane; authenticates with an NKEY seed like scripts/nats-setup.mjs expects
+ */
+export class NatsBackplane {
+  constructor(options = {}) {
+    this.servers = options.servers || process.env.NATS_URL || 'nats://localhost:4222';
+    this.nkeySeed = options.nkeySeed || process.env.NATS_NKEY_SEED;
+    this.name = options.name || 'helios-signaling';
+    this.connection = null;
+    this.codec = null;
+  }
+
+  async connect() {
+    // Loaded lazily so single-instance deployments do not need the client installed
+    const { connect, JSONCodec, nkeyAuthenticator } = await import('nats');
+
+    this.codec = JSONCodec();
+    this.connection = await connect({
+      servers: this.servers.split(','),
+      name: this.name,
+      authenticator: this.nkeySeed
+        ? nkeyAuthenticator(new TextEncoder().encode(this.nkeySeed))
+        : undefined
+    });
+
+    log.info('Connected to NATS', { server: this.connection.getServer() });
+  }
+
+  publish(subject, message) {
+    this.connection.publish(subject, this.codec.encode(message));
+  }
+
+  subscribe(pattern, handler) {
+    const subscription = this.connection.subscribe(pattern, {
+      callback: (error, msg) => {
+        if (error) {
+          log.error('Subscription error', { pattern, error });
+          return;
+        }
+        handler(this.codec.decode(msg.data), msg.subject);
+      }
+    });
+    return () => subscription.unsubscribe();
+  }
+
+  async close() {
+    if (this.connection) {
+      await this.connection.drain();
+      this.connection = null;
+    }
+  }
+}
+
+export function createBackplane(type = process.env.SIGNALING_BACKPLANE || 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new InMemoryBackplane();
+    case 'nats':
+      return new NatsBackplane(options);
+    default:
+      throw new Error(`Unknown signaling backplane: ${type}`);
+  }
+}
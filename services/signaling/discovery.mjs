@@ -0,0 +1,144 @@
+/**
+ * Discovery query evaluation and ranking for findMatchingPeers
+ *
+ * A query is the `requirements` object of a 'discover' message:
+ * - needsAI, minQuota, preferredModels      original filters, kept with their lenient semantics
+ * - capabilities: {required, optional}      boolean capability flags such as hasGPU or hasStorage
+ * - models: {all, any}                      model sets the peer must fully / partly cover
+ * - maxLatency                              ms ceiling; peers that report no latency are excluded
+ * - region                                  region name or list of acceptable regions
+ * - profile, weights                        named scoring profile plus per-call weight overrides
+ * - limit, offset                           pagination over the ranked result
+ */
+
+// 'default' is the original hard-coded ranking plus the reputation term
+export const DISCOVERY_PROFILES = {
+  default: {
+    quota: 0.4, // Per unit of available quota
+    lowLatency: 30, // Flat bonus below 100ms
+    modelVariety: 0.1, // Per announced model
+    recentActivity: 10, // Flat bonus when seen in the last five minutes
+    optionalCapability: 10, // Per optional capability the peer has
+    modelMatch: 0, // Per model in models.any the peer offers
+    reputation: 20 // Times the 0..1 reputation from the peer directory (0.5 when unknown)
+  },
+  'low-latency': {
+    quota: 0.1,
+    lowLatency: 100,
+    modelVariety: 0.1,
+    recentActivity: 10,
+    optionalCapability: 10,
+    modelMatch: 5,
+    reputation: 20
+  },
+  capacity: {
+    quota: 1,
+    lowLatency: 5,
+    modelVariety: 1,
+    recentActivity: 10,
+    optionalCapability: 10,
+    modelMatch: 5,
+    reputation: 20
+  }
+};
+
+const LOW_LATENCY_THRESHOLD = 100;
+const RECENT_ACTIVITY_WINDOW = 5 * 60 * 1000;
+
+/**
+ * Normalize a schema-validated requirements object into the form matchesQuery/rankPeers expect
+ */
+export function compileDiscoveryQuery(requirements = {}) {
+  const profile = requirements.profile || 'default';
+
+  const required = new Set(requirements.capabilities?.required || []);
+  if (requirements.needsAI) required.add('hasAI');
+
+  return {
+    required: Array.from(required),
+    optional: requirements.capabilities?.optional || [],
+    minQuota: requirements.minQuota || 0,
+    preferredModels: requirements.preferredModels || null,
+    allModels: requirements.models?.all || [],
+    anyModels: requirements.models?.any || [],
+    maxLatency: requirements.maxLatency ?? null,
+    regions: requirements.region === undefined ? null : [].concat(requirements.region),
+    weights: { ...DISCOVERY_PROFILES[profile], ...requirements.weights },
+    limit: requirements.limit ?? null,
+    offset: requirements.offset || 0
+  };
+}
+
+export function matchesQuery(query, capabilities) {
+  if (!query.required.every(name => capabilities[name] === true)) return false;
+
+  // Peers that never announced quota or models pass the original filters
+  if (query.minQuota && capabilities.quota && capabilities.quota.availableQuota < query.minQuota) {
+    return false;
+  }
+  if (query.preferredModels && capabilities.models &&
+      !query.preferredModels.some(model => capabilities.models.includes(model))) {
+    return false;
+  }
+
+  const models = capabilities.models || [];
+  if (!query.allModels.every(model => models.includes(model))) return false;
+  if (query.anyModels.length > 0 && !query.anyModels.some(model => models.includes(model))) return false;
+
+  if (query.maxLatency !== null) {
+    const latency = capabilities.performance?.latency;
+    if (typeof latency !== 'number' || latency > query.maxLatency) return false;
+  }
+
+  if (query.regions && !query.regions.includes(capabilities.region)) return false;
+
+  return true;
+}
+
+/**
+ * @param {object} candidate - {capabilities, performance, lastSeen, reputation}
+ * @param {object} query - Compiled query supplying weights and the optional capabilities/models to reward
+ */
+export function scorePeer(candidate, query) {
+  const { capabilities, performance } = candidate;
+  const { weights } = query;
+  let score = 0;
+
+  if (capabilities.quota) {
+    score += capabilities.quota.availableQuota * weights.quota;
+  }
+  if (performance.latency && performance.latency < LOW_LATENCY_THRESHOLD) {
+    score += weights.lowLatency;
+  }
+  if (capabilities.models) {
+    score += capabilities.models.length * weights.modelVariety;
+  }
+  if (Date.now() - candidate.lastSeen < RECENT_ACTIVITY_WINDOW) {
+    score += weights.recentActivity;
+  }
+
+  score += query.optional.filter(name => capabilities[name] === true).length * weights.optionalCapability;
+  const models = capabilities.models || [];
+  score += query.anyModels.filter(model => models.includes(model)).length * weights.modelMatch;
+  score += (candidate.reputation ?? 0.5) * weights.reputation;
+
+  return score;
+}
+
+/**
+ * Score, sort (best first) and paginate matching candidates
+ * @returns {{peers: Array, total: number, offset: number, nextOffset: number|null}}
+ */
+export function rankPeers(candidates, query) {
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, score: scorePeer(candidate, query) }))
+    .sort((a, b) => b.score - a.score);
+
+  const end = query.limit === null ? ranked.length : query.offset + query.limit;
+  return {
+    peers: ranked.slice(query.offset, end),
+    total: ranked.length,
+    offset: query.offset,
+    nextOffset: end < ranked.length ? end : null
+  };
+}
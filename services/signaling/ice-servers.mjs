@@ -0,0 +1,50 @@
+import { createHmac } from 'node:crypto';
+
+/**
+ * ICE server configuration handed to peers, including short-lived TURN credentials
+ *
+ * Credentials follow the TURN REST API scheme (coturn `use-auth-secret`):
+ * username = "<expiry unix seconds>:<peerId>", credential = base64(HMAC-SHA1(secret, username)),
+ * so the TURN server can verify them without talking to the signaling server.
+ */
+
+export const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302'
+];
+
+function splitUrls(value) {
+  return value ? value.split(',').map(url => url.trim()).filter(Boolean) : null;
+}
+
+export function iceOptionsFromEnv(env = process.env) {
+  return {
+    stunUrls: splitUrls(env.STUN_SERVERS) || DEFAULT_STUN_URLS,
+    turnUrls: splitUrls(env.TURN_URLS) || [],
+    turnSecret: env.TURN_SECRET || null,
+    turnTtl: env.TURN_TTL ? Number(env.TURN_TTL) : 3600 // Seconds
+  };
+}
+
+export function createTurnCredentials(secret, peerId, ttl, now = Date.now()) {
+  const expiresAt = now + ttl * 1000;
+  const username = `${Math.floor(expiresAt / 1000)}:${peerId}`;
+  const credential = createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt };
+}
+
+/**
+ * @param {object} options - {stunUrls, turnUrls, turnSecret, turnTtl}
+ * @param {boolean} allowRelay - Whether this peer may use (paid-for) TURN bandwidth
+ * @returns {{iceServers: Array, relayAvailable: boolean, expiresAt: number|null}}
+ */
+export function buildIceServers(options, peerId, allowRelay, now = Date.now()) {
+  const iceServers = [{ urls: options.stunUrls }];
+  if (!allowRelay || options.turnUrls.length === 0 || !options.turnSecret) {
+    return { iceServers, relayAvailable: false, expiresAt: null };
+  }
+
+  const { username, credential, expiresAt } = createTurnCredentials(options.turnSecret, peerId, options.turnTtl, now);
+  iceServers.push({ urls: options.turnUrls, username, credential });
+  return { iceServers, relayAvailable: true, expiresAt };
+}
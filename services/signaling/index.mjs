@@ -1,35 +1,180 @@
 import { WebSocketServer } from 'ws';
 import http from 'node:http';
-import { randomUUID } from 'node:crypto';
+import { once } from 'node:events';
+import { randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createChallenge, verifyChallengeResponse } from './peer-auth.mjs';
+import { InMemoryBackplane, SUBJECTS, createBackplane } from './backplane.mjs';
+import { SCHEMA_VERSION, createMessageValidator } from './message-schemas.mjs';
+import { MetricsRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics.mjs';
+import { handleAdminRequest } from './admin-api.mjs';
+import { compileDiscoveryQuery, matchesQuery, rankPeers } from './discovery.mjs';
+import { DEFAULT_RATE_LIMITS, RateLimiter } from './rate-limiter.mjs';
+import { buildIceServers, iceOptionsFromEnv } from './ice-servers.mjs';
+import { MemoryPeerStore, createPeerStore, reputationOf } from './peer-store.mjs';
+import { createLogger, summarizeCapabilities } from './logger.mjs';
+import { SPAN_KIND, createTracer } from './tracing.mjs';
+
+// Message types available to peers that skipped authentication (limited mode)
+const ANONYMOUS_MESSAGE_TYPES = new Set([
+  'discover',
+  'subscribe-discovery',
+  'unsubscribe-discovery',
+  'offer',
+  'answer',
+  'ice-candidate',
+  'join-room',
+  'leave-room',
+  'list-rooms',
+  'get-ice-servers',
+  'ping'
+]);
+
+// How long a reporter's task IDs are remembered to reject repeated reports, and
+// how long after their last negotiation or relayed frame two peers may report on each other
+const TASK_REPORT_TTL = 60 * 60 * 1000;
+
+// Offers still unanswered after this long no longer hold up a drain
+const OFFER_TIMEOUT = 60 * 1000;
+
+// Report IPv4 clients on dual-stack sockets the way operators write them
+function normalizeIp(address = '') {
+  return address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+// Same key whichever of the two peers asks
+function pairKey(peerId, otherPeerId) {
+  return [peerId, otherPeerId].sort().join('|');
+}
 
 /**
  * P2P Signaling Server for WebRTC connection establishment
  * Manages peer discovery, capability exchange, and WebRTC signaling
  */
 class SignalingServer {
-  constructor(port = 8083) {
+  constructor(port = 8083, options = {}) {
     this.port = port;
+    this.options = {
+      defaultRoom: options.defaultRoom || 'default',
+      maxPeersPerRoom: options.maxPeersPerRoom || 100,
+      authMode: options.authMode || 'optional', // 'optional' | 'required'
+      authTimeout: options.authTimeout || 10000,
+      resumeGracePeriod: options.resumeGracePeriod || 15000,
+      maxQueuedMessages: options.maxQueuedMessages || 100,
+      heartbeatInterval: options.heartbeatInterval || 30000,
+      maxFrameSize: options.maxFrameSize || 64 * 1024, // Bytes; larger frames close the socket (1009)
+      discoveryDebounce: options.discoveryDebounce || 250, // ms; coalesces bursts of changes per subscriber
+      maxDiscoverySubscriptions: options.maxDiscoverySubscriptions || 8,
+      adminToken: options.adminToken || process.env.SIGNALING_ADMIN_TOKEN || null, // Admin API is off without one
+      drainTimeout: options.drainTimeout ?? 10000, // ms stop() waits for in-flight offer/answer exchanges
+      reconnectJitter: options.reconnectJitter ?? 5000, // ms spread of the reconnect delay suggested while draining
+      reconnectUrl: options.reconnectUrl || process.env.SIGNALING_RECONNECT_URL || null, // Where drained clients should go
+      ...options,
+      // Merged per section so callers can override a single bucket or cost
+      rateLimits: {
+        ...DEFAULT_RATE_LIMITS,
+        ...options.rateLimits,
+        costs: { ...DEFAULT_RATE_LIMITS.costs, ...options.rateLimits?.costs }
+      },
+      ice: { ...iceOptionsFromEnv(), ...options.ice } // STUN/TURN servers; see ice-servers.mjs
+    };
+    this.instanceId = options.instanceId || randomUUID();
+    this.log = (options.logger || createLogger('signaling')).child({ instanceId: this.instanceId });
+    this.backplane = options.backplane || new InMemoryBackplane();
+    this.peerStore = options.peerStore || new MemoryPeerStore(); // Directory of authenticated peers; see peer-store.mjs
+    this.tracer = options.tracer || createTracer(); // Spans per handled message; see tracing.mjs
     this.peers = new Map(); // Map<peerId, PeerConnection>
     this.capabilities = new Map(); // Map<peerId, capabilities>
     this.connectionQueue = []; // Peers waiting for connection
-    this.rateLimits = new Map(); // Map<peerId, {count, lastReset}>
-    
+    // Peer buckets outlive the connection so reconnecting does not refill them
+    this.peerRateLimiter = new RateLimiter(this.options.rateLimits.peer);
+    this.ipRateLimiter = new RateLimiter(this.options.rateLimits.ip);
+    this.connectionRateLimiter = new RateLimiter(this.options.rateLimits.connections);
+    this.relayRateLimiter = new RateLimiter(this.options.rateLimits.relay);
+    this.reportRateLimiter = new RateLimiter(this.options.rateLimits.reports);
+    this.rooms = new Map([[this.options.defaultRoom, new Set()]]); // Map<roomName, Set<peerId>>, local and remote members
+    this.remotePeers = new Map(); // Map<peerId, {instanceId, room, authenticated, lastActivity}> on other instances
+    this.instanceLastSeen = new Map(); // Map<instanceId, timestamp>
+    this.bans = new Map(); // Map<`${type}:${value}`, {type, value, reason, createdAt, expiresAt}>
+    this.reputations = new Map(); // Map<peerId, number> cached from the peer store for ranking
+    this.taskReports = new Map(); // Map<`${reporterId}:${targetPeerId}:${taskId}`, reportedAt>
+    this.brokeredPairs = new Map(); // Map<sorted `${peerId}|${peerId}`, lastSeen> connected or relayed through us
+    this.pendingOffers = new Map(); // Map<`${fromPeerId}>${targetPeerId}`, offeredAt> awaiting an answer
+    this.draining = false;
+    this.stopping = null; // Promise returned by every stop() call once shutdown has begun
+    this.validateMessage = createMessageValidator();
+
+    this.setupMetrics();
     this.setupServer();
   }
 
+  setupMetrics() {
+    const registry = new MetricsRegistry();
+    this.metricsRegistry = registry;
+
+    registry.gauge('signaling_connected_peers', 'Peers with an open signaling socket on this instance',
+      () => Array.from(this.peers.values()).filter(peer => peer.ws).length);
+    registry.gauge('signaling_suspended_peers', 'Dropped peers held for session resumption',
+      () => Array.from(this.peers.values()).filter(peer => !peer.ws).length);
+    registry.gauge('signaling_remote_peers', 'Peers known through the backplane', () => this.remotePeers.size);
+    registry.gauge('signaling_discovery_subscriptions', 'Live discovery subscriptions on this instance',
+      () => Array.from(this.peers.values()).reduce((sum, peer) => sum + peer.discoverySubscriptions.size, 0));
+    registry.gauge('signaling_active_bans', 'IP and peer ID bans in force', () => this.listBans().length);
+    registry.gauge('signaling_room_peers', 'Room members across all instances',
+      () => this.listRooms().map(room => ({ labels: { room: room.name }, value: room.peers })));
+
+    this.metrics = {
+      messages: registry.counter('signaling_messages_total', 'Accepted signaling messages by type'),
+      invalidMessages: registry.counter('signaling_invalid_messages_total', 'Messages rejected by schema validation'),
+      forwarded: registry.counter('signaling_forwarded_total', 'Offers, answers and ICE candidates forwarded between peers'),
+      rateLimited: registry.counter('signaling_rate_limit_rejections_total', 'Messages and upgrades rejected by the rate limiter'),
+      staleCleanups: registry.counter('signaling_stale_peer_cleanups_total', 'Peers removed by the heartbeat for inactivity'),
+      relayedMessages: registry.counter('signaling_relayed_messages_total', 'Data channel frames tunnelled through the server'),
+      relayedBytes: registry.counter('signaling_relayed_bytes_total', 'Payload bytes tunnelled through the server'),
+      taskReports: registry.counter('signaling_task_reports_total', 'Delegated task outcomes reported by peers'),
+      discoveryResults: registry.histogram('signaling_discovery_results', 'Number of peers returned per discovery',
+        [0, 1, 2, 5, 10, 25, 50, 100]),
+      messageDuration: registry.histogram('signaling_message_duration_seconds', 'Time spent handling a message',
+        [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5])
+    };
+  }
+
   setupServer() {
     // Create HTTP server for health checks
     this.httpServer = http.createServer((req, res) => {
       if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
+        // 503 takes a draining instance out of load balancer rotation
+        res.writeHead(this.draining ? 503 : 200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
-          status: 'ok',
+          status: this.draining ? 'draining' : 'ok',
+          instanceId: this.instanceId,
           connections: this.peers.size,
-          capabilities: this.capabilities.size
+          remotePeers: this.remotePeers.size,
+          capabilities: this.capabilities.size,
+          rooms: Object.fromEntries(this.listRooms().map(room => [room.name, {
+            connections: room.peers,
+            capabilities: room.capabilities
+          }]))
         }));
         return;
       }
-      
+
+      if (req.url === '/metrics') {
+        res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+        res.end(this.metricsRegistry.render());
+        return;
+      }
+
+      if (req.url.startsWith('/admin/')) {
+        handleAdminRequest(this, req, res);
+        return;
+      }
+
+      if (req.url === '/rooms') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ rooms: this.listRooms() }));
+        return;
+      }
+
       res.writeHead(404);
       res.end('Not Found');
     });
@@ -37,76 +182,361 @@ class SignalingServer {
     // Create WebSocket server
     this.wss = new WebSocketServer({ 
       server: this.httpServer,
-      path: '/signaling'
+      path: '/signaling',
+      maxPayload: this.options.maxFrameSize,
+      verifyClient: (info, callback) => this.verifyUpgrade(info, callback)
     });
 
     this.wss.on('connection', (ws, req) => {
-      const peerId = randomUUID();
-      const clientInfo = {
-        id: peerId,
+      const ip = normalizeIp(req.socket.remoteAddress);
+      if (this.rejectBanned(ws, this.findBan('ip', ip))) return;
+
+      // Initial room comes from the upgrade URL, e.g. /signaling?room=pool-a
+      const room = new URL(req.url, 'http://localhost').searchParams.get('room')
+        || this.options.defaultRoom;
+
+      if (!this.isValidRoomName(room)) {
+        this.sendError(ws, 'invalid-room', 'Room name must be 1-64 characters of [A-Za-z0-9_-]');
+        ws.close(1008, 'Invalid room');
+        return;
+      }
+
+      if (this.isRoomFull(room)) {
+        this.sendError(ws, 'room-full', `Room ${room} is full`);
+        ws.close(1013, 'Room full');
+        return;
+      }
+
+      // The peer is only registered once the handshake settles its identity
+      const session = {
         ws,
-        ip: req.socket.remoteAddress,
-        connectedAt: Date.now(),
-        lastActivity: Date.now()
+        room,
+        ip,
+        nonce: createChallenge(),
+        peerId: null
       };
 
-      this.peers.set(peerId, clientInfo);
-      console.log(`[Signaling] Peer ${peerId} connected from ${clientInfo.ip}`);
-
-      // Send peer ID to client
       this.sendMessage(ws, {
-        type: 'peer-id',
-        peerId: peerId
+        type: 'auth-challenge',
+        nonce: session.nonce,
+        algorithm: 'ECDSA-P256-SHA256',
+        authMode: this.options.authMode
       });
 
+      session.authTimer = setTimeout(() => {
+        if (!session.peerId) {
+          this.sendError(ws, 'auth-timeout', 'Handshake not completed in time');
+          ws.close(4401, 'Authentication timeout');
+        }
+      }, this.options.authTimeout);
+
       // Setup message handlers
       ws.on('message', (data) => {
+        let message;
         try {
-          const message = JSON.parse(data.toString());
-          this.handleMessage(peerId, message);
+          message = JSON.parse(data.toString());
         } catch (error) {
-          console.error(`[Signaling] Invalid JSON from ${peerId}:`, error.message);
+          this.log.warn('Invalid JSON', { peerId: session.peerId, ip: session.ip, error });
           this.sendError(ws, 'invalid-json', 'Message must be valid JSON');
+          return;
+        }
+
+        // A failing handler costs the sender an error reply, not the process every room runs in
+        try {
+          if (!session.peerId) {
+            if (!this.checkMessage(ws, message)) return;
+            this.handleHandshake(session, message);
+            return;
+          }
+          this.handleMessage(session.peerId, message);
+        } catch (error) {
+          this.handleMessageError(ws, session.peerId, message, error);
         }
       });
 
-      ws.on('close', () => {
-        console.log(`[Signaling] Peer ${peerId} disconnected`);
-        this.handlePeerDisconnect(peerId);
+      ws.on('close', (code) => {
+        clearTimeout(session.authTimer);
+        if (!session.peerId) return;
+        this.log.info('Peer disconnected', { peerId: session.peerId, code });
+        // A normal closure is a deliberate leave; anything else may be a blip worth waiting out,
+        // unless this instance is going away and could not resume the session anyway
+        if (code === 1000 || this.draining) {
+          this.handlePeerDisconnect(session.peerId, ws);
+        } else {
+          this.suspendPeer(session.peerId, ws);
+        }
       });
 
       ws.on('error', (error) => {
-        console.error(`[Signaling] WebSocket error for ${peerId}:`, error.message);
-        this.handlePeerDisconnect(peerId);
+        // 'close' always follows, which takes care of the session
+        this.log.error('WebSocket error', { peerId: session.peerId, ip: session.ip, error });
       });
 
       // Update last activity
       ws.on('pong', () => {
-        if (this.peers.has(peerId)) {
-          this.peers.get(peerId).lastActivity = Date.now();
+        const peer = this.peers.get(session.peerId);
+        if (peer && peer.ws === ws) {
+          peer.lastActivity = Date.now();
         }
       });
     });
+  }
 
-    // Start connection cleanup interval
-    this.startHeartbeat();
+  handleHandshake(session, message) {
+    const { ws } = session;
+
+    if (message.type === 'resume') {
+      if (this.rejectBanned(ws, this.findBan('peerId', message.peerId))) return;
+      const peer = this.peers.get(message.peerId);
+      if (peer && !peer.authenticated && this.isValidResumeToken(peer, message.resumeToken)) {
+        this.resumePeer(session, peer);
+        return;
+      }
+      this.log.warn('Resume rejected', { peerId: message.peerId, ip: session.ip });
+      this.sendError(ws, 'resume-failed', 'Session expired or resume token invalid');
+      // Authenticated peers resume by signing the challenge instead
+      if (this.options.authMode === 'required') return;
+    }
+
+    if (message.type === 'authenticate' && !message.anonymous) {
+      const peerId = verifyChallengeResponse(session.nonce, message.publicKey, message.signature);
+      if (!peerId) {
+        this.log.warn('Authentication failed', { ip: session.ip });
+        this.sendError(ws, 'auth-failed', 'Challenge signature could not be verified');
+        ws.close(4401, 'Authentication failed');
+        return;
+      }
+      this.registerPeer(session, peerId, { authenticated: true, publicKey: message.publicKey });
+      return;
+    }
+
+    if (this.options.authMode === 'required') {
+      this.sendError(ws, 'auth-required', 'Authenticate before sending signaling messages');
+      ws.close(4401, 'Authentication required');
+      return;
+    }
+
+    // Optional mode: anything other than a signed response continues in limited mode
+    this.registerPeer(session, randomUUID(), { authenticated: false, publicKey: null });
+    if (message.type !== 'authenticate' && message.type !== 'resume') {
+      this.handleMessage(session.peerId, message);
+    }
+  }
+
+  registerPeer(session, peerId, { authenticated, publicKey }) {
+    const { ws, room } = session;
+    clearTimeout(session.authTimer);
+
+    if (this.rejectBanned(ws, this.findBan('peerId', peerId))) return;
+
+    // A proven identity takes over its previous (suspended or half-open) session
+    const existing = this.peers.get(peerId);
+    if (existing) {
+      this.resumePeer(session, existing);
+      return;
+    }
+
+    if (this.isRoomFull(room)) {
+      this.sendError(ws, 'room-full', `Room ${room} is full`);
+      ws.close(1013, 'Room full');
+      return;
+    }
+
+    session.peerId = peerId;
+    const clientInfo = {
+      id: peerId,
+      ws,
+      ip: session.ip,
+      room: null,
+      authenticated,
+      publicKey,
+      resumeToken: randomBytes(24).toString('base64url'),
+      suspendedAt: null,
+      resumeTimer: null,
+      pendingMessages: [], // Signaling queued while suspended
+      discoverySubscriptions: new Map(), // Map<subscriptionId, {id, requirements, matched: Map<peerId, announcedAt>}>
+      discoveryTimer: null,
+      relayConsent: false, // Accepts data channel frames tunnelled through the server
+      relayStats: { messagesSent: 0, bytesSent: 0, messagesReceived: 0, bytesReceived: 0 },
+      connectedAt: Date.now(),
+      lastActivity: Date.now()
+    };
+
+    this.peers.set(peerId, clientInfo);
+    this.addPeerToRoom(peerId, room);
+    if (authenticated) {
+      this.persistPeer('recordPeerSeen', peerId, { publicKey });
+      this.loadReputation(peerId);
+    }
+    this.announcePeer(peerId);
+    this.log.info('Peer connected', { peerId, ip: clientInfo.ip, room, authenticated });
+
+    // Send peer ID to client
+    this.sendMessage(ws, {
+      type: 'peer-id',
+      peerId,
+      room,
+      authenticated,
+      resumeToken: clientInfo.resumeToken,
+      resumeGracePeriod: this.options.resumeGracePeriod,
+      resumed: false
+    });
+  }
+
+  /**
+   * Keep a dropped peer's session alive for the grace period instead of
+   * tearing down its capabilities and in-flight signaling right away
+   */
+  suspendPeer(peerId, ws) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.ws !== ws) return;
+
+    peer.ws = null;
+    peer.suspendedAt = Date.now();
+    peer.resumeTimer = setTimeout(() => {
+      this.log.info('Resume window expired', { peerId });
+      this.handlePeerDisconnect(peerId);
+    }, this.options.resumeGracePeriod);
+
+    this.log.info('Peer suspended', { peerId, resumeGracePeriod: this.options.resumeGracePeriod });
+    this.scheduleDiscoveryUpdates(peer.room);
+  }
+
+  resumePeer(session, peer) {
+    const { ws } = session;
+    clearTimeout(session.authTimer);
+    clearTimeout(peer.resumeTimer);
+
+    const previousWs = peer.ws;
+    const wasSuspended = peer.suspendedAt !== null;
+    session.peerId = peer.id;
+    peer.ws = ws;
+    peer.ip = session.ip;
+    peer.suspendedAt = null;
+    peer.resumeTimer = null;
+    peer.lastActivity = Date.now();
+    peer.resumeToken = randomBytes(24).toString('base64url');
+
+    if (previousWs) {
+      // Late events from the replaced socket are ignored by the ws identity checks
+      previousWs.close(4409, 'Session replaced');
+    }
+
+    this.log.info('Peer resumed session', { peerId: peer.id, replacedLiveSocket: !wasSuspended });
+
+    // The room is part of the resumed session; the upgrade URL room is ignored
+    this.sendMessage(ws, {
+      type: 'peer-id',
+      peerId: peer.id,
+      room: peer.room,
+      authenticated: peer.authenticated,
+      resumeToken: peer.resumeToken,
+      resumeGracePeriod: this.options.resumeGracePeriod,
+      resumed: true
+    });
+
+    const queued = peer.pendingMessages.splice(0);
+    queued.forEach(message => this.sendMessage(ws, message));
+    if (queued.length > 0) {
+      this.log.info('Delivered queued messages', { peerId: peer.id, count: queued.length });
+    }
+
+    // Capability updates broadcast while away were not queued; resend the room snapshot
+    this.sendExistingCapabilities(peer.id);
+    this.scheduleDiscoveryUpdates(peer.room);
+  }
+
+  isValidResumeToken(peer, token) {
+    if (typeof token !== 'string' || token.length !== peer.resumeToken.length) {
+      return false;
+    }
+    return timingSafeEqual(Buffer.from(token), Buffer.from(peer.resumeToken));
+  }
+
+  /**
+   * Deliver a message to a peer, queueing it while the peer is suspended
+   */
+  forwardToPeer(targetPeer, message) {
+    if (message.type === 'relay') {
+      targetPeer.relayStats.messagesReceived++;
+      targetPeer.relayStats.bytesReceived += Buffer.byteLength(JSON.stringify(message.payload));
+    }
+
+    if (targetPeer.ws) {
+      this.sendMessage(targetPeer.ws, message);
+      return;
+    }
+
+    targetPeer.pendingMessages.push(message);
+    if (targetPeer.pendingMessages.length > this.options.maxQueuedMessages) {
+      targetPeer.pendingMessages.shift(); // Oldest signaling is the least useful
+    }
   }
 
   handleMessage(peerId, message) {
     const peer = this.peers.get(peerId);
     if (!peer) return;
 
-    // Rate limiting
-    if (!this.checkRateLimit(peerId)) {
-      this.sendError(peer.ws, 'rate-limit', 'Too many requests');
+    // Unauthenticated peers may consume the pool but not offer capabilities to it
+    if (!peer.authenticated && !ANONYMOUS_MESSAGE_TYPES.has(message.type)) {
+      this.sendError(peer.ws, 'auth-required', `Message type ${message.type} requires an authenticated identity`);
+      return;
+    }
+
+    const limit = this.checkRateLimit(peerId, message.type);
+    if (!limit.allowed) {
+      this.sendError(peer.ws, 'rate-limit', 'Too many requests', {
+        scope: limit.scope,
+        retryAfter: Number.isFinite(limit.retryAfter) ? limit.retryAfter : null
+      });
       return;
     }
 
     // Update last activity
     peer.lastActivity = Date.now();
 
-    console.log(`[Signaling] Message from ${peerId}:`, message.type);
+    // Nothing is forwarded to other peers unless it matches its schema
+    if (!this.checkMessage(peer.ws, message)) return;
 
+    this.log.debug('Message received', { peerId, type: message.type, correlationId: message.correlationId });
+    this.metrics.messages.inc({ type: message.type });
+    const startedAt = process.hrtime.bigint();
+
+    // Continues the sender's trace; anything forwarded below carries this span as parent
+    const span = this.tracer.startSpan(`signaling.${message.type}`, {
+      parent: message.traceparent,
+      kind: SPAN_KIND.server,
+      attributes: { 'peer.id': peerId, 'signaling.instance': this.instanceId }
+    });
+    span.setAttribute('signaling.target_peer', message.targetPeerId);
+    span.setAttribute('helios.correlation_id', message.correlationId);
+    message.traceparent = span.traceparent();
+
+    try {
+      this.dispatchMessage(peer, message);
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+
+    this.metrics.messageDuration.observe(
+      { type: message.type },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  }
+
+  /**
+   * Log a message whose handler threw and tell the sender it was not processed
+   */
+  handleMessageError(ws, peerId, message, error) {
+    this.log.error('Failed to handle message', { peerId, type: message && message.type, error });
+    this.sendError(ws, 'internal-error', 'Message could not be processed');
+  }
+
+  dispatchMessage(peer, message) {
+    const peerId = peer.id;
     switch (message.type) {
       case 'capability-announce':
         this.handleCapabilityAnnounce(peerId, message);
@@ -114,6 +544,12 @@ class SignalingServer {
       case 'discover':
         this.handlePeerDiscovery(peerId, message);
         break;
+      case 'subscribe-discovery':
+        this.handleSubscribeDiscovery(peerId, message);
+        break;
+      case 'unsubscribe-discovery':
+        this.handleUnsubscribeDiscovery(peerId, message);
+        break;
       case 'offer':
         this.handleWebRTCOffer(peerId, message);
         break;
@@ -123,6 +559,27 @@ class SignalingServer {
       case 'ice-candidate':
         this.handleICECandidate(peerId, message);
         break;
+      case 'join-room':
+        this.handleJoinRoom(peerId, message);
+        break;
+      case 'leave-room':
+        this.handleLeaveRoom(peerId);
+        break;
+      case 'list-rooms':
+        this.sendMessage(peer.ws, { type: 'rooms-list', rooms: this.listRooms() });
+        break;
+      case 'relay-consent':
+        this.handleRelayConsent(peerId, message);
+        break;
+      case 'relay':
+        this.handleRelay(peerId, message);
+        break;
+      case 'get-ice-servers':
+        this.handleGetIceServers(peerId);
+        break;
+      case 'task-report':
+        this.handleTaskReport(peerId, message).catch(error => this.handleMessageError(peer.ws, peerId, message, error));
+        break;
       case 'ping':
         this.sendMessage(peer.ws, { type: 'pong' });
         break;
@@ -146,7 +603,9 @@ class SignalingServer {
       peerId
     });
 
-    console.log(`[Signaling] Capabilities announced for ${peerId}:`, capabilities);
+    this.log.info('Capabilities announced', { peerId, capabilities: summarizeCapabilities(capabilities) });
+    this.publishPeerEvent('capabilities', peerId, { capabilities });
+    this.persistPeer('recordCapabilities', peerId, capabilities);
 
     // Broadcast capability update to all other peers
     this.broadcastToOthers(peerId, {
@@ -157,156 +616,506 @@ class SignalingServer {
 
     // Send existing peer capabilities to this peer
     this.sendExistingCapabilities(peerId);
+    this.scheduleDiscoveryUpdates(this.peers.get(peerId).room);
   }
 
   handlePeerDiscovery(peerId, message) {
     const { requirements } = message;
-    const matchingPeers = this.findMatchingPeers(peerId, requirements);
+    const result = this.findMatchingPeers(peerId, requirements);
+    this.metrics.discoveryResults.observe({}, result.total);
     
     const peer = this.peers.get(peerId);
     this.sendMessage(peer.ws, {
       type: 'peers-discovered',
-      peers: matchingPeers
+      ...result
     });
 
-    console.log(`[Signaling] Discovery for ${peerId} found ${matchingPeers.length} matching peers`);
+    this.log.info('Discovery completed', { peerId, total: result.total, correlationId: message.correlationId });
   }
 
-  handleWebRTCOffer(peerId, message) {
-    const { targetPeerId, sdp } = message;
-    const targetPeer = this.peers.get(targetPeerId);
-    
-    if (!targetPeer) {
-      this.sendError(this.peers.get(peerId).ws, 'peer-not-found', 'Target peer not connected');
+  /**
+   * Register a standing discovery query; matches then arrive as
+   * peer-matched / peer-unmatched instead of room-wide capability updates
+   */
+  handleSubscribeDiscovery(peerId, message) {
+    const peer = this.peers.get(peerId);
+    const subscriptionId = message.subscriptionId || randomUUID();
+
+    if (!peer.discoverySubscriptions.has(subscriptionId) &&
+        peer.discoverySubscriptions.size >= this.options.maxDiscoverySubscriptions) {
+      this.sendError(peer.ws, 'subscription-limit',
+        `At most ${this.options.maxDiscoverySubscriptions} discovery subscriptions per peer`);
       return;
     }
 
-    this.sendMessage(targetPeer.ws, {
-      type: 'offer',
-      fromPeerId: peerId,
-      sdp
+    // Re-subscribing under the same ID replaces the query and starts from a fresh snapshot
+    const subscription = { id: subscriptionId, requirements: message.requirements || {}, matched: new Map() };
+    peer.discoverySubscriptions.set(subscriptionId, subscription);
+
+    const { peers } = this.findMatchingPeers(peerId, subscription.requirements);
+    peers.forEach(match => subscription.matched.set(match.peerId, match.capabilities.announcedAt));
+
+    this.sendMessage(peer.ws, {
+      type: 'discovery-subscribed',
+      subscriptionId,
+      peers
     });
 
-    console.log(`[Signaling] WebRTC offer forwarded from ${peerId} to ${targetPeerId}`);
+    this.log.info('Discovery subscribed', { peerId, subscriptionId, matches: peers.length });
   }
 
-  handleWebRTCAnswer(peerId, message) {
-    const { targetPeerId, sdp } = message;
-    const targetPeer = this.peers.get(targetPeerId);
-    
-    if (!targetPeer) {
-      this.sendError(this.peers.get(peerId).ws, 'peer-not-found', 'Target peer not connected');
+  handleUnsubscribeDiscovery(peerId, message) {
+    const peer = this.peers.get(peerId);
+    const { subscriptionId } = message;
+
+    if (!peer.discoverySubscriptions.delete(subscriptionId)) {
+      this.sendError(peer.ws, 'unknown-subscription', `No discovery subscription ${subscriptionId}`);
       return;
     }
+    if (peer.discoverySubscriptions.size === 0) {
+      clearTimeout(peer.discoveryTimer);
+      peer.discoveryTimer = null;
+    }
 
-    this.sendMessage(targetPeer.ws, {
-      type: 'answer',
+    this.sendMessage(peer.ws, { type: 'discovery-unsubscribed', subscriptionId });
+  }
+
+  /**
+   * Queue re-evaluation for every subscriber in a room; changes arriving within
+   * the debounce window share one evaluation
+   */
+  scheduleDiscoveryUpdates(room) {
+    for (const peerId of this.rooms.get(room) || []) {
+      const peer = this.peers.get(peerId);
+      if (!peer || peer.discoverySubscriptions.size === 0 || peer.discoveryTimer) continue;
+
+      peer.discoveryTimer = setTimeout(() => {
+        peer.discoveryTimer = null;
+        this.updateDiscoverySubscriptions(peerId);
+      }, this.options.discoveryDebounce);
+    }
+  }
+
+  /**
+   * Diff each subscription's current matches against what the subscriber was last told
+   */
+  updateDiscoverySubscriptions(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer || !peer.ws) return; // Suspended subscribers catch up when they resume
+
+    for (const subscription of peer.discoverySubscriptions.values()) {
+      const { peers } = this.findMatchingPeers(peerId, subscription.requirements);
+      const current = new Map(peers.map(match => [match.peerId, match]));
+
+      for (const matchedPeerId of subscription.matched.keys()) {
+        if (current.has(matchedPeerId)) continue;
+        subscription.matched.delete(matchedPeerId);
+        this.sendMessage(peer.ws, {
+          type: 'peer-unmatched',
+          subscriptionId: subscription.id,
+          peerId: matchedPeerId
+        });
+      }
+
+      // New matches and matched peers that re-announced their capabilities
+      for (const match of current.values()) {
+        const announcedAt = match.capabilities.announcedAt;
+        if (subscription.matched.get(match.peerId) === announcedAt) continue;
+        subscription.matched.set(match.peerId, announcedAt);
+        this.sendMessage(peer.ws, {
+          type: 'peer-matched',
+          subscriptionId: subscription.id,
+          peer: match
+        });
+      }
+    }
+  }
+
+  /**
+   * Hand out STUN servers plus, for authenticated peers, short-lived TURN
+   * credentials so clients can fall back to a relayed path
+   */
+  handleGetIceServers(peerId) {
+    const peer = this.peers.get(peerId);
+    const { iceServers, relayAvailable, expiresAt } = buildIceServers(this.options.ice, peerId, peer.authenticated);
+
+    this.sendMessage(peer.ws, {
+      type: 'ice-servers',
+      iceServers,
+      relayAvailable,
+      expiresAt
+    });
+  }
+
+  handleRelayConsent(peerId, message) {
+    const peer = this.peers.get(peerId);
+    peer.relayConsent = message.allow;
+    this.publishPeerEvent('relay-consent', peerId, { allow: message.allow });
+    this.sendMessage(peer.ws, { type: 'relay-consent-updated', allow: message.allow });
+    this.log.info('Relay consent updated', { peerId, allow: message.allow });
+  }
+
+  /**
+   * Tunnel a data channel frame over the signaling sockets for peers that
+   * cannot establish WebRTC; both ends must have consented and the sender
+   * pays for the payload bytes from its relay bucket
+   */
+  handleRelay(peerId, message) {
+    const peer = this.peers.get(peerId);
+    const { targetPeerId, payload } = message;
+    const details = { targetPeerId, taskId: payload.taskId };
+
+    if (!this.getRoomPeerIds(peerId).has(targetPeerId)) {
+      this.sendError(peer.ws, 'peer-not-found', 'Target peer not connected', details);
+      return;
+    }
+    if (!peer.relayConsent) {
+      this.sendError(peer.ws, 'relay-consent-required', 'Send relay-consent before relaying messages', details);
+      return;
+    }
+    const target = this.peers.get(targetPeerId) || this.remotePeers.get(targetPeerId);
+    if (!target.relayConsent) {
+      this.sendError(peer.ws, 'relay-refused', `Peer ${targetPeerId} does not accept relayed messages`, details);
+      return;
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(payload));
+    const budget = RateLimiter.consume([[this.relayRateLimiter, peerId]], bytes);
+    if (!budget.allowed) {
+      this.metrics.rateLimited.inc({ scope: 'relay' });
+      this.sendError(peer.ws, 'rate-limit', 'Relay bandwidth exceeded', {
+        ...details,
+        scope: 'relay',
+        retryAfter: Number.isFinite(budget.retryAfter) ? budget.retryAfter : null
+      });
+      return;
+    }
+
+    this.routeSignal(peerId, targetPeerId, { type: 'relay', fromPeerId: peerId, payload, traceparent: message.traceparent });
+    this.brokeredPairs.set(pairKey(peerId, targetPeerId), Date.now());
+    this.log.debug('Relayed task frame', { peerId, targetPeerId, type: payload.type, bytes, correlationId: payload.taskId });
+    peer.relayStats.messagesSent++;
+    peer.relayStats.bytesSent += bytes;
+    this.metrics.relayedMessages.inc({ type: payload.type });
+    this.metrics.relayedBytes.inc({}, bytes);
+  }
+
+  /**
+   * Record the outcome of a task the reporter delegated to targetPeerId; only
+   * authenticated peers may report, only on peers this instance connected
+   * them to, at a limited rate per pair, and each task counts once per reporter
+   * and worker
+   */
+  async handleTaskReport(peerId, message) {
+    const peer = this.peers.get(peerId);
+    const { targetPeerId, taskId, outcome } = message;
+    const details = { targetPeerId, taskId };
+    const reportKey = `${peerId}:${targetPeerId}:${taskId}`; // Failover keeps the taskId across peers
+
+    if (targetPeerId === peerId) {
+      this.sendError(peer.ws, 'invalid-report', 'Peers cannot report on their own tasks', details);
+      return;
+    }
+    if (!this.brokeredPairs.has(pairKey(peerId, targetPeerId))) {
+      this.sendError(peer.ws, 'invalid-report', 'No task between these peers went through this server', details);
+      return;
+    }
+    if (this.taskReports.has(reportKey)) {
+      this.sendError(peer.ws, 'duplicate-report', `Task ${taskId} was already reported`, details);
+      return;
+    }
+    const budget = RateLimiter.consume([[this.reportRateLimiter, `${peerId}>${targetPeerId}`]], 1);
+    if (!budget.allowed) {
+      this.metrics.rateLimited.inc({ scope: 'reports' });
+      this.sendError(peer.ws, 'rate-limit', `Too many reports about peer ${targetPeerId}`, {
+        ...details,
+        scope: 'reports',
+        retryAfter: budget.retryAfter
+      });
+      return;
+    }
+    this.taskReports.set(reportKey, Date.now());
+
+    let entry;
+    try {
+      if (!(await this.peerStore.getPeer(targetPeerId))) {
+        this.taskReports.delete(reportKey);
+        this.sendError(peer.ws, 'peer-not-found', 'Target peer is not in the peer directory', details);
+        return;
+      }
+      entry = await this.peerStore.recordTaskOutcome(targetPeerId, outcome === 'completed');
+    } catch (error) {
+      this.log.error('Failed to record task report', { peerId, targetPeerId, correlationId: taskId, error });
+      this.taskReports.delete(reportKey);
+      this.sendError(peer.ws, 'store-unavailable', 'Task report could not be recorded', details);
+      return;
+    }
+
+    const reputation = reputationOf(entry);
+    this.log.info('Task reported', { peerId, targetPeerId, outcome, reputation, correlationId: taskId });
+    this.metrics.taskReports.inc({ outcome });
+    this.updateReputation(targetPeerId, reputation);
+    this.publishPeerEvent('reputation', targetPeerId, { reputation });
+    // The reporter may have been suspended while the store was busy
+    this.sendMessage(peer.ws, { type: 'task-report-recorded', targetPeerId, taskId, reputation });
+  }
+
+  handleJoinRoom(peerId, message) {
+    const peer = this.peers.get(peerId);
+    const { room } = message;
+
+    if (!this.isValidRoomName(room)) {
+      this.sendError(peer.ws, 'invalid-room', 'Room name must be 1-64 characters of [A-Za-z0-9_-]');
+      return;
+    }
+
+    if (room === peer.room) {
+      this.sendMessage(peer.ws, { type: 'room-joined', room, peers: this.rooms.get(room).size });
+      return;
+    }
+
+    if (this.isRoomFull(room)) {
+      this.sendError(peer.ws, 'room-full', `Room ${room} is full`);
+      return;
+    }
+
+    this.movePeerToRoom(peerId, room);
+  }
+
+  handleLeaveRoom(peerId) {
+    const peer = this.peers.get(peerId);
+    const previousRoom = peer.room;
+
+    // Leaving a named room returns the peer to the default room
+    if (previousRoom !== this.options.defaultRoom) {
+      if (this.isRoomFull(this.options.defaultRoom)) {
+        this.sendError(peer.ws, 'room-full', `Room ${this.options.defaultRoom} is full`);
+        return;
+      }
+      this.movePeerToRoom(peerId, this.options.defaultRoom);
+    }
+
+    this.sendMessage(peer.ws, { type: 'room-left', room: previousRoom, currentRoom: peer.room });
+  }
+
+  movePeerToRoom(peerId, room) {
+    const peer = this.peers.get(peerId);
+    const previousRoom = peer.room;
+
+    // Members of the old room see this peer go away
+    this.broadcastToOthers(peerId, {
+      type: 'peer-disconnected',
+      peerId
+    });
+    this.publishPeerEvent('peer-left', peerId);
+    this.removePeerFromRoom(peerId);
+    this.addPeerToRoom(peerId, room);
+    this.announcePeer(peerId);
+
+    this.log.info('Peer changed room', { peerId, previousRoom, room });
+
+    this.sendMessage(peer.ws, {
+      type: 'room-joined',
+      room,
+      previousRoom,
+      peers: this.rooms.get(room).size
+    });
+
+    // Carry already announced capabilities over to the new room
+    const capabilities = this.capabilities.get(peerId);
+    if (capabilities) {
+      this.broadcastToOthers(peerId, {
+        type: 'peer-capability-update',
+        peerId,
+        capabilities
+      });
+    }
+    this.sendExistingCapabilities(peerId);
+  }
+
+  addPeerToRoom(peerId, room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(peerId);
+    (this.peers.get(peerId) || this.remotePeers.get(peerId)).room = room;
+    this.scheduleDiscoveryUpdates(room);
+  }
+
+  removePeerFromRoom(peerId) {
+    const peer = this.peers.get(peerId) || this.remotePeers.get(peerId);
+    if (!peer || !peer.room) return;
+
+    const members = this.rooms.get(peer.room);
+    if (members) {
+      members.delete(peerId);
+      // Named rooms disappear with their last member
+      if (members.size === 0 && peer.room !== this.options.defaultRoom) {
+        this.rooms.delete(peer.room);
+      }
+    }
+    this.scheduleDiscoveryUpdates(peer.room);
+    peer.room = null;
+  }
+
+  isValidRoomName(room) {
+    return typeof room === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(room);
+  }
+
+  isRoomFull(room) {
+    const members = this.rooms.get(room);
+    return Boolean(members) && members.size >= this.options.maxPeersPerRoom;
+  }
+
+  getRoomPeerIds(peerId) {
+    const peer = this.peers.get(peerId);
+    return (peer && peer.room && this.rooms.get(peer.room)) || new Set();
+  }
+
+  /**
+   * Deliver signaling to a room mate, locally or through the backplane
+   * @returns {boolean} - False when the target is not in the sender's room
+   */
+  routeSignal(fromPeerId, targetPeerId, message) {
+    if (!this.getRoomPeerIds(fromPeerId).has(targetPeerId)) {
+      return false;
+    }
+
+    const localPeer = this.peers.get(targetPeerId);
+    if (localPeer) {
+      this.metrics.forwarded.inc({ type: message.type, route: localPeer.ws ? 'local' : 'queued' });
+      this.forwardToPeer(localPeer, message);
+      return true;
+    }
+
+    const remotePeer = this.remotePeers.get(targetPeerId);
+    if (remotePeer) {
+      this.metrics.forwarded.inc({ type: message.type, route: 'remote' });
+      this.backplane.publish(SUBJECTS.forward(remotePeer.instanceId), {
+        instanceId: this.instanceId,
+        targetPeerId,
+        message
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  listRooms() {
+    return Array.from(this.rooms.entries()).map(([name, members]) => ({
+      name,
+      peers: members.size,
+      capabilities: Array.from(members).filter(peerId => this.capabilities.has(peerId)).length,
+      maxPeers: this.options.maxPeersPerRoom
+    }));
+  }
+
+  handleWebRTCOffer(peerId, message) {
+    const { targetPeerId, sdp, keys, correlationId, traceparent } = message;
+    if (this.draining) {
+      // Negotiations already under way may finish; new ones belong on the next instance
+      this.sendError(this.peers.get(peerId).ws, 'server-draining', 'Server is shutting down, reconnect before negotiating', {
+        targetPeerId
+      });
+      return;
+    }
+
+    const forwarded = this.routeSignal(peerId, targetPeerId, {
+      type: 'offer',
       fromPeerId: peerId,
-      sdp
+      sdp,
+      keys,
+      correlationId,
+      traceparent
     });
+    
+    if (!forwarded) {
+      this.sendError(this.peers.get(peerId).ws, 'peer-not-found', 'Target peer not connected');
+      return;
+    }
 
-    console.log(`[Signaling] WebRTC answer forwarded from ${peerId} to ${targetPeerId}`);
+    this.pendingOffers.set(`${peerId}>${targetPeerId}`, Date.now());
+    this.log.info('Offer forwarded', { peerId, targetPeerId, correlationId });
   }
 
-  handleICECandidate(peerId, message) {
-    const { targetPeerId, candidate } = message;
-    const targetPeer = this.peers.get(targetPeerId);
+  handleWebRTCAnswer(peerId, message) {
+    const { targetPeerId, sdp, keys, correlationId, traceparent } = message;
+    const forwarded = this.routeSignal(peerId, targetPeerId, {
+      type: 'answer',
+      fromPeerId: peerId,
+      sdp,
+      keys,
+      correlationId,
+      traceparent
+    });
     
-    if (!targetPeer) {
+    if (!forwarded) {
       this.sendError(this.peers.get(peerId).ws, 'peer-not-found', 'Target peer not connected');
       return;
     }
 
-    this.sendMessage(targetPeer.ws, {
+    this.pendingOffers.delete(`${targetPeerId}>${peerId}`);
+    this.brokeredPairs.set(pairKey(peerId, targetPeerId), Date.now());
+    this.log.info('Answer forwarded', { peerId, targetPeerId, correlationId });
+  }
+
+  handleICECandidate(peerId, message) {
+    const { targetPeerId, candidate, correlationId, traceparent } = message;
+    const forwarded = this.routeSignal(peerId, targetPeerId, {
       type: 'ice-candidate',
       fromPeerId: peerId,
-      candidate
+      candidate,
+      correlationId,
+      traceparent
     });
+    
+    if (!forwarded) {
+      this.sendError(this.peers.get(peerId).ws, 'peer-not-found', 'Target peer not connected');
+    }
   }
 
+  /**
+   * Evaluate a discovery query against the requester's room (see discovery.mjs)
+   * @returns {{peers: Array, total: number, offset: number, nextOffset: number|null}}
+   */
   findMatchingPeers(requesterId, requirements = {}) {
+    const query = compileDiscoveryQuery(requirements);
     const matchingPeers = [];
     
-    for (const [peerId, capabilities] of this.capabilities.entries()) {
+    for (const peerId of this.getRoomPeerIds(requesterId)) {
       if (peerId === requesterId) continue; // Don't match self
       
-      const peer = this.peers.get(peerId);
-      if (!peer || peer.ws.readyState !== peer.ws.OPEN) continue; // Skip disconnected peers
-      
-      let matches = true;
-      
-      // Check AI capability requirement
-      if (requirements.needsAI && !capabilities.hasAI) {
-        matches = false;
-      }
+      const capabilities = this.capabilities.get(peerId);
+      if (!capabilities) continue; // Nothing announced yet
       
-      // Check minimum quota requirement
-      if (requirements.minQuota && capabilities.quota && 
-          capabilities.quota.availableQuota < requirements.minQuota) {
-        matches = false;
-      }
+      const localPeer = this.peers.get(peerId);
+      const peer = localPeer || this.remotePeers.get(peerId);
+      if (!peer) continue;
+      if (localPeer && (!localPeer.ws || localPeer.ws.readyState !== localPeer.ws.OPEN)) continue; // Skip disconnected and suspended peers
       
-      // Check preferred models
-      if (requirements.preferredModels && capabilities.models) {
-        const hasPreferredModel = requirements.preferredModels.some(model => 
-          capabilities.models.includes(model)
-        );
-        if (!hasPreferredModel) {
-          matches = false;
-        }
-      }
-      
-      if (matches) {
+      if (matchesQuery(query, capabilities)) {
         matchingPeers.push({
           peerId,
           capabilities,
           performance: capabilities.performance || {},
-          lastSeen: peer.lastActivity
+          authenticated: peer.authenticated,
+          lastSeen: peer.lastActivity,
+          reputation: this.reputations.get(peerId) ?? null
         });
       }
     }
     
-    // Sort by performance score (best first)
-    return matchingPeers.sort((a, b) => {
-      const scoreA = this.calculatePeerScore(a);
-      const scoreB = this.calculatePeerScore(b);
-      return scoreB - scoreA;
-    });
-  }
-
-  calculatePeerScore(peer) {
-    let score = 0;
-    const { capabilities, performance } = peer;
-    
-    // Quota availability weight (40%)
-    if (capabilities.quota) {
-      score += capabilities.quota.availableQuota * 0.4;
-    }
-    
-    // Low latency bonus (30 points if <100ms)
-    if (performance.latency && performance.latency < 100) {
-      score += 30;
-    }
-    
-    // Model variety weight (10% per model)
-    if (capabilities.models) {
-      score += capabilities.models.length * 0.1;
-    }
-    
-    // Recent activity bonus
-    const minutesAgo = (Date.now() - peer.lastSeen) / (1000 * 60);
-    if (minutesAgo < 5) {
-      score += 10;
-    }
-    
-    return score;
+    return rankPeers(matchingPeers, query);
   }
 
   sendExistingCapabilities(peerId) {
     const peer = this.peers.get(peerId);
+    if (peer.discoverySubscriptions.size > 0) return; // Subscribers learn about peers through their matches
     
-    for (const [existingPeerId, capabilities] of this.capabilities.entries()) {
-      if (existingPeerId !== peerId) { // Don't send peer its own capabilities
+    for (const existingPeerId of this.getRoomPeerIds(peerId)) {
+      const capabilities = this.capabilities.get(existingPeerId);
+      if (capabilities && existingPeerId !== peerId) { // Don't send peer its own capabilities
         this.sendMessage(peer.ws, {
           type: 'peer-capability-update',
           peerId: existingPeerId,
@@ -317,71 +1126,414 @@ class SignalingServer {
   }
 
   broadcastToOthers(excludePeerId, message) {
-    for (const [peerId, peer] of this.peers.entries()) {
-      if (peerId !== excludePeerId && peer.ws.readyState === peer.ws.OPEN) {
+    // Broadcasts never leave the sender's room
+    const peer = this.peers.get(excludePeerId);
+    if (peer && peer.room) {
+      this.broadcastToRoom(peer.room, message, excludePeerId);
+    }
+  }
+
+  broadcastToRoom(room, message, excludePeerId = null) {
+    // Only local sockets; other instances fan out to their own members
+    for (const peerId of this.rooms.get(room) || []) {
+      const peer = this.peers.get(peerId);
+      if (peerId !== excludePeerId && peer && peer.ws && peer.ws.readyState === peer.ws.OPEN) {
+        // Discovery subscribers only hear about the peers that match their queries
+        if (message.type === 'peer-capability-update' && peer.discoverySubscriptions.size > 0) continue;
         this.sendMessage(peer.ws, message);
       }
     }
   }
 
+  // Directory writes are best-effort and never hold up signaling
+  persistPeer(method, peerId, ...args) {
+    this.peerStore[method](peerId, ...args).catch(error => {
+      this.log.error('Peer store write failed', { peerId, method, error });
+    });
+  }
+
+  loadReputation(peerId) {
+    this.peerStore.getPeer(peerId)
+      .then(entry => this.updateReputation(peerId, reputationOf(entry)))
+      .catch(error => {
+        this.log.error('Failed to load reputation', { peerId, error });
+      });
+  }
+
+  // Only peers currently known here are cached; the rest load on join
+  updateReputation(peerId, reputation) {
+    if (this.peers.has(peerId) || this.remotePeers.has(peerId)) {
+      this.reputations.set(peerId, reputation);
+    }
+  }
+
+  publishPeerEvent(kind, peerId, data = {}) {
+    this.backplane.publish(SUBJECTS.event(kind), {
+      instanceId: this.instanceId,
+      peerId,
+      ...data
+    });
+  }
+
+  announcePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    this.publishPeerEvent('peer-joined', peerId, {
+      room: peer.room,
+      authenticated: peer.authenticated,
+      relayConsent: peer.relayConsent,
+      capabilities: this.capabilities.get(peerId) || null
+    });
+  }
+
+  handleBackplaneEvent(event, subject) {
+    if (event.instanceId === this.instanceId) return;
+    this.instanceLastSeen.set(event.instanceId, Date.now());
+
+    switch (subject.split('.').pop()) {
+      case 'peer-joined':
+        this.handleRemotePeerJoined(event);
+        break;
+      case 'peer-left':
+        this.removeRemotePeer(event.peerId, event.instanceId);
+        break;
+      case 'capabilities':
+        this.handleRemoteCapabilities(event);
+        break;
+      case 'instance-up':
+        // A new instance needs a snapshot of the peers connected here
+        for (const peerId of this.peers.keys()) {
+          this.announcePeer(peerId);
+        }
+        break;
+      case 'instance-down':
+        this.removeRemoteInstance(event.instanceId);
+        break;
+      case 'relay-consent': {
+        const remotePeer = this.remotePeers.get(event.peerId);
+        if (remotePeer) remotePeer.relayConsent = event.allow;
+        break;
+      }
+      case 'ban-added':
+        this.applyBan(event.ban);
+        break;
+      case 'ban-removed':
+        this.bans.delete(`${event.banType}:${event.value}`);
+        break;
+      case 'reputation':
+        this.updateReputation(event.peerId, event.reputation);
+        break;
+      // 'instance-heartbeat' only refreshes instanceLastSeen
+    }
+  }
+
+  handleRemotePeerJoined({ instanceId, peerId, room, authenticated, relayConsent = false, capabilities }) {
+    const localPeer = this.peers.get(peerId);
+    if (localPeer) {
+      // The identity reconnected through another instance; the newer session wins
+      // and room mates are not told, since the peer never actually left
+      this.log.info('Peer moved to another instance, dropping local session', { peerId, remoteInstanceId: instanceId });
+      clearTimeout(localPeer.resumeTimer);
+      clearTimeout(localPeer.discoveryTimer);
+      this.removePeerFromRoom(peerId);
+      this.peers.delete(peerId);
+      if (localPeer.ws) {
+        localPeer.ws.close(4409, 'Session replaced');
+      }
+    }
+
+    const existing = this.remotePeers.get(peerId);
+    if (existing && existing.room !== room) {
+      this.removeRemotePeer(peerId, existing.instanceId);
+    }
+
+    if (!this.remotePeers.has(peerId)) {
+      this.remotePeers.set(peerId, { id: peerId, instanceId, room: null, authenticated, lastActivity: Date.now() });
+      this.addPeerToRoom(peerId, room);
+    }
+    Object.assign(this.remotePeers.get(peerId), { instanceId, authenticated, relayConsent, lastActivity: Date.now() });
+    if (authenticated && !this.reputations.has(peerId)) {
+      this.loadReputation(peerId);
+    }
+
+    if (capabilities) {
+      this.handleRemoteCapabilities({ peerId, capabilities });
+    }
+  }
+
+  handleRemoteCapabilities({ peerId, capabilities }) {
+    const remotePeer = this.remotePeers.get(peerId);
+    if (!remotePeer) return;
+
+    remotePeer.lastActivity = Date.now();
+    this.capabilities.set(peerId, {
+      ...capabilities,
+      announcedAt: Date.now(),
+      peerId
+    });
+    this.scheduleDiscoveryUpdates(remotePeer.room);
+    this.broadcastToRoom(remotePeer.room, {
+      type: 'peer-capability-update',
+      peerId,
+      capabilities
+    }, peerId);
+  }
+
+  removeRemotePeer(peerId, instanceId) {
+    const remotePeer = this.remotePeers.get(peerId);
+    if (!remotePeer || remotePeer.instanceId !== instanceId) return;
+
+    this.broadcastToRoom(remotePeer.room, {
+      type: 'peer-disconnected',
+      peerId
+    }, peerId);
+    this.removePeerFromRoom(peerId);
+    this.remotePeers.delete(peerId);
+    this.capabilities.delete(peerId);
+    this.reputations.delete(peerId);
+  }
+
+  removeRemoteInstance(instanceId) {
+    for (const [peerId, remotePeer] of this.remotePeers.entries()) {
+      if (remotePeer.instanceId === instanceId) {
+        this.removeRemotePeer(peerId, instanceId);
+      }
+    }
+    this.instanceLastSeen.delete(instanceId);
+  }
+
+  handleForwardedSignal({ targetPeerId, message }) {
+    const targetPeer = this.peers.get(targetPeerId);
+    if (!targetPeer) {
+      this.log.warn('Dropping forwarded message for unknown peer', {
+        targetPeerId,
+        type: message.type,
+        correlationId: message.correlationId
+      });
+      return;
+    }
+    // Answers to our peers' offers are negotiated on the answerer's instance
+    if (message.type === 'answer') {
+      this.brokeredPairs.set(pairKey(message.fromPeerId, targetPeerId), Date.now());
+    }
+    this.forwardToPeer(targetPeer, message);
+  }
+
   sendMessage(ws, message) {
-    if (ws.readyState === ws.OPEN) {
+    if (ws && ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify(message));
     }
   }
 
-  sendError(ws, code, message) {
+  sendError(ws, code, message, details = {}) {
     this.sendMessage(ws, {
       type: 'error',
-      error: { code, message }
+      error: { code, message, ...details }
     });
   }
 
-  checkRateLimit(peerId) {
-    const now = Date.now();
-    const limit = this.rateLimits.get(peerId);
-    
-    if (!limit) {
-      this.rateLimits.set(peerId, { count: 1, lastReset: now });
-      return true;
+  /**
+   * Validate a message against its schema, replying with a structured error if it fails
+   * @returns {boolean} - Whether the message may be processed
+   */
+  checkMessage(ws, message) {
+    const result = this.validateMessage(message);
+    if (result.valid) return true;
+
+    this.metrics.invalidMessages.inc({ code: result.code });
+
+    this.sendError(ws, result.code, result.message, {
+      field: result.field,
+      messageType: typeof message?.type === 'string' ? message.type : null,
+      schemaVersion: SCHEMA_VERSION
+    });
+    return false;
+  }
+
+  /**
+   * Admin view of a local peer, or null if it is not on this instance
+   */
+  describePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return null;
+
+    const announced = this.capabilities.get(peerId);
+    let capabilities = null;
+    if (announced) {
+      capabilities = { ...announced };
+      delete capabilities.peerId;
     }
-    
-    // Reset count every minute
-    if (now - limit.lastReset > 60000) {
-      limit.count = 1;
-      limit.lastReset = now;
-      return true;
+    return {
+      peerId,
+      room: peer.room,
+      ip: peer.ip,
+      authenticated: peer.authenticated,
+      connected: peer.ws !== null,
+      suspendedAt: peer.suspendedAt,
+      connectedAt: peer.connectedAt,
+      lastActivity: peer.lastActivity,
+      capabilities,
+      rateLimit: this.peerRateLimiter.describe(peerId),
+      relay: { consent: peer.relayConsent, ...peer.relayStats, bandwidth: this.relayRateLimiter.describe(peerId) }
+    };
+  }
+
+  /**
+   * Drop a peer immediately; unlike a network blip the session is not held for resumption
+   */
+  disconnectPeer(peerId, reason, code = 4410) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return false;
+
+    const { ws } = peer;
+    this.log.info('Disconnecting peer', { peerId, reason });
+    this.handlePeerDisconnect(peerId);
+    if (ws) {
+      this.sendError(ws, code === 4403 ? 'banned' : 'disconnected', reason);
+      ws.close(code, reason);
     }
-    
-    // Allow up to 100 messages per minute
-    if (limit.count >= 100) {
-      return false;
+    return true;
+  }
+
+  addBan({ type, value, reason = null, durationMs = null }) {
+    const now = Date.now();
+    const ban = { type, value, reason, createdAt: now, expiresAt: durationMs ? now + durationMs : null };
+    this.applyBan(ban);
+    this.backplane.publish(SUBJECTS.event('ban-added'), { instanceId: this.instanceId, ban });
+    return ban;
+  }
+
+  removeBan(type, value) {
+    if (!this.findBan(type, value)) return false;
+    this.bans.delete(`${type}:${value}`);
+    this.backplane.publish(SUBJECTS.event('ban-removed'), { instanceId: this.instanceId, banType: type, value });
+    return true;
+  }
+
+  /**
+   * Record a ban and drop matching peers, including suspended sessions
+   */
+  applyBan(ban) {
+    this.bans.set(`${ban.type}:${ban.value}`, ban);
+    // Keyed by type so IP values go through the same redaction as any address
+    this.log.info('Ban applied', { [ban.type]: ban.value, reason: ban.reason, expiresAt: ban.expiresAt });
+
+    for (const peer of Array.from(this.peers.values())) {
+      if ((ban.type === 'ip' && peer.ip === ban.value) || (ban.type === 'peerId' && peer.id === ban.value)) {
+        this.disconnectPeer(peer.id, ban.reason || 'Banned', 4403);
+      }
     }
-    
-    limit.count++;
+  }
+
+  findBan(type, value) {
+    const ban = this.bans.get(`${type}:${value}`);
+    if (ban && ban.expiresAt !== null && ban.expiresAt <= Date.now()) {
+      this.bans.delete(`${type}:${value}`);
+      return null;
+    }
+    return ban || null;
+  }
+
+  listBans() {
+    return Array.from(this.bans.values()).filter(ban => this.findBan(ban.type, ban.value));
+  }
+
+  /**
+   * Close a connection that matches a ban
+   * @returns {boolean} - Whether the connection was rejected
+   */
+  rejectBanned(ws, ban) {
+    if (!ban) return false;
+    this.log.warn('Rejected banned connection', { [ban.type]: ban.value });
+    this.sendError(ws, 'banned', ban.reason || 'Banned', { expiresAt: ban.expiresAt });
+    ws.close(4403, 'Banned');
     return true;
   }
 
-  handlePeerDisconnect(peerId) {
-    this.peers.delete(peerId);
-    this.capabilities.delete(peerId);
-    this.rateLimits.delete(peerId);
-    
-    // Notify other peers about disconnection
+  /**
+   * Charge a message against the sender's peer and IP buckets
+   * @returns {{allowed: boolean, retryAfter: number, scope: 'peer'|'ip'|null}} - retryAfter in ms
+   */
+  checkRateLimit(peerId, type) {
+    const { costs } = this.options.rateLimits;
+    // Own keys only: a type such as 'constructor' must not price itself with an inherited property
+    const cost = Object.hasOwn(costs, type) ? costs[type] : costs.default;
+    const peer = this.peers.get(peerId);
+
+    const result = RateLimiter.consume([
+      [this.peerRateLimiter, peerId],
+      [this.ipRateLimiter, peer.ip]
+    ], cost);
+    const scope = result.limiter === this.ipRateLimiter ? 'ip' : 'peer';
+
+    if (!result.allowed) {
+      this.metrics.rateLimited.inc({ scope });
+      this.log.warn('Rate limited', { peerId, type, scope, retryAfter: result.retryAfter });
+    }
+    return { allowed: result.allowed, retryAfter: result.retryAfter, scope: result.allowed ? null : scope };
+  }
+
+  /**
+   * ws verifyClient hook: refuse upgrades while draining and throttle them per source IP
+   */
+  verifyUpgrade(info, callback) {
+    if (this.draining) {
+      callback(false, 503, 'Service Unavailable', { 'Retry-After': '1' });
+      return;
+    }
+
+    const ip = normalizeIp(info.req.socket.remoteAddress);
+    const result = RateLimiter.consume([[this.connectionRateLimiter, ip]], 1);
+    if (result.allowed) {
+      callback(true);
+      return;
+    }
+
+    this.metrics.rateLimited.inc({ scope: 'connection' });
+    this.log.warn('Connection rate limit hit', { ip });
+    const retryAfterSeconds = Number.isFinite(result.retryAfter) ? Math.ceil(result.retryAfter / 1000) : 60;
+    callback(false, 429, 'Too Many Requests', { 'Retry-After': String(retryAfterSeconds) });
+  }
+
+  handlePeerDisconnect(peerId, ws) {
+    const peer = this.peers.get(peerId);
+    // Ignore late events from a socket whose session was already replaced
+    if (!peer || (ws && peer.ws !== ws)) return;
+
+    clearTimeout(peer.resumeTimer);
+    clearTimeout(peer.discoveryTimer);
+
+    // Notify the rest of the room before membership is dropped
     this.broadcastToOthers(peerId, {
       type: 'peer-disconnected',
       peerId
     });
+
+    this.publishPeerEvent('peer-left', peerId);
+    if (peer.authenticated) {
+      this.persistPeer('recordPeerSeen', peerId, { lastSeen: peer.lastActivity });
+    }
+
+    this.removePeerFromRoom(peerId);
+    this.peers.delete(peerId);
+    this.capabilities.delete(peerId);
+    this.reputations.delete(peerId);
+    // Exchanges with a departed peer can no longer complete
+    for (const offerKey of this.pendingOffers.keys()) {
+      if (offerKey.split('>').includes(peerId)) this.pendingOffers.delete(offerKey);
+    }
   }
 
   startHeartbeat() {
-    setInterval(() => {
+    this.heartbeatInterval = setInterval(() => {
       const now = Date.now();
       const staleThreshold = 5 * 60 * 1000; // 5 minutes
       
       for (const [peerId, peer] of this.peers.entries()) {
+        if (!peer.ws) continue; // Suspended peers expire through their resume timer
+        
         if (now - peer.lastActivity > staleThreshold) {
-          console.log(`[Signaling] Cleaning up stale peer ${peerId}`);
+          this.log.info('Cleaning up stale peer', { peerId });
+          this.metrics.staleCleanups.inc();
           peer.ws.terminate();
           this.handlePeerDisconnect(peerId);
         } else {
@@ -389,41 +1541,186 @@ class SignalingServer {
           peer.ws.ping();
         }
       }
-    }, 30000); // Check every 30 seconds
+      
+      this.peerRateLimiter.prune(now);
+      this.ipRateLimiter.prune(now);
+      this.connectionRateLimiter.prune(now);
+      this.relayRateLimiter.prune(now);
+      this.reportRateLimiter.prune(now);
+      for (const [reportKey, reportedAt] of this.taskReports.entries()) {
+        if (now - reportedAt > TASK_REPORT_TTL) this.taskReports.delete(reportKey);
+      }
+      for (const [pair, lastSeen] of this.brokeredPairs.entries()) {
+        if (now - lastSeen > TASK_REPORT_TTL) this.brokeredPairs.delete(pair);
+      }
+      for (const [offerKey, offeredAt] of this.pendingOffers.entries()) {
+        if (now - offeredAt > OFFER_TIMEOUT) this.pendingOffers.delete(offerKey);
+      }
+      
+      // Let other instances know we are alive and forget the ones that went silent
+      this.backplane.publish(SUBJECTS.event('instance-heartbeat'), { instanceId: this.instanceId });
+      for (const [instanceId, lastSeen] of this.instanceLastSeen.entries()) {
+        if (now - lastSeen > 3 * this.options.heartbeatInterval) {
+          this.log.warn('Instance went silent, dropping its peers', { remoteInstanceId: instanceId });
+          this.removeRemoteInstance(instanceId);
+        }
+      }
+    }, this.options.heartbeatInterval);
   }
 
-  start() {
-    this.httpServer.listen(this.port, () => {
-      console.log(`[Signaling] Server running on port ${this.port}`);
-      console.log(`[Signaling] WebSocket endpoint: ws://localhost:${this.port}/signaling`);
-      console.log(`[Signaling] Health check: http://localhost:${this.port}/health`);
+  async start() {
+    await this.peerStore.init();
+    await this.backplane.connect();
+    this.backplaneSubscriptions = [
+      this.backplane.subscribe(SUBJECTS.events, (event, subject) => this.handleBackplaneEvent(event, subject)),
+      this.backplane.subscribe(SUBJECTS.forward(this.instanceId), (envelope) => this.handleForwardedSignal(envelope))
+    ];
+    this.backplane.publish(SUBJECTS.event('instance-up'), { instanceId: this.instanceId });
+
+    await new Promise(resolve => this.httpServer.listen(this.port, resolve));
+    this.startHeartbeat();
+    const { port } = this.httpServer.address();
+    this.log.info('Server running', {
+      port,
+      websocket: `ws://localhost:${port}/signaling`,
+      health: `http://localhost:${port}/health`,
+      rooms: `http://localhost:${port}/rooms`,
+      metrics: `http://localhost:${port}/metrics`
     });
   }
 
-  stop() {
-    console.log('[Signaling] Shutting down server...');
-    this.wss.close();
-    this.httpServer.close();
+  /**
+   * Drain and shut down: refuse new connections, tell connected peers where
+   * and when to reconnect, let in-flight offer/answer exchanges finish until
+   * the deadline, then close every socket and release timers and resources
+   * @param {object} [options]
+   * @param {number} [options.drainTimeout] - ms to wait for in-flight exchanges (0 closes at once)
+   * @returns {Promise<void>} - Resolves once the HTTP server has closed; repeated calls share it
+   */
+  stop({ drainTimeout = this.options.drainTimeout } = {}) {
+    if (!this.stopping) {
+      this.stopping = this.drain(drainTimeout);
+    }
+    return this.stopping;
+  }
+
+  async drain(drainTimeout) {
+    this.log.info('Draining server', { drainTimeout });
+    this.draining = true;
+    const deadline = Date.now() + drainTimeout;
+
+    // Sockets still in the handshake get the hint too; they lose nothing by moving early
+    for (const ws of this.wss.clients) {
+      this.sendMessage(ws, {
+        type: 'server-draining',
+        deadline,
+        reconnectIn: Math.floor(Math.random() * this.options.reconnectJitter),
+        reconnectUrl: this.options.reconnectUrl
+      });
+    }
+
+    while (this.pendingOffers.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    if (this.pendingOffers.size > 0) {
+      this.log.warn('Drain deadline passed with unanswered offers', { pendingOffers: this.pendingOffers.size });
+    }
+
+    this.log.info('Shutting down server');
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+    for (const [peerId, peer] of this.peers.entries()) {
+      clearTimeout(peer.resumeTimer);
+      clearTimeout(peer.discoveryTimer);
+      // Suspended sessions could never be resumed here now
+      if (!peer.ws) this.handlePeerDisconnect(peerId);
+    }
+    await this.closeSockets();
+
+    if (this.backplaneSubscriptions) {
+      this.backplane.publish(SUBJECTS.event('instance-down'), { instanceId: this.instanceId });
+      this.backplaneSubscriptions.forEach(unsubscribe => unsubscribe());
+      this.backplaneSubscriptions = null;
+    }
+    // Shared backplanes, stores and tracers belong to whoever passed them in
+    if (!this.options.backplane) {
+      await this.backplane.close().catch(error => {
+        this.log.error('Failed to close backplane', { error });
+      });
+    }
+    if (!this.options.peerStore) {
+      await this.peerStore.close().catch(error => {
+        this.log.error('Failed to close peer store', { error });
+      });
+    }
+    if (!this.options.tracer) {
+      await this.tracer.shutdown(); // Flushes spans still waiting for the collector
+    }
+
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    if (this.httpServer.listening) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+    }
+    this.log.info('Server stopped');
+  }
+
+  /**
+   * Close every socket with 1012 (Service Restart) so clients know to come
+   * back, cutting off any that do not finish the close handshake in time
+   */
+  async closeSockets(grace = 1000) {
+    const sockets = Array.from(this.wss.clients);
+    const closed = sockets.map(ws => (ws.readyState === ws.CLOSED ? null : once(ws, 'close')));
+    sockets.forEach(ws => ws.close(1012, 'Server draining'));
+
+    let timer;
+    await Promise.race([
+      Promise.all(closed),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, grace);
+      })
+    ]);
+    clearTimeout(timer);
+    sockets.filter(ws => ws.readyState !== ws.CLOSED).forEach(ws => ws.terminate());
   }
 }
 
 // Start server if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const port = process.env.SIGNALING_PORT ? Number(process.env.SIGNALING_PORT) : 8083;
-  const server = new SignalingServer(port);
-  
-  server.start();
-  
-  // Graceful shutdown
-  process.on('SIGINT', () => {
-    server.stop();
-    process.exit(0);
+  const backplane = createBackplane(process.env.SIGNALING_BACKPLANE || 'memory');
+  const peerStore = createPeerStore(process.env.SIGNALING_PEER_STORE || 'memory');
+  const server = new SignalingServer(port, {
+    authMode: process.env.SIGNALING_AUTH_MODE || 'optional',
+    backplane,
+    peerStore
   });
   
-  process.on('SIGTERM', () => {
-    server.stop();
-    process.exit(0);
+  server.start().catch(error => {
+    server.log.error('Failed to start', { error });
+    process.exit(1);
   });
+  
+  // Graceful shutdown: drain, then exit once everything is closed. The server
+  // leaves resources passed in through options to us, so close them here
+  const shutdown = async () => {
+    let exitCode = 0;
+    try {
+      await server.stop();
+    } catch (error) {
+      server.log.error('Failed to stop cleanly', { error });
+      exitCode = 1;
+    }
+    for (const [name, resource] of [['backplane', backplane], ['peer store', peerStore]]) {
+      await resource.close().catch(error => {
+        server.log.error(`Failed to close ${name}`, { error });
+        exitCode = 1;
+      });
+    }
+    process.exit(exitCode);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 export { SignalingServer };
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Structured JSON-lines logging for the signaling service
+ *
+ * Each entry is one line: {time, level, component, msg, ...context, ...fields}.
+ * Session descriptions, ICE candidates, client addresses and credentials are
+ * replaced before anything is written. apps/p2p-demo/js/structured-logger.js
+ * applies the same format and rules in the browser, so a correlationId (the
+ * delegating task's taskId) can be followed through both sets of logs.
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Matched by key at any depth of the logged fields
+export const REDACTED_FIELDS = new Set([
+  'sdp',
+  'candidate',
+  'ip',
+  'remoteAddress',
+  'resumeToken',
+  'credential',
+  'signature',
+  'authorization',
+  'token'
+]);
+
+const MAX_DEPTH = 4;
+
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_FIELDS.has(key) ? '[redacted]' : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function writeLine(line, level) {
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export class Logger {
+  /**
+   * @param {string} component - e.g. 'signaling', 'backplane'
+   * @param {object} [options]
+   * @param {string} [options.level] - Minimum level written; LOG_LEVEL or 'info' by default
+   * @param {object} [options.context] - Fields added to every entry
+   * @param {function(string, string): void} [options.write] - Receives each line and its level
+   */
+  constructor(component, { level = process.env.LOG_LEVEL, context = {}, write = writeLine } = {}) {
+    this.component = component;
+    this.level = LOG_LEVELS[level] ? level : 'info';
+    this.context = context;
+    this.write = write;
+  }
+
+  /**
+   * Logger that adds `context` (e.g. {peerId, correlationId}) to every entry
+   */
+  child(context) {
+    return new Logger(this.component, {
+      level: this.level,
+      context: { ...this.context, ...context },
+      write: this.write
+    });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+    const entry = redact({ ...this.context, ...fields });
+    this.write(JSON.stringify({ time: new Date().toISOString(), level, component: this.component, msg, ...entry }), level);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+export function createLogger(component, options) {
+  return new Logger(component, options);
+}
+
+/**
+ * What is worth logging about an announced capability set, instead of the whole object
+ */
+export function summarizeCapabilities(capabilities = {}) {
+  return {
+    hasAI: Boolean(capabilities.hasAI),
+    models: (capabilities.models || []).length,
+    availableQuota: capabilities.quota?.availableQuota ?? null,
+    region: capabilities.region ?? null
+  };
+}
@@ -0,0 +1,242 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { DISCOVERY_PROFILES } from './discovery.mjs';
+
+// Bump when a message shape changes incompatibly; clients may send `v` to pin a version
+export const SCHEMA_VERSION = 1;
+
+const peerId = { type: 'string', minLength: 1, maxLength: 128 };
+const shortString = { type: 'string', maxLength: 256 };
+const modelList = { type: 'array', maxItems: 32, items: { type: 'string', maxLength: 128 } };
+const capabilityList = { type: 'array', maxItems: 16, items: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9]{0,63}$' } };
+const region = { type: 'string', minLength: 1, maxLength: 64 };
+const ecPublicKey = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    kty: { const: 'EC' },
+    crv: { const: 'P-256' },
+    x: { type: 'string', maxLength: 64 },
+    y: { type: 'string', maxLength: 64 }
+  },
+  required: ['kty', 'crv', 'x', 'y']
+};
+// End-to-end keys peers exchange in offer/answer; opaque to the server (see secure-channel.js)
+const e2eKeys = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    publicKey: ecPublicKey,
+    encryptionKey: ecPublicKey,
+    signature: { type: 'string', maxLength: 256 }
+  },
+  required: ['publicKey', 'encryptionKey', 'signature']
+};
+
+// Fields every message may carry next to its type-specific payload
+const envelope = {
+  type: { type: 'string' },
+  v: { type: 'integer', minimum: 1 },
+  correlationId: { type: 'string', pattern: '^[A-Za-z0-9_.:-]{1,128}$' }, // Usually the delegating taskId; echoed in logs and forwards
+  traceparent: { type: 'string', pattern: '^00-[0-9a-f]{32}-[0-9a-f]{16}-[0-9a-f]{2}$' } // W3C trace context (see tracing.mjs)
+};
+
+// Shared by one-shot discovery and standing subscriptions (see discovery.mjs)
+const discoveryRequirements = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    needsAI: { type: 'boolean' },
+    minQuota: { type: 'number', minimum: 0 },
+    preferredModels: modelList,
+    capabilities: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { required: capabilityList, optional: capabilityList }
+    },
+    models: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { all: modelList, any: modelList }
+    },
+    maxLatency: { type: 'number', minimum: 0 },
+    region: { anyOf: [region, { type: 'array', minItems: 1, maxItems: 16, items: region }] },
+    profile: { enum: Object.keys(DISCOVERY_PROFILES) },
+    weights: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(DISCOVERY_PROFILES.default)
+        .map(name => [name, { type: 'number', minimum: -1000, maximum: 1000 }]))
+    },
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    offset: { type: 'integer', minimum: 0 }
+  }
+};
+
+function message(properties = {}, required = []) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: { ...envelope, ...properties },
+    required: ['type', ...required]
+  };
+}
+
+const sessionDescription = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { enum: ['offer', 'answer', 'pranswer', 'rollback'] },
+    sdp: { type: 'string', maxLength: 32768 }
+  },
+  required: ['type']
+};
+
+export const messageSchemas = {
+  authenticate: message({
+    anonymous: { type: 'boolean' },
+    publicKey: ecPublicKey,
+    signature: { type: 'string', maxLength: 256 }
+  }),
+  resume: message({
+    peerId,
+    resumeToken: { type: 'string', maxLength: 128 }
+  }, ['peerId', 'resumeToken']),
+  'capability-announce': message({
+    capabilities: {
+      type: 'object',
+      maxProperties: 32,
+      properties: {
+        hasAI: { type: 'boolean' },
+        hasGPU: { type: 'boolean' },
+        hasStorage: { type: 'boolean' },
+        region,
+        models: modelList,
+        quota: {
+          type: 'object',
+          maxProperties: 16,
+          properties: {
+            totalQuota: { type: 'number', minimum: 0 },
+            usedQuota: { type: 'number', minimum: 0 },
+            availableQuota: { type: 'number' }
+          }
+        },
+        performance: {
+          type: 'object',
+          maxProperties: 16,
+          properties: {
+            latency: { type: 'number', minimum: 0 },
+            throughput: { type: 'number', minimum: 0 }
+          }
+        },
+        // Largest attachments the peer accepts with a task frame
+        attachments: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            maxBytes: { type: 'integer', minimum: 0 },
+            maxCount: { type: 'integer', minimum: 0 }
+          },
+          required: ['maxBytes', 'maxCount']
+        }
+      }
+    }
+  }, ['capabilities']),
+  discover: message({ requirements: discoveryRequirements }),
+  'subscribe-discovery': message({
+    subscriptionId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+    requirements: discoveryRequirements
+  }),
+  'unsubscribe-discovery': message({ subscriptionId: { type: 'string', maxLength: 64 } }, ['subscriptionId']),
+  offer: message({ targetPeerId: peerId, sdp: sessionDescription, keys: e2eKeys }, ['targetPeerId', 'sdp']),
+  answer: message({ targetPeerId: peerId, sdp: sessionDescription, keys: e2eKeys }, ['targetPeerId', 'sdp']),
+  'ice-candidate': message({
+    targetPeerId: peerId,
+    candidate: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: {
+        candidate: { type: 'string', maxLength: 2048 },
+        sdpMid: { type: ['string', 'null'], maxLength: 64 },
+        sdpMLineIndex: { type: ['integer', 'null'], minimum: 0 },
+        usernameFragment: { type: ['string', 'null'], maxLength: 256 }
+      }
+    }
+  }, ['targetPeerId']),
+  'join-room': message({ room: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' } }, ['room']),
+  'leave-room': message(),
+  'list-rooms': message(),
+  'get-ice-servers': message(),
+  'relay-consent': message({ allow: { type: 'boolean' } }, ['allow']),
+  relay: message({
+    targetPeerId: peerId,
+    // Only task frames may be tunnelled; their bodies are opaque to the server
+    payload: {
+      type: 'object',
+      properties: {
+        type: { enum: ['prompt-delegation', 'prompt-response', 'prompt-error', 'prompt-cancel', 'prompt-queued', 'attachment-chunk', 'chunk-ack', 'chunk-nack'] },
+        taskId: { type: 'string', minLength: 1, maxLength: 128 }
+      },
+      required: ['type', 'taskId']
+    }
+  }, ['targetPeerId', 'payload']),
+  // Outcome of a task delegated to targetPeerId, feeding its reputation
+  'task-report': message({
+    targetPeerId: peerId,
+    taskId: { type: 'string', minLength: 1, maxLength: 128 },
+    outcome: { enum: ['completed', 'failed'] }
+  }, ['targetPeerId', 'taskId', 'outcome']),
+  ping: message({ timestamp: { type: 'number' }, nonce: shortString })
+};
+
+export function createMessageValidator() {
+  const ajv = new Ajv({ allErrors: false, strict: false });
+  addFormats(ajv);
+  const validators = new Map(
+    Object.entries(messageSchemas).map(([type, schema]) => [type, ajv.compile(schema)])
+  );
+
+  /**
+   * @returns {{valid: true}|{valid: false, code: string, field: string|null, message: string}}
+   */
+  return function validateMessage(msg) {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      return { valid: false, code: 'invalid-message', field: null, message: 'Message must be a JSON object' };
+    }
+
+    if (msg.v !== undefined && msg.v !== SCHEMA_VERSION) {
+      return {
+        valid: false,
+        code: 'unsupported-version',
+        field: 'v',
+        message: `Schema version ${msg.v} is not supported (server speaks v${SCHEMA_VERSION})`
+      };
+    }
+
+    const validate = validators.get(msg.type);
+    if (!validate) {
+      return { valid: false, code: 'unknown-type', field: 'type', message: `Unknown message type: ${msg.type}` };
+    }
+
+    if (validate(msg)) {
+      return { valid: true };
+    }
+
+    const [error] = validate.errors;
+    const field = errorField(error);
+    return {
+      valid: false,
+      code: 'invalid-message',
+      field,
+      message: `${field || 'message'} ${error.message}`
+    };
+  };
+}
+
+// Dotted path of the offending field, including properties that are missing or not allowed
+function errorField(error) {
+  const path = error.instancePath.split('/').filter(Boolean);
+  if (error.params.missingProperty) path.push(error.params.missingProperty);
+  if (error.params.additionalProperty) path.push(error.params.additionalProperty);
+  return path.length > 0 ? path.join('.') : null;
+}
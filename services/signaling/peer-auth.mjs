@@ -0,0 +1,47 @@
+import { createHash, createPublicKey, randomBytes, verify } from 'node:crypto';
+
+// Prefix bound into every signed challenge so an identity signature can never
+// be replayed as a signature over some other protocol message
+export const AUTH_CONTEXT = 'helios-signaling-auth:';
+
+export function createChallenge() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Stable peer identity derived from an ECDSA P-256 public key (JWK)
+ * Uses the RFC 7638 thumbprint so browsers can compute the same value
+ */
+export function fingerprintPublicKey(jwk) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+  return createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Verify a WebCrypto ECDSA P-256/SHA-256 signature over the challenge nonce
+ * @returns {string|null} - Peer ID on success, null when the proof is invalid
+ */
+export function verifyChallengeResponse(nonce, publicKeyJwk, signature) {
+  if (!publicKeyJwk || publicKeyJwk.kty !== 'EC' || publicKeyJwk.crv !== 'P-256') {
+    return null;
+  }
+  if (typeof signature !== 'string') {
+    return null;
+  }
+
+  try {
+    const key = createPublicKey({
+      key: { kty: 'EC', crv: 'P-256', x: publicKeyJwk.x, y: publicKeyJwk.y },
+      format: 'jwk'
+    });
+    const valid = verify(
+      'sha256',
+      Buffer.from(AUTH_CONTEXT + nonce),
+      { key, dsaEncoding: 'ieee-p1363' }, // WebCrypto emits raw r||s signatures
+      Buffer.from(signature, 'base64url')
+    );
+    return valid ? fingerprintPublicKey(publicKeyJwk) : null;
+  } catch {
+    return null;
+  }
+}
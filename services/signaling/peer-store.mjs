@@ -0,0 +1,259 @@
+import { createLogger } from './logger.mjs';
+
+/**
+ * Persistent directory of authenticated peers and their task track record
+ *
+ * Every store implements the same async interface:
+ * - init() / close()
+ * - recordPeerSeen(peerId, {publicKey, lastSeen})
+ * - recordCapabilities(peerId, capabilities)
+ * - recordTaskOutcome(peerId, completed) -> updated entry
+ * - getPeer(peerId) -> entry or null
+ * - listPeers({limit}) -> entries, most recently seen first
+ *
+ * Entry: {peerId, publicKey, firstSeen, lastSeen, capabilities, tasksCompleted, tasksFailed}
+ * (timestamps in ms). The Postgres schema is owned by db/migrations (Flyway).
+ */
+
+const log = createLogger('peer-store');
+
+/**
+ * Share of completed tasks with a uniform prior, so unknown peers start at 0.5
+ * and a single failure does not sink a newcomer
+ */
+export function reputationOf(entry) {
+  if (!entry) return 0.5;
+  return (entry.tasksCompleted + 1) / (entry.tasksCompleted + entry.tasksFailed + 2);
+}
+
+export class MemoryPeerStore {
+  constructor() {
+    this.entries = new Map(); // Map<peerId, entry>
+  }
+
+  async init() {}
+
+  async close() {}
+
+  entry(peerId) {
+    let entry = this.entries.get(peerId);
+    if (!entry) {
+      const now = Date.now();
+      entry = { peerId, publicKey: null, firstSeen: now, lastSeen: now, capabilities: null, tasksCompleted: 0, tasksFailed: 0 };
+      this.entries.set(peerId, entry);
+    }
+    return entry;
+  }
+
+  async recordPeerSeen(peerId, { publicKey = null, lastSeen = Date.now() } = {}) {
+    const entry = this.entry(peerId);
+    entry.publicKey = publicKey || entry.publicKey;
+    entry.lastSeen = lastSeen;
+  }
+
+  async recordCapabilities(peerId, capabilities) {
+    this.entry(peerId).capabilities = capabilities;
+  }
+
+  async recordTaskOutcome(peerId, completed) {
+    const entry = this.entry(peerId);
+    if (completed) {
+      entry.tasksCompleted++;
+    } else {
+      entry.tasksFailed++;
+    }
+    return { ...entry };
+  }
+
+  async getPeer(peerId) {
+    const entry = this.entries.get(peerId);
+    return entry ? { ...entry } : null;
+  }
+
+  async listPeers({ limit = 100 } = {}) {
+    return Array.from(this.entries.values())
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+}
+
+// Same columns as the Flyway migration, with SQLite types
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS peer_directory (
+    peer_id TEXT PRIMARY KEY,
+    public_key TEXT,
+    first_seen INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL,
+    capabilities TEXT,
+    capabilities_at INTEGER,
+    tasks_completed INTEGER NOT NULL DEFAULT 0,
+    tasks_failed INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS peer_directory_last_seen_idx ON peer_directory (last_seen DESC);
+`;
+
+/**
+ * Single-file store for one-instance deployments (better-sqlite3)
+ */
+export class SqlitePeerStore {
+  constructor(options = {}) {
+    this.filename = options.filename || process.env.SIGNALING_PEER_DB || 'signaling-peers.db';
+    this.db = null;
+  }
+
+  async init() {
+    // Loaded lazily so deployments without SQLite do not need the native module
+    const { default: Database } = await import('better-sqlite3');
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SQLITE_SCHEMA);
+    log.info('Using SQLite peer directory', { filename: this.filename });
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async recordPeerSeen(peerId, { publicKey = null, lastSeen = Date.now() } = {}) {
+    this.db.prepare(`
+      INSERT INTO peer_directory (peer_id, public_key, first_seen, last_seen)
+      VALUES (@peerId, @publicKey, @lastSeen, @lastSeen)
+      ON CONFLICT (peer_id) DO UPDATE SET
+        public_key = COALESCE(excluded.public_key, public_key),
+        last_seen = excluded.last_seen
+    `).run({ peerId, publicKey: publicKey && JSON.stringify(publicKey), lastSeen });
+  }
+
+  async recordCapabilities(peerId, capabilities) {
+    const now = Date.now();
+    this.db.prepare(`
+      INSERT INTO peer_directory (peer_id, first_seen, last_seen, capabilities, capabilities_at)
+      VALUES (@peerId, @now, @now, @capabilities, @now)
+      ON CONFLICT (peer_id) DO UPDATE SET
+        capabilities = excluded.capabilities,
+        capabilities_at = excluded.capabilities_at
+    `).run({ peerId, now, capabilities: JSON.stringify(capabilities) });
+  }
+
+  async recordTaskOutcome(peerId, completed) {
+    const now = Date.now();
+    this.db.prepare(`
+      INSERT INTO peer_directory (peer_id, first_seen, last_seen, tasks_completed, tasks_failed)
+      VALUES (@peerId, @now, @now, @completed, @failed)
+      ON CONFLICT (peer_id) DO UPDATE SET
+        tasks_completed = tasks_completed + excluded.tasks_completed,
+        tasks_failed = tasks_failed + excluded.tasks_failed
+    `).run({ peerId, now, completed: completed ? 1 : 0, failed: completed ? 0 : 1 });
+    return this.getPeer(peerId);
+  }
+
+  async getPeer(peerId) {
+    const row = this.db.prepare('SELECT * FROM peer_directory WHERE peer_id = ?').get(peerId);
+    return row ? fromRow(row) : null;
+  }
+
+  async listPeers({ limit = 100 } = {}) {
+    return this.db.prepare('SELECT * FROM peer_directory ORDER BY last_seen DESC LIMIT ?')
+      .all(limit)
+      .map(fromRow);
+  }
+}
+
+/**
+ * Shared store for multi-instance deployments (node-postgres); expects the
+ * V002__peer_directory migration to have been applied
+ */
+export class PostgresPeerStore {
+  constructor(options = {}) {
+    this.connectionString = options.connectionString || process.env.DATABASE_URL;
+    this.pool = null;
+  }
+
+  async init() {
+    const { default: pg } = await import('pg');
+    this.pool = new pg.Pool({ connectionString: this.connectionString });
+    await this.pool.query('SELECT 1 FROM peer_directory LIMIT 1');
+    log.info('Using Postgres peer directory');
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+
+  async recordPeerSeen(peerId, { publicKey = null, lastSeen = Date.now() } = {}) {
+    await this.pool.query(`
+      INSERT INTO peer_directory (peer_id, public_key, first_seen, last_seen)
+      VALUES ($1, $2, to_timestamp($3 / 1000.0), to_timestamp($3 / 1000.0))
+      ON CONFLICT (peer_id) DO UPDATE SET
+        public_key = COALESCE(EXCLUDED.public_key, peer_directory.public_key),
+        last_seen = EXCLUDED.last_seen
+    `, [peerId, publicKey, lastSeen]);
+  }
+
+  async recordCapabilities(peerId, capabilities) {
+    await this.pool.query(`
+      INSERT INTO peer_directory (peer_id, capabilities, capabilities_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (peer_id) DO UPDATE SET
+        capabilities = EXCLUDED.capabilities,
+        capabilities_at = EXCLUDED.capabilities_at
+    `, [peerId, capabilities]);
+  }
+
+  async recordTaskOutcome(peerId, completed) {
+    const { rows } = await this.pool.query(`
+      INSERT INTO peer_directory (peer_id, tasks_completed, tasks_failed)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (peer_id) DO UPDATE SET
+        tasks_completed = peer_directory.tasks_completed + EXCLUDED.tasks_completed,
+        tasks_failed = peer_directory.tasks_failed + EXCLUDED.tasks_failed
+      RETURNING *
+    `, [peerId, completed ? 1 : 0, completed ? 0 : 1]);
+    return fromRow(rows[0]);
+  }
+
+  async getPeer(peerId) {
+    const { rows } = await this.pool.query('SELECT * FROM peer_directory WHERE peer_id = $1', [peerId]);
+    return rows.length > 0 ? fromRow(rows[0]) : null;
+  }
+
+  async listPeers({ limit = 100 } = {}) {
+    const { rows } = await this.pool.query('SELECT * FROM peer_directory ORDER BY last_seen DESC LIMIT $1', [limit]);
+    return rows.map(fromRow);
+  }
+}
+
+// Rows from either driver: JSON arrives as text (SQLite) or parsed (JSONB), times as ms or Date
+function fromRow(row) {
+  const json = (value) => (typeof value === 'string' ? JSON.parse(value) : value ?? null);
+  const time = (value) => (value instanceof Date ? value.getTime() : value);
+  return {
+    peerId: row.peer_id,
+    publicKey: json(row.public_key),
+    firstSeen: time(row.first_seen),
+    lastSeen: time(row.last_seen),
+    capabilities: json(row.capabilities),
+    tasksCompleted: Number(row.tasks_completed),
+    tasksFailed: Number(row.tasks_failed)
+  };
+}
+
+export function createPeerStore(type = process.env.SIGNALING_PEER_STORE || 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryPeerStore();
+    case 'sqlite':
+      return new SqlitePeerStore(options);
+    case 'postgres':
+      return new PostgresPeerStore(options);
+    default:
+      throw new Error(`Unknown signaling peer store: ${type}`);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Token-bucket rate limiting for the signaling server
+ *
+ * Buckets are keyed per peer ID and per source IP so reconnecting under a
+ * fresh anonymous identity does not reset a client's budget.
+ */
+
+// Token cost per message type; anything unlisted costs `default`
+export const DEFAULT_MESSAGE_COSTS = {
+  default: 1,
+  discover: 5,
+  'subscribe-discovery': 5,
+  'capability-announce': 10,
+  'ice-candidate': 0.5, // Trickle ICE sends bursts of small messages
+  relay: 0.2 // Streamed response chunks; relayed bytes have their own bucket
+};
+
+export const DEFAULT_RATE_LIMITS = {
+  peer: { capacity: 100, refillPerSecond: 100 / 60 }, // Same sustained rate as the old 100/min window
+  ip: { capacity: 300, refillPerSecond: 5 },
+  connections: { capacity: 20, refillPerSecond: 20 / 60 }, // WebSocket upgrades per IP
+  relay: { capacity: 512 * 1024, refillPerSecond: 64 * 1024 }, // Bytes of relayed payload per peer
+  reports: { capacity: 20, refillPerSecond: 20 / 3600 }, // Task reports per reporter/target pair
+  costs: DEFAULT_MESSAGE_COSTS
+};
+
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * @returns {number} - Milliseconds until `cost` tokens are available, 0 if they are now;
+   *   Infinity for a cost that is not a finite, non-negative number
+   */
+  retryAfter(cost, now = Date.now()) {
+    if (!TokenBucket.isValidCost(cost)) return Infinity;
+    this.refill(now);
+    if (this.tokens >= cost) return 0;
+    if (cost > this.capacity || this.refillPerSecond <= 0) return Infinity;
+    return Math.ceil(((cost - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  take(cost, now = Date.now()) {
+    // NaN would stick: every later comparison fails open and the bucket is never pruned
+    if (!TokenBucket.isValidCost(cost)) throw new RangeError(`Invalid token cost: ${cost}`);
+    this.refill(now);
+    this.tokens -= cost;
+  }
+
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  static isValidCost(cost) {
+    return typeof cost === 'number' && Number.isFinite(cost) && cost >= 0;
+  }
+}
+
+export class RateLimiter {
+  constructor(config) {
+    this.config = config;
+    this.buckets = new Map(); // Map<key, TokenBucket>
+  }
+
+  bucket(key, now = Date.now()) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(this.config, now);
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Take `cost` tokens from every keyed bucket, or from none of them
+   * @param {Array<[RateLimiter, string]>} entries - Limiter/key pairs to charge together
+   * @returns {{allowed: boolean, retryAfter: number, limiter: RateLimiter|null}} - retryAfter in ms
+   */
+  static consume(entries, cost, now = Date.now()) {
+    for (const [limiter, key] of entries) {
+      const retryAfter = limiter.bucket(key, now).retryAfter(cost, now);
+      if (retryAfter > 0) {
+        return { allowed: false, retryAfter, limiter };
+      }
+    }
+    entries.forEach(([limiter, key]) => limiter.bucket(key, now).take(cost, now));
+    return { allowed: true, retryAfter: 0, limiter: null };
+  }
+
+  describe(key, now = Date.now()) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return null;
+    bucket.refill(now);
+    return {
+      key,
+      tokens: Math.floor(bucket.tokens * 100) / 100,
+      capacity: bucket.capacity,
+      refillPerSecond: bucket.refillPerSecond,
+      updatedAt: bucket.updatedAt
+    };
+  }
+
+  list(now = Date.now()) {
+    return Array.from(this.buckets.keys()).map(key => this.describe(key, now));
+  }
+
+  // A full bucket carries no state worth keeping
+  prune(now = Date.now()) {
+    for (const [key, bucket] of this.buckets.entries()) {
+      if (bucket.isFull(now)) this.buckets.delete(key);
+    }
+  }
+}
@@ -0,0 +1,220 @@
+import { randomBytes } from 'node:crypto';
+import { performance } from 'node:perf_hooks';
+import { createLogger } from './logger.mjs';
+
+/**
+ * Minimal OpenTelemetry-compatible tracing: spans, W3C trace context
+ * (`traceparent`) and an OTLP/HTTP JSON exporter for otel/collector-config.yaml
+ *
+ * Messages carry the sender's context in a `traceparent` field, so the server
+ * span for a signaling message is a child of the client span that sent it and
+ * forwarded offers, answers and ICE candidates continue the same trace.
+ * apps/p2p-demo/js/tracing.js is the browser counterpart.
+ */
+
+const log = createLogger('tracing');
+
+export const SPAN_KIND = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_ERROR = 2;
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+function randomHex(bytes) {
+  return randomBytes(bytes).toString('hex');
+}
+
+function nowUnixNano() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6)).toString();
+}
+
+/**
+ * @returns {{traceId: string, spanId: string, sampled: boolean}|null} - null for missing or malformed headers
+ */
+export function parseTraceparent(traceparent) {
+  const match = TRACEPARENT_PATTERN.exec(traceparent || '');
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+export function formatTraceparent({ traceId, spanId, sampled }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+export class Span {
+  constructor(tracer, name, { parent = null, kind = SPAN_KIND.internal, attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.sampled = parent ? parent.sampled : true;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = null;
+    this.startTimeUnixNano = nowUnixNano();
+    this.endTimeUnixNano = null;
+  }
+
+  setAttribute(key, value) {
+    if (this.endTimeUnixNano) return this; // Ended spans are immutable, as in OpenTelemetry
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  recordError(error) {
+    if (this.endTimeUnixNano) return this;
+    this.status = { code: STATUS_ERROR, message: error.message };
+    this.events.push({
+      name: 'exception',
+      timeUnixNano: nowUnixNano(),
+      attributes: { 'exception.type': error.name, 'exception.message': error.message }
+    });
+    return this;
+  }
+
+  traceparent() {
+    return formatTraceparent(this);
+  }
+
+  end() {
+    if (this.endTimeUnixNano) return;
+    this.endTimeUnixNano = nowUnixNano();
+    if (this.sampled) this.tracer.exporter.export(this);
+  }
+}
+
+export class Tracer {
+  /**
+   * @param {string} serviceName - Reported as the service.name resource attribute
+   * @param {object} exporter - {export(span), flush(), shutdown()}
+   */
+  constructor(serviceName, exporter) {
+    this.serviceName = serviceName;
+    this.exporter = exporter;
+  }
+
+  /**
+   * @param {string} name - Span name, e.g. 'signaling.offer'
+   * @param {object} [options] - {parent: traceparent string or span context, kind, attributes}
+   */
+  startSpan(name, { parent, kind, attributes } = {}) {
+    const parentContext = typeof parent === 'string' ? parseTraceparent(parent) : parent || null;
+    return new Span(this, name, { parent: parentContext, kind, attributes });
+  }
+
+  shutdown() {
+    return this.exporter.shutdown();
+  }
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+    if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+    if (typeof value === 'number') return { key, value: { doubleValue: value } };
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * OTLP/HTTP JSON request body (ExportTraceServiceRequest) for ended spans
+ */
+export function toOtlpRequest(serviceName, spans) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{
+        scope: { name: 'helios-tracing' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || undefined,
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: span.startTimeUnixNano,
+          endTimeUnixNano: span.endTimeUnixNano,
+          attributes: toAttributes(span.attributes),
+          events: span.events.map(event => ({ ...event, attributes: toAttributes(event.attributes) })),
+          status: span.status || { code: 0 }
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * Batches ended spans and POSTs them to `${endpoint}/v1/traces`
+ */
+export class OtlpHttpExporter {
+  constructor(serviceName, { endpoint, headers = {}, maxBatchSize = 256, flushInterval = 5000 } = {}) {
+    this.serviceName = serviceName;
+    this.url = `${endpoint.replace(/\/$/, '')}/v1/traces`;
+    this.headers = headers;
+    this.maxBatchSize = maxBatchSize;
+    this.queue = [];
+    this.timer = setInterval(() => this.flush(), flushInterval);
+    this.timer.unref(); // Exporting never keeps the process alive on its own
+  }
+
+  export(span) {
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatchSize) this.flush();
+  }
+
+  async flush() {
+    if (this.queue.length === 0) return;
+    const spans = this.queue.splice(0);
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(toOtlpRequest(this.serviceName, spans))
+      });
+      if (!response.ok) {
+        log.warn('Collector rejected spans', { status: response.status, spans: spans.length });
+      }
+    } catch (error) {
+      // Tracing is best-effort; a missing collector must not affect signaling
+      log.warn('Failed to export spans', { spans: spans.length, error });
+    }
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+}
+
+/**
+ * Keeps ended spans in memory; the default when no collector is configured
+ * (trace context still propagates) and handy for tests
+ */
+export class InMemorySpanExporter {
+  constructor({ limit = 1000 } = {}) {
+    this.limit = limit;
+    this.spans = [];
+  }
+
+  export(span) {
+    this.spans.push(span);
+    if (this.spans.length > this.limit) this.spans.shift();
+  }
+
+  async flush() {}
+
+  async shutdown() {
+    this.spans = [];
+  }
+}
+
+/**
+ * Tracer for a service, exporting to OTEL_EXPORTER_OTLP_ENDPOINT when set
+ */
+export function createTracer(serviceName = process.env.OTEL_SERVICE_NAME || 'helios-signaling',
+  endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+  const exporter = endpoint
+    ? new OtlpHttpExporter(serviceName, { endpoint })
+    : new InMemorySpanExporter({ limit: 0 });
+  return new Tracer(serviceName, exporter);
+}
@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ReadableStream } from 'node:stream/web';
+import { TextEncoder } from 'node:util';
+import { loadDemoScripts } from './p2p-demo-harness.mjs';
+
+const { AIBackend, OpenAICompatibleBackend, MockAIBackend, AIBackendRegistry } = loadDemoScripts('ai-backends');
+
+const realFetch = globalThis.fetch;
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+class OfflineBackend extends AIBackend {
+  async isAvailable() {
+    return false;
+  }
+}
+
+async function collect(pieces) {
+  const collected = [];
+  for await (const piece of pieces) collected.push(piece);
+  return collected;
+}
+
+/**
+ * Answer fetch with a server-sent event body delivered in the given reads;
+ * the requests made are collected in the returned array
+ */
+function stubFetch(reads, { status = 200, statusText = 'OK' } = {}) {
+  const requests = [];
+  const pulled = { count: 0 };
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, ...init, body: JSON.parse(init.body) });
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      pull(controller) {
+        if (pulled.count === reads.length) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(encoder.encode(reads[pulled.count++]));
+      }
+    }, { highWaterMark: 0 }); // Pulled only when the backend reads
+    return { ok: status < 400, status, statusText, body };
+  };
+  return Object.assign(requests, { pulled });
+}
+
+test('registry selects the first available backend serving the model', async () => {
+  const offline = new OfflineBackend('offline', ['mock', 'llama3']);
+  const mock = new MockAIBackend();
+  const any = new OpenAICompatibleBackend({ baseUrl: 'http://localhost:11434/v1/' });
+  const registry = new AIBackendRegistry().register(offline).register(mock).register(any);
+
+  assert.equal(await registry.select('mock'), mock); // offline serves it too, but is not available
+  assert.equal(await registry.select(), mock);
+  assert.equal(await registry.select('llama3'), any); // '*' serves any model
+  registry.unregister('openai-compatible');
+  assert.equal(await registry.select('llama3'), null);
+
+  // Registering a name again replaces the backend and moves it last
+  registry.register(new MockAIBackend({ models: ['other'] }));
+  assert.deepEqual([...registry.backends.keys()], ['offline', 'mock']);
+  assert.equal(await registry.select('mock'), null);
+  assert.equal((await registry.select('other')).name, 'mock');
+});
+
+test('registry lists the models of available backends without the wildcard', async () => {
+  const registry = new AIBackendRegistry()
+    .register(new OfflineBackend('offline', ['hidden']))
+    .register(new MockAIBackend({ models: ['mock', 'shared'] }))
+    .register(new OpenAICompatibleBackend({ baseUrl: 'http://localhost/v1', models: ['shared', 'gpt-4o-mini', '*'] }));
+  assert.deepEqual(await registry.availableModels(), ['mock', 'shared', 'gpt-4o-mini']);
+});
+
+test('mock backend echoes the prompt word by word and stops when aborted', async () => {
+  const mock = new MockAIBackend();
+  const pieces = await collect(mock.stream('two words'));
+  assert.deepEqual(pieces, ['Mock ', 'response ', 'to ', '"two ', 'words".']);
+
+  const controller = new globalThis.AbortController();
+  const stream = mock.stream('two words', { signal: controller.signal });
+  assert.equal((await stream.next()).value, 'Mock ');
+  controller.abort(new Error('Stop'));
+  await assert.rejects(stream.next(), /Stop/);
+});
+
+test('openai-compatible backend parses server-sent events split across reads', async () => {
+  const event = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  const hello = event('Hello');
+  const requests = stubFetch([
+    ': keep-alive comment\n\n' + hello.slice(0, 12), // An event cut mid-line
+    hello.slice(12) + event(', ') + 'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\nda',
+    'ta: ' + JSON.stringify({ choices: [{ delta: { content: 'world' } }] }) + '\n\n',
+    'data: [DONE]\n\n',
+    event('after done')
+  ]);
+  const backend = new OpenAICompatibleBackend({ baseUrl: 'http://localhost:11434/v1/', apiKey: 'secret', models: ['llama3'] });
+
+  assert.deepEqual(await collect(backend.stream('Hi')), ['Hello', ', ', 'world']);
+  assert.equal(requests.pulled.count, 4); // Nothing is read after [DONE]
+  const [{ url, headers, body }] = requests;
+  assert.equal(url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(headers.Authorization, 'Bearer secret');
+  assert.deepEqual(body, { model: 'llama3', messages: [{ role: 'user', content: 'Hi' }], stream: true });
+});
+
+test('openai-compatible backend names itself when the server fails or sends garbage', async () => {
+  const backend = new OpenAICompatibleBackend({ baseUrl: 'http://localhost/v1', name: 'ollama' });
+
+  stubFetch([], { status: 503, statusText: 'Service Unavailable' });
+  await assert.rejects(collect(backend.stream('Hi')), { message: 'ollama answered 503 Service Unavailable' });
+
+  stubFetch(['data: {"choices": [\n\n']);
+  await assert.rejects(collect(backend.stream('Hi')), { message: 'ollama sent an event that is not JSON: {"choices": [' });
+});
@@ -0,0 +1,183 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDemoScripts, waitFor } from './p2p-demo-harness.mjs';
+
+const { ChunkedTransfer, ResponseStream, OutgoingTransfer, IncomingTransfer } = loadDemoScripts('chunked-transfer');
+
+// Frames of a complete response split into the given chunks
+async function responseFrames(taskId, chunks) {
+  const contentHash = await ChunkedTransfer.hash(chunks.join(''));
+  return Promise.all(chunks.map((chunk, seq) => ChunkedTransfer.createFrame(taskId, seq, chunk, {
+    final: seq === chunks.length - 1 ? { totalChunks: chunks.length, contentHash } : undefined
+  })));
+}
+
+test('incoming transfer reorders chunks and assembles the verified content', async () => {
+  const [first, second, last] = await responseFrames('task-1', ['Hello, ', 'chunked ', 'world']);
+  const incoming = new IncomingTransfer(null, null);
+
+  const early = await incoming.accept(last);
+  assert.equal(early.status, 'ok');
+  assert.deepEqual(early.delivered, []); // Held until the gap is filled
+  assert.equal(incoming.totalChunks, 3);
+
+  assert.deepEqual((await incoming.accept(first)).delivered, ['Hello, ']);
+  const filled = await incoming.accept(second);
+  assert.deepEqual(filled.delivered, ['chunked ', 'world']);
+  assert.equal(filled.complete, true);
+  assert.equal(await incoming.assemble(), 'Hello, chunked world');
+});
+
+test('incoming transfer reports duplicates, corrupt chunks and frames outside the transfer', async () => {
+  const [first, last] = await responseFrames('task-1', ['one ', 'two']);
+  const incoming = new IncomingTransfer(null, null);
+  assert.equal((await incoming.accept(first)).status, 'ok');
+
+  const duplicate = await incoming.accept(first);
+  assert.equal(duplicate.status, 'duplicate');
+  assert.deepEqual(duplicate.delivered, []);
+
+  const corrupt = await incoming.accept({ ...last, chunk: 'tw0' });
+  assert.equal(corrupt.status, 'corrupt');
+  assert.equal(incoming.chunks.has(1), false);
+
+  assert.equal((await incoming.accept({ ...last, seq: 5 })).status, 'invalid');
+  assert.equal((await incoming.accept({ ...last, seq: -1 })).status, 'invalid');
+
+  assert.equal((await incoming.accept(last)).complete, true);
+  assert.equal(await incoming.assemble(), 'one two');
+  // Once announced, the count and content hash cannot change
+  assert.equal((await incoming.accept({ ...last, contentHash: 'f'.repeat(64) })).status, 'invalid');
+  assert.equal((await incoming.accept({ ...first, totalChunks: 3, contentHash: last.contentHash })).status, 'invalid');
+});
+
+test('incoming transfer rejects content that fails the whole-content hash', async () => {
+  const frames = await responseFrames('task-1', ['a', 'b']);
+  frames[1].contentHash = await ChunkedTransfer.hash('something else');
+  const incoming = new IncomingTransfer(null, null);
+  for (const frame of frames) await incoming.accept(frame);
+  await assert.rejects(incoming.assemble(), /integrity check/);
+});
+
+test('incoming transfer bounds a streamed response before its length is known', async () => {
+  const frame = (seq, chunk) => ChunkedTransfer.createFrame('task-1', seq, chunk);
+  const incoming = new IncomingTransfer(null, null, { maxChunks: 4, maxLength: 10 });
+
+  assert.equal((await incoming.accept(await frame(0, 'abcd'))).status, 'ok');
+  assert.equal((await incoming.accept(await frame(4, 'e'))).status, 'too-large'); // Past the last chunk allowed
+  assert.equal((await incoming.accept(await frame(1000000, ''))).status, 'too-large');
+  assert.equal((await incoming.accept(await frame(1, 'efghijk'))).status, 'too-large'); // 11 characters
+  const corrupt = await frame(1, 'efg');
+  assert.equal((await incoming.accept({ ...corrupt, chunk: 'efgh' })).status, 'corrupt');
+  assert.equal(incoming.length, 4); // Refused and corrupt chunks are not counted
+  assert.equal((await incoming.accept(corrupt)).status, 'ok');
+
+  // Chunks checked at the same time cannot overrun the limit together
+  const together = await Promise.all([frame(2, 'xy'), frame(3, 'zz')].map(async pending => incoming.accept(await pending)));
+  assert.deepEqual(together.map(result => result.status).sort(), ['ok', 'too-large']);
+  assert.ok(incoming.length <= 10);
+  assert.equal(incoming.chunks.size, 3);
+
+  // An announced length over the limit is refused as well
+  const announced = await ChunkedTransfer.createFrame('task-2', 0, 'a', { final: { totalChunks: 5, contentHash: 'f'.repeat(64) } });
+  assert.equal((await new IncomingTransfer(null, null, { maxChunks: 4 }).accept(announced)).status, 'too-large');
+});
+
+test('outgoing transfer keeps its window and completes once every frame is acknowledged', async () => {
+  const frames = await responseFrames('task-1', ['a', 'b', 'c', 'd']);
+  const sent = [];
+  const progress = [];
+  const outgoing = new OutgoingTransfer(frames, {
+    send: frame => sent.push(frame.seq),
+    windowSize: 2,
+    onProgress: (acknowledged, total) => progress.push([acknowledged, total])
+  });
+  const done = outgoing.start();
+
+  await waitFor(() => sent.length === 2);
+  assert.deepEqual(sent, [0, 1]);
+  outgoing.handleAck(1); // Out of order
+  await waitFor(() => sent.length === 3);
+  outgoing.handleAck(1); // Duplicate ack of a retransmitted frame is ignored
+  [0, 2].forEach(seq => outgoing.handleAck(seq));
+  await waitFor(() => sent.length === 4);
+  outgoing.handleAck(3);
+
+  assert.deepEqual(await done, { chunks: 4, retransmits: 0 });
+  assert.deepEqual(sent, [0, 1, 2, 3]);
+  assert.deepEqual(progress, [[1, 4], [2, 4], [3, 4], [4, 4]]);
+});
+
+test('outgoing transfer retransmits a nacked chunk at once', async () => {
+  const frames = await responseFrames('task-1', ['a', 'b']);
+  const sent = [];
+  const outgoing = new OutgoingTransfer(frames, { send: frame => sent.push(frame.seq), retransmitTimeout: 60000 });
+  const done = outgoing.start();
+  await waitFor(() => sent.length === 2);
+
+  outgoing.handleNack(1);
+  assert.deepEqual(sent, [0, 1, 1]);
+  [0, 1].forEach(seq => outgoing.handleAck(seq));
+  assert.deepEqual(await done, { chunks: 2, retransmits: 1 });
+});
+
+test('outgoing transfer retransmits on timeout with backoff and fails once attempts run out', async () => {
+  const frames = await responseFrames('task-1', ['lost']);
+  const sentAt = [];
+  const outgoing = new OutgoingTransfer(frames, {
+    send: () => sentAt.push(Date.now()),
+    retransmitTimeout: 10,
+    maxRetransmits: 2
+  });
+
+  await assert.rejects(outgoing.start(), /Chunk 0 was not acknowledged after 3 attempts/);
+  assert.equal(sentAt.length, 3);
+  assert.equal(outgoing.retransmits, 2);
+  assert.ok(sentAt[2] - sentAt[1] >= sentAt[1] - sentAt[0]); // Doubles per attempt
+  assert.equal(outgoing.inFlight.size, 0);
+});
+
+test('outgoing transfer fails when the transport cannot send', async () => {
+  const frames = await responseFrames('task-1', ['a']);
+  const outgoing = new OutgoingTransfer(frames, {
+    send: () => {
+      throw new Error('No path to peer');
+    }
+  });
+  await assert.rejects(outgoing.start(), /No path to peer/);
+});
+
+test('response stream frames text as it is written and ends with the count and content hash', async () => {
+  const sent = [];
+  const outgoing = new OutgoingTransfer([], { open: true, send: frame => sent.push(frame) });
+  outgoing.start();
+  const stream = new ResponseStream('task-1', outgoing, { chunkSize: 4, flushInterval: 5 });
+
+  stream.write('strea');
+  stream.write('m');
+  await waitFor(() => sent.length === 2); // A full chunk, then the rest once writing pauses
+  assert.deepEqual(sent.map(frame => frame.chunk), ['stre', 'am']);
+
+  const ending = stream.end();
+  await waitFor(() => sent.length === 3);
+  sent.forEach(frame => outgoing.handleAck(frame.seq));
+  assert.deepEqual(await ending, { chunks: 3, retransmits: 0 });
+  assert.equal(sent[2].chunk, '');
+  assert.equal(sent[2].totalChunks, 3);
+
+  const incoming = new IncomingTransfer(null, null);
+  for (const frame of sent.reverse()) await incoming.accept(frame);
+  assert.equal(await incoming.assemble(), 'stream');
+});
+
+test('attachment frames carry base64 chunks that reassemble to the original bytes', async () => {
+  const bytes = Uint8Array.from({ length: 100 }, (_, i) => i);
+  const attachment = await ChunkedTransfer.normalizeAttachment({ data: bytes, name: 'data.bin' });
+  const frames = await ChunkedTransfer.createAttachmentFrames('task-1', attachment, { chunkSize: 32 });
+  assert.equal(frames.length, 4); // 30 bytes per chunk, a multiple of 3
+  assert.ok(frames.every(frame => frame.size === 100 && frame.totalChunks === 4));
+
+  const incoming = new IncomingTransfer(frames[0].totalChunks, frames[0].contentHash);
+  for (const frame of [frames[2], frames[0], frames[3], frames[1]]) await incoming.accept(frame);
+  assert.deepEqual(ChunkedTransfer.fromBase64(await incoming.assemble()), bytes);
+});
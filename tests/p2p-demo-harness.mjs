@@ -0,0 +1,116 @@
+import { createRequire } from 'node:module';
+import WebSocket from 'ws';
+
+const require = createRequire(import.meta.url);
+
+// index.html order
+const DEMO_SCRIPTS = [
+  'structured-logger',
+  'tracing',
+  'chunked-transfer',
+  'ai-backends',
+  'peer-identity',
+  'secure-channel',
+  'task-scheduler',
+  'enhanced-p2p-manager',
+  'quota-monitor',
+  'security-manager'
+];
+
+/**
+ * Load p2p-demo browser scripts. They reach each other through globals, so
+ * every export is also made global, as the script tags do.
+ * @param {...string} names - Script names without .js, e.g. 'chunked-transfer'; all of them by default
+ * @returns {object} - Everything the scripts export, by class name
+ */
+export function loadDemoScripts(...names) {
+  const loaded = {};
+  for (const name of names.length > 0 ? names : DEMO_SCRIPTS) {
+    const exported = require(`../apps/p2p-demo/js/${name}.js`);
+    if (typeof exported === 'function') {
+      // A class, possibly carrying its error classes (EnhancedP2PManager.TaskCancelledError)
+      loaded[exported.name] = exported;
+      Object.values(exported).filter(value => typeof value === 'function').forEach(value => {
+        loaded[value.name] = value;
+      });
+    } else {
+      Object.assign(loaded, exported);
+    }
+  }
+  Object.assign(globalThis, loaded);
+  // Component logs stay out of the test output unless LOG_LEVEL asks for them
+  if (loaded.StructuredLogger && !process.env.LOG_LEVEL) {
+    loaded.StructuredLogger.writeToConsole = () => {};
+  }
+  return loaded;
+}
+
+/**
+ * Resolve once predicate() holds, polling every few ms
+ */
+export async function waitFor(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Data channel stand-in: sent frames reach the other manager on the next tick,
+ * unless `drop(frame)` says the network lost them
+ */
+class LoopbackChannel {
+  constructor(deliver) {
+    this.deliver = deliver;
+    this.readyState = 'open';
+    this.bufferedAmount = 0;
+    this.drop = () => false;
+    this.sent = [];
+  }
+
+  send(text) {
+    if (this.readyState !== 'open') throw new Error('Channel closed');
+    const frame = JSON.parse(text);
+    this.sent.push(frame);
+    if (!this.drop(frame)) setTimeout(() => this.deliver(frame), 0);
+  }
+
+  close() {
+    this.readyState = 'closed';
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+}
+
+/**
+ * An EnhancedP2PManager with an authenticated session on a fake signaling
+ * socket; what it sends the server collects in `manager.signalingSent`
+ * @param {string} peerId - Peer ID to assume
+ * @param {object} [options] - Manager options
+ */
+export function createManager(peerId, options = {}) {
+  globalThis.WebSocket ??= WebSocket; // Node 20 has no global WebSocket; only OPEN is read
+  const manager = new globalThis.EnhancedP2PManager({ allowServerRelay: false, ...options });
+  manager.peerId = peerId;
+  manager.authenticated = true;
+  manager.signalingSent = [];
+  manager.ws = { readyState: WebSocket.OPEN, send: text => manager.signalingSent.push(JSON.parse(text)), close() {} };
+  return manager;
+}
+
+/**
+ * Connect two managers with loopback data channels
+ * @returns {{aToB: LoopbackChannel, bToA: LoopbackChannel}} - The channel each side sends on
+ */
+export function link(a, b) {
+  const aToB = new LoopbackChannel(frame => b.handleDataChannelMessage(frame, a.peerId));
+  const bToA = new LoopbackChannel(frame => a.handleDataChannelMessage(frame, b.peerId));
+  a.dataChannels.set(b.peerId, aToB);
+  b.dataChannels.set(a.peerId, bToA);
+  a.connections.set(b.peerId, { close: () => aToB.close() });
+  b.connections.set(a.peerId, { close: () => bToA.close() });
+  return { aToB, bToA };
+}
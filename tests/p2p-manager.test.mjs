@@ -0,0 +1,551 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, link, loadDemoScripts, waitFor } from './p2p-demo-harness.mjs';
+
+const { ChunkedTransfer, EnhancedP2PManager, QuotaMonitor } = loadDemoScripts();
+
+const managers = [];
+const monitors = [];
+
+function pair(requesterOptions = {}, workerOptions = {}) {
+  const requester = createManager('requester', requesterOptions);
+  const worker = createManager('worker', workerOptions);
+  managers.push(requester, worker);
+  const channels = link(requester, worker);
+  return { requester, worker, ...channels };
+}
+
+/**
+ * A requester linked to several workers, whose QuotaMonitor knows each worker's
+ * available quota; failover picks the best of those not tried yet
+ * @param {object} quotas - Available quota by worker peer ID
+ */
+function team(quotas, requesterOptions = {}, workerOptions = {}) {
+  const quotaMonitor = new QuotaMonitor();
+  monitors.push(quotaMonitor);
+  const requester = createManager('requester', { quotaMonitor, ...requesterOptions });
+  managers.push(requester);
+  const workers = {};
+  for (const [peerId, availableQuota] of Object.entries(quotas)) {
+    const worker = createManager(peerId, workerOptions);
+    managers.push(worker);
+    workers[peerId] = Object.assign(worker, link(requester, worker));
+    quotaMonitor.updatePeerQuota(peerId, { availableQuota, totalQuota: 1000, capabilities: ['text-generation'] });
+  }
+  return { requester, workers };
+}
+
+// A processPrompt that never answers; it records the signal of each task it got
+function hang(worker) {
+  worker.signals = [];
+  worker.processPrompt = (prompt, { signal }) => {
+    worker.signals.push(signal);
+    return new Promise(() => {});
+  };
+}
+
+// Task reports the requester sent the signaling server
+function reports(requester) {
+  return requester.signalingSent
+    .filter(message => message.type === 'task-report')
+    .map(({ targetPeerId, outcome }) => `${targetPeerId}:${outcome}`);
+}
+
+// Clears the transfer, attachment and quota timers a test leaves behind
+test.afterEach(() => {
+  managers.splice(0).forEach(manager => manager.disconnect());
+  monitors.splice(0).forEach(monitor => monitor.stopQuotaMonitoring());
+});
+
+// Frames a peer would send for an attachment of `bytes`
+async function attachmentFrames(bytes, chunkSize = 30) {
+  const attachment = await ChunkedTransfer.normalizeAttachment({ data: bytes, name: 'data.bin', id: 'att-1' });
+  return ChunkedTransfer.createAttachmentFrames('task-1', attachment, { chunkSize });
+}
+
+test('attachments sent with a prompt reach the worker intact', async () => {
+  const { requester, worker } = pair();
+  requester.peers.set('worker', { attachments: worker.attachmentLimits });
+  let received;
+  worker.processPrompt = async (prompt, { attachments }) => {
+    received = attachments;
+    return `Got ${attachments[0].size} bytes`;
+  };
+
+  const bytes = Uint8Array.from({ length: 4000 }, (_, i) => i % 251);
+  const response = await requester.delegatePrompt('Summarize', 'worker', {
+    attachments: [{ data: bytes, name: 'data.bin', mimeType: 'application/octet-stream' }]
+  });
+  assert.equal(response, 'Got 4000 bytes');
+  assert.equal(received[0].name, 'data.bin');
+  assert.deepEqual(new Uint8Array(received[0].data), bytes);
+  assert.equal(worker.incomingAttachments.size, 0);
+});
+
+test('attachments over the size limit are refused before anything is buffered', async () => {
+  const { worker, bToA } = pair({}, { attachments: { maxBytes: 50 } });
+  const [first] = await attachmentFrames(new Uint8Array(90));
+
+  await worker.handleAttachmentChunk(first, 'requester');
+  const entry = worker.incomingAttachments.get('requester:task-1:att-1');
+  assert.equal(entry.refused, true);
+  assert.equal(entry.transfer.chunks.size, 0);
+  await waitFor(() => bToA.sent.length === 1);
+  assert.equal(bToA.sent[0].type, 'prompt-error');
+  assert.match(bToA.sent[0].error, /50 byte limit/);
+});
+
+test('attachments with more chunks than their declared size needs are refused', async () => {
+  const { worker, bToA } = pair();
+  const [first] = await attachmentFrames(new Uint8Array(60)); // 2 chunks of 30 bytes
+
+  await worker.handleAttachmentChunk({ ...first, totalChunks: 1000 }, 'requester');
+  assert.equal(worker.incomingAttachments.get('requester:task-1:att-1').refused, true);
+  await waitFor(() => bToA.sent.length === 1);
+  assert.equal(bToA.sent[0].type, 'prompt-error');
+  assert.match(bToA.sent[0].error, /cannot have 1000 chunks/);
+
+  // A chunk size that does not fit the protocol is no way around the check
+  const { worker: other } = pair();
+  await other.handleAttachmentChunk({ ...first, chunkSize: 1, totalChunks: 60 }, 'requester');
+  assert.equal(other.incomingAttachments.get('requester:task-1:att-1').refused, true);
+});
+
+test('attachments that send more bytes than declared are failed and dropped', async () => {
+  const { worker, bToA } = pair();
+  const frames = await attachmentFrames(new Uint8Array(60));
+  const [first, second] = frames;
+  await worker.handleAttachmentChunk(first, 'requester');
+  const entry = worker.incomingAttachments.get('requester:task-1:att-1');
+  assert.equal(entry.received, 30);
+
+  // Same declared size and count, but a chunk far larger than the declared size allows
+  const oversized = ChunkedTransfer.toBase64(new Uint8Array(3000));
+  await worker.handleAttachmentChunk({ ...second, chunk: oversized, hash: await ChunkedTransfer.hash(oversized) }, 'requester');
+  assert.equal(entry.refused, true);
+  assert.equal(entry.transfer.chunks.size, 0);
+  await waitFor(() => bToA.sent.some(frame => frame.type === 'prompt-error'));
+  assert.match(bToA.sent.find(frame => frame.type === 'prompt-error').error, /more than its declared 60 bytes/);
+
+  // Later chunks of the refused attachment are ignored
+  const acks = bToA.sent.filter(frame => frame.type === 'chunk-ack').length;
+  await worker.handleAttachmentChunk(second, 'requester');
+  assert.equal(bToA.sent.filter(frame => frame.type === 'chunk-ack').length, acks);
+});
+
+test('retransmitted attachment chunks are not counted twice', async () => {
+  const { worker } = pair();
+  const [first, second] = await attachmentFrames(new Uint8Array(60));
+  await worker.handleAttachmentChunk(first, 'requester');
+  await worker.handleAttachmentChunk(first, 'requester'); // Our ack was lost
+  await worker.handleAttachmentChunk(second, 'requester');
+
+  const entry = worker.incomingAttachments.get('requester:task-1:att-1');
+  assert.equal(entry.received, 60);
+  assert.equal(entry.refused, false);
+  assert.equal(entry.complete, true);
+});
+
+test('a response longer than the requester buffers is cancelled', async () => {
+  const { requester, worker, aToB } = pair({ transfer: { maxResponseLength: 50 } }, { transfer: { chunkSize: 20, streamFlushInterval: 1 } });
+  let signal;
+  worker.processPrompt = async (prompt, { onToken, signal: taskSignal }) => {
+    signal = taskSignal;
+    // Streams without end, never announcing a length
+    while (!taskSignal.aborted) {
+      onToken('x'.repeat(20));
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    taskSignal.throwIfAborted();
+  };
+
+  await assert.rejects(requester.delegatePrompt('Talk forever', 'worker', { taskId: 'task-1', failover: false }),
+    /Response exceeds 65536 chunks or 50 characters/);
+  assert.ok(aToB.sent.some(frame => frame.type === 'prompt-cancel' && frame.taskId === 'task-1'));
+  await waitFor(() => signal.aborted);
+  assert.deepEqual(requester.signalingSent.filter(message => message.type === 'task-report').map(message => message.outcome), ['failed']);
+});
+
+test('cancel rejects the delegation, tells the worker and aborts its handler', async () => {
+  const { requester, worker, aToB, bToA } = pair();
+  let signal;
+  let finish;
+  worker.processPrompt = async (prompt, context) => {
+    signal = context.signal;
+    // Answers even when aborted, like a handler that ignores the signal
+    return new Promise(resolve => {
+      finish = () => resolve('Too late');
+    });
+  };
+  const events = [];
+  worker.on('task-cancelled', event => events.push(event));
+
+  const delegation = requester.delegatePrompt('Long task', 'worker', { taskId: 'task-1' });
+  await waitFor(() => signal);
+  assert.equal(requester.cancel('task-1', 'User changed their mind'), true);
+  await assert.rejects(delegation, error => error.name === 'TaskCancelledError' && error.taskId === 'task-1');
+
+  assert.ok(aToB.sent.some(frame => frame.type === 'prompt-cancel' && frame.reason === 'User changed their mind'));
+  await waitFor(() => signal.aborted);
+  assert.equal(signal.reason.name, 'TaskCancelledError');
+  assert.deepEqual(events.map(({ taskId, initiator }) => ({ taskId, initiator })), [{ taskId: 'task-1', initiator: 'remote' }]);
+
+  finish();
+  await waitFor(() => worker.activeTasks.size === 0);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(bToA.sent.filter(frame => frame.type === 'prompt-response' || frame.type === 'prompt-error').length, 0);
+  assert.equal(requester.cancel('task-1'), false); // Already settled
+});
+
+test('cancel stops a response that is already streaming', async () => {
+  const { requester, worker, bToA } = pair({}, { transfer: { chunkSize: 5, streamFlushInterval: 1 } });
+  let signal;
+  worker.processPrompt = async (prompt, { onToken, signal: taskSignal }) => {
+    signal = taskSignal;
+    onToken('First part of the answer ');
+    await new Promise(resolve => taskSignal.addEventListener('abort', resolve));
+    taskSignal.throwIfAborted();
+  };
+  const chunks = [];
+  requester.on('response-chunk', event => chunks.push(event.chunk));
+
+  const delegation = requester.delegatePrompt('Stream it', 'worker', { taskId: 'task-1' });
+  await waitFor(() => chunks.length > 0);
+  requester.cancel('task-1');
+  await assert.rejects(delegation, { name: 'TaskCancelledError' });
+  await waitFor(() => signal.aborted && worker.outgoingTransfers.size === 0);
+
+  const sent = bToA.sent.length;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(bToA.sent.length, sent);
+  assert.ok(!bToA.sent.some(frame => frame.type === 'prompt-response' && frame.totalChunks !== undefined)); // Never finished
+});
+
+test('a timed-out delegation fails over to the best peer not tried yet', async () => {
+  const { requester, workers } = team({ worker: 900, backup: 800, spare: 100 }, { failover: { local: false } });
+  hang(workers.worker);
+  workers.backup.processPrompt = async () => 'From backup';
+  workers.spare.processPrompt = async () => 'From spare';
+  const failovers = [];
+  requester.on('task-failover', event => failovers.push(event));
+
+  const response = await requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1', timeout: 50 });
+  assert.equal(response, 'From backup');
+  assert.deepEqual(failovers.map(({ from, to, attempt, reason }) => ({ from, to, attempt, reason })), [
+    { from: 'worker', to: 'backup', attempt: 1, reason: 'Prompt delegation timeout' }
+  ]);
+  // The abandoned worker is told to stop
+  await waitFor(() => workers.worker.signals[0].aborted);
+  assert.equal(workers.spare.bToA.sent.length, 0);
+  assert.deepEqual(reports(requester), ['worker:failed', 'backup:completed']);
+});
+
+test('failover stops once maxRetries attempts failed', async () => {
+  const busy = { scheduler: { maxConcurrent: 0, maxQueueLength: 0 } };
+  const { requester, workers } = team({ worker: 900, backup: 800, spare: 700 }, { failover: { maxRetries: 1, local: false } }, busy);
+  const failovers = [];
+  requester.on('task-failover', event => failovers.push(event));
+
+  await assert.rejects(requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1' }), /Worker is busy/);
+  assert.deepEqual(failovers.map(({ from, to }) => `${from}>${to}`), ['worker>backup']);
+  assert.equal(workers.spare.bToA.sent.length, 0);
+  assert.deepEqual(reports(requester), ['worker:failed', 'backup:failed']);
+  assert.equal(requester.eventHandlers.has('task-task-1'), false);
+});
+
+test('a delegation fails over when its worker disconnects or its queue expires it', async () => {
+  const { requester, workers } = team({ worker: 900, backup: 800 });
+  hang(workers.worker);
+  hang(workers.backup);
+  requester.processPrompt = async () => 'Answered locally';
+  const failovers = [];
+  requester.on('task-failover', event => failovers.push(event));
+
+  const delegation = requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1' });
+  await waitFor(() => workers.worker.signals.length === 1);
+  requester.handlePeerDisconnect('worker');
+  await waitFor(() => workers.backup.signals.length === 1);
+
+  // The worker gave up on the task before starting it; no peer is left, so it runs here
+  requester.handlePromptError({ taskId: 'task-1', error: 'Task expired while queued', code: 'expired' }, 'backup');
+  assert.equal(await delegation, 'Answered locally');
+  assert.deepEqual(failovers.map(({ from, to, reason }) => ({ from, to, reason })), [
+    { from: 'worker', to: 'backup', reason: 'Peer worker disconnected' },
+    { from: 'backup', to: null, reason: 'Task expired while queued' }
+  ]);
+});
+
+test('a worker error other than busy or expired rejects without failover', async () => {
+  const { requester, workers } = team({ worker: 900, backup: 800 });
+  workers.worker.processPrompt = async () => {
+    throw new Error('Model crashed');
+  };
+  const failovers = [];
+  requester.on('task-failover', event => failovers.push(event));
+
+  await assert.rejects(requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1' }), /Model crashed/);
+  assert.equal(failovers.length, 0);
+  assert.equal(workers.backup.bToA.sent.length, 0);
+});
+
+test('only relay errors about the current attempt fail a delegation over', async () => {
+  const { requester, workers } = team({ worker: 900, backup: 800, spare: 700 });
+  hang(workers.worker);
+  hang(workers.backup);
+  const failovers = [];
+  requester.on('task-failover', event => failovers.push(event));
+
+  const delegation = requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1' });
+  await waitFor(() => workers.worker.signals.length === 1);
+  requester.handlePeerDisconnect('worker');
+  await waitFor(() => workers.backup.signals.length === 1);
+
+  // Answers to the report about the abandoned worker carry the same taskId
+  const error = fields => requester.handleSignalingMessage({ type: 'error', error: { taskId: 'task-1', ...fields } });
+  error({ code: 'duplicate-report', message: 'Task task-1 was already reported', targetPeerId: 'worker' });
+  error({ code: 'peer-not-found', message: 'Target peer is not in the peer directory', targetPeerId: 'worker' });
+  error({ code: 'rate-limit', message: 'Too many reports about peer backup', targetPeerId: 'backup', scope: 'reports' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(failovers.length, 1);
+  assert.equal(requester.eventHandlers.get('task-task-1').peerId, 'backup');
+
+  // The relay could not reach the worker of the current attempt
+  workers.spare.processPrompt = async () => 'From spare';
+  error({ code: 'relay-refused', message: 'Peer backup does not accept relayed messages', targetPeerId: 'backup' });
+  assert.equal(await delegation, 'From spare');
+  assert.deepEqual(failovers.map(({ from, to }) => `${from}>${to}`), ['worker>backup', 'backup>spare']);
+});
+
+test('reconnect backoff grows by its factor up to the cap and jitter only shortens it', () => {
+  const options = { initialDelay: 1000, maxDelay: 30000, factor: 2, jitter: 0.5 };
+  const backoff = (attempt, random) => EnhancedP2PManager.backoffDelay(attempt, options, () => random);
+
+  assert.deepEqual([0, 1, 2, 3, 4].map(attempt => backoff(attempt, 0)), [1000, 2000, 4000, 8000, 16000]);
+  assert.equal(backoff(5, 0), 30000); // 32000 capped
+  assert.equal(backoff(50, 0), 30000);
+  assert.equal(backoff(1, 0.999999), 1000); // At most half of it is taken off
+  assert.equal(backoff(5, 0.5), 22500);
+  assert.equal(EnhancedP2PManager.backoffDelay(3, { ...options, jitter: 0 }, () => 0.9), 8000);
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const cap = Math.min(30000, 1000 * 2 ** attempt);
+    const delay = EnhancedP2PManager.backoffDelay(attempt, options);
+    assert.ok(delay >= cap / 2 && delay <= cap, `attempt ${attempt}: ${delay}`);
+  }
+
+  // A draining server's hint replaces only the first delay
+  const manager = createManager('peer', { reconnect: { jitter: 0 } });
+  managers.push(manager);
+  manager.drainHint = { reconnectIn: 250 };
+  assert.equal(manager.reconnectDelay(0), 250);
+  assert.equal(manager.reconnectDelay(1), 2000);
+});
+
+test('a reconnect restores the capability announcement and discovery subscriptions', async () => {
+  const manager = createManager('peer', { reconnect: { initialDelay: 1, jitter: 0 } });
+  managers.push(manager);
+  manager.signaling = { url: 'ws://signaling.invalid', room: 'lobby', established: true };
+  manager.announceCapabilities({ hasAI: true, models: ['mock'] });
+  manager.subscribeDiscovery({ needsAI: true }, 'sub-1');
+  const unsubscribed = manager.subscribeDiscovery({ models: ['other'] }, 'sub-2');
+  manager.unsubscribeDiscovery(unsubscribed);
+  const events = [];
+  ['reconnecting', 'reconnected'].forEach(name => manager.on(name, event => events.push({ name, ...event })));
+
+  // The new socket gets a fresh session from the server
+  manager.openSignaling = async (url, room) => {
+    manager.signalingSent = [];
+    events.push({ name: 'open', url, room });
+    manager.handleSignalingMessage({ type: 'peer-id', peerId: 'peer', resumeToken: 'token', authenticated: true, resumed: true });
+    manager.handleSignalingMessage({ type: 'ice-servers', iceServers: [], relayAvailable: false });
+  };
+  manager.handleSignalingClose({ code: 1006 });
+  await waitFor(() => events.some(event => event.name === 'reconnected'));
+
+  assert.deepEqual(events, [
+    { name: 'reconnecting', attempt: 1, delay: 1 },
+    { name: 'open', url: 'ws://signaling.invalid', room: 'lobby' },
+    { name: 'reconnected', peerId: 'peer', attempts: 1 }
+  ]);
+  const restored = manager.signalingSent.filter(message => message.type !== 'get-ice-servers');
+  assert.deepEqual(restored, [
+    { type: 'capability-announce', capabilities: { attachments: manager.attachmentLimits, hasAI: true, models: ['mock'] } },
+    { type: 'subscribe-discovery', subscriptionId: 'sub-1', requirements: { needsAI: true } }
+  ]);
+  assert.equal(manager.reconnectAttempt, 0);
+});
+
+// A processPrompt that answers `text` after `delay` ms
+function answer(worker, text, delay = 0) {
+  worker.processPrompt = async () => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return text;
+  };
+}
+
+// Peer IDs of the results with each status
+function statuses(results) {
+  return Object.fromEntries(results.map(({ peerId, status }) => [peerId, status]));
+}
+
+test('response similarity is the word overlap of two responses', () => {
+  const similarity = EnhancedP2PManager.responseSimilarity;
+  assert.equal(similarity('The capital is Paris.', 'the capital is paris'), 1); // Case and punctuation do not count
+  assert.equal(similarity('the cat sat', 'the cat ran'), 0.5);
+  assert.equal(similarity('yes', 'no'), 0);
+  assert.equal(similarity('', '...'), 1);
+  assert.equal(similarity('something', ''), 0);
+  assert.equal(similarity('Zürich 2024', 'zürich 2024!'), 1);
+});
+
+test('fan-out groups agreeing responses, largest group first', () => {
+  const manager = createManager('requester');
+  managers.push(manager);
+  const result = (peerId, response) => ({ peerId, response });
+  const groups = manager.groupResponses([
+    result('a', 'The capital is Lyon'),
+    result('b', 'The capital is Paris'),
+    result('c', 'the capital is paris!'),
+    result('d', 'Paris')
+  ], 0.8);
+  assert.deepEqual(groups.map(group => group.map(({ peerId }) => peerId)), [['b', 'c'], ['a'], ['d']]);
+  // At a lower threshold responses join the first group they are close enough to
+  assert.deepEqual(manager.groupResponses(groups.flat(), 0.5).map(group => group.length), [3, 1]);
+});
+
+test('first-wins fan-out takes the fastest response and cancels the rest', async () => {
+  const { requester, workers } = team({ fast: 500, slow: 500, stuck: 500 });
+  answer(workers.fast, 'Fast answer');
+  answer(workers.slow, 'Slow answer', 200);
+  hang(workers.stuck);
+
+  const outcome = await requester.delegateFanOut('Question', ['fast', 'slow', 'stuck'], { strategy: 'first', taskId: 'fan-1' });
+  assert.equal(outcome.response, 'Fast answer');
+  assert.equal(outcome.peerId, 'fast');
+  assert.equal(outcome.agreement, 1);
+  assert.deepEqual(statuses(outcome.results), { fast: 'completed', slow: 'cancelled', stuck: 'cancelled' });
+  assert.equal(outcome.results[0].taskId, 'fan-1:0');
+  assert.equal(outcome.results[0].cost, 10);
+
+  // The losers are told to stop
+  await waitFor(() => workers.stuck.signals[0].aborted);
+  assert.ok(workers.slow.aToB.sent.some(frame => frame.type === 'prompt-cancel' && frame.taskId === 'fan-1:1'));
+  assert.equal(requester.fanOuts.size, 0);
+});
+
+test('majority fan-out settles once a group reaches the quorum and reports disagreement', async () => {
+  const trust = [];
+  const securityManager = {
+    reportSuccessfulInteraction: peerId => trust.push(`${peerId}:+`),
+    reportFailedInteraction: (peerId, reason) => trust.push(`${peerId}:${reason}`)
+  };
+  const { requester, workers } = team({ a: 500, b: 500, c: 500, d: 500 }, { securityManager });
+  answer(workers.a, 'The capital is Paris.');
+  answer(workers.b, 'The capital is Lyon.');
+  answer(workers.c, 'the capital is paris', 30);
+  hang(workers.d);
+
+  const outcome = await requester.delegateFanOut('Capital?', ['a', 'b', 'c', 'd'], { quorum: 2 });
+  assert.equal(outcome.strategy, 'majority');
+  assert.equal(outcome.response, 'The capital is Paris.');
+  assert.equal(outcome.agreement, 2 / 3);
+  assert.deepEqual(statuses(outcome.results), { a: 'completed', b: 'completed', c: 'completed', d: 'cancelled' });
+  assert.deepEqual(outcome.results.map(result => result.agrees), [true, false, true, undefined]);
+  assert.deepEqual(trust.sort(), ['a:+', 'b:consensus_disagreement', 'c:+']);
+  await waitFor(() => workers.d.signals[0].aborted);
+});
+
+test('majority fan-out rejects when the vote is tied below the quorum', async () => {
+  const { requester, workers } = team({ a: 500, b: 500, c: 500, d: 500 });
+  answer(workers.a, 'Paris');
+  answer(workers.b, 'Lyon');
+  answer(workers.c, 'paris');
+  answer(workers.d, 'lyon');
+
+  const error = await requester.delegateFanOut('Capital?', ['a', 'b', 'c', 'd']).then(() => null, error => error);
+  assert.equal(error.name, 'ConsensusError');
+  assert.equal(error.message, 'No 3 of 4 responses agree (largest group: 2)');
+  assert.deepEqual(Object.values(statuses(error.results)), ['completed', 'completed', 'completed', 'completed']);
+});
+
+test('fan-out rejects with every error when all peers fail', async () => {
+  const { requester, workers } = team({ a: 500, b: 500 });
+  for (const worker of Object.values(workers)) {
+    worker.processPrompt = async () => {
+      throw new Error(`${worker.peerId} has no model`);
+    };
+  }
+
+  await assert.rejects(requester.delegateFanOut('Question', ['a', 'b'], { strategy: 'first' }), error =>
+    error.name === 'ConsensusError' &&
+    error.message === 'All 2 peers failed: a has no model; b has no model' &&
+    error.results.every(result => result.status === 'failed'));
+  assert.equal(requester.fanOuts.size, 0);
+});
+
+test('judge fan-out takes the judged response and falls back to the largest group when the judge fails', async () => {
+  const { requester, workers } = team({ a: 500, b: 500, c: 500 });
+  answer(workers.a, 'Short answer');
+  answer(workers.b, 'A much longer and more careful answer', 30);
+  workers.c.processPrompt = async () => {
+    throw new Error('Offline');
+  };
+
+  let judged;
+  const longest = async responses => {
+    judged = responses;
+    return responses.reduce((best, next) => (next.response.length > best.response.length ? next : best)).peerId;
+  };
+  const outcome = await requester.delegateFanOut('Question', ['a', 'b', 'c'], { strategy: longest });
+  assert.equal(outcome.strategy, 'judge');
+  assert.equal(outcome.peerId, 'b');
+  assert.deepEqual(judged.map(({ peerId }) => peerId), ['a', 'b']); // Completed responses, fastest first
+  assert.equal(outcome.agreement, 1 / 2);
+
+  answer(workers.c, 'short answer', 30); // Agrees with a, but later
+  const broken = async () => {
+    throw new Error('Judge unavailable');
+  };
+  const fallback = await requester.delegateFanOut('Question', ['a', 'b', 'c'], { strategy: broken });
+  assert.equal(fallback.peerId, 'a'); // a and c agree
+  assert.equal(fallback.agreement, 2 / 3);
+
+  const absent = await requester.delegateFanOut('Question', ['a', 'b', 'c'], { strategy: async () => 'nobody' });
+  assert.equal(absent.peerId, 'a');
+});
+
+test('a worker whose quota refuses the task turns it away as busy and frees the slot', async () => {
+  const { requester, workers } = team({ worker: 900, backup: 800 }, { failover: { local: false } });
+  const exhausted = new QuotaMonitor({ totalQuota: 100 });
+  monitors.push(exhausted);
+  exhausted.localQuota.availableQuota = 0;
+  workers.worker.quotaMonitor = exhausted;
+  answer(workers.worker, 'Should not run');
+  answer(workers.backup, 'From backup');
+
+  assert.equal(await requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1' }), 'From backup');
+  const [refusal] = workers.worker.bToA.sent.filter(frame => frame.type === 'prompt-error');
+  assert.equal(refusal.code, 'busy');
+  assert.match(refusal.error, /quota_exhausted/);
+  assert.deepEqual(workers.worker.scheduler.getStatus(), { running: 0, queued: 0, maxConcurrent: 5 });
+  assert.equal(workers.worker.activeTasks.size, 0);
+});
+
+test('disconnect rejects pending delegations and fan-outs and gives back their peer quota', async () => {
+  const { requester, workers } = team({ worker: 900, backup: 800 }, { failover: { local: false } });
+  hang(workers.worker);
+  hang(workers.backup);
+  const released = [];
+  requester.quotaMonitor.on('peer-quota-released', ({ taskId, status }) => released.push(`${taskId}:${status}`));
+
+  const delegation = requester.delegatePrompt('Hello', 'worker', { taskId: 'task-1' });
+  const fanOut = requester.delegateFanOut('Hello', ['worker', 'backup'], { taskId: 'fan-1' });
+  await waitFor(() => workers.worker.signals.length === 2 && workers.backup.signals.length === 1);
+
+  requester.disconnect();
+  await assert.rejects(delegation, { message: 'Disconnected' });
+  await assert.rejects(fanOut, { message: 'Disconnected' });
+  assert.deepEqual(released.sort(), ['fan-1:0:failed', 'fan-1:1:failed', 'task-1:failed']);
+  assert.equal(requester.quotaMonitor.delegations.size, 0);
+  assert.equal(requester.quotaMonitor.peerQuotas.get('worker').availableQuota, 900);
+});
@@ -0,0 +1,899 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import http from 'node:http';
+import WebSocket from 'ws';
+import { SignalingServer } from '../services/signaling/index.mjs';
+import { InMemoryBackplane, subjectMatches } from '../services/signaling/backplane.mjs';
+import { MemoryPeerStore } from '../services/signaling/peer-store.mjs';
+import { RateLimiter, TokenBucket } from '../services/signaling/rate-limiter.mjs';
+import { createLogger, redact } from '../services/signaling/logger.mjs';
+import {
+  InMemorySpanExporter,
+  OtlpHttpExporter,
+  SPAN_KIND,
+  Tracer,
+  parseTraceparent
+} from '../services/signaling/tracing.mjs';
+
+// Server logs stay out of the test output unless LOG_LEVEL asks for them
+const quietLogger = () => createLogger('signaling', process.env.LOG_LEVEL ? {} : { write: () => {} });
+
+async function startServer(options = {}) {
+  const server = new SignalingServer(0, { logger: quietLogger(), ...options });
+  await server.start();
+  const { port } = server.httpServer.address();
+  return { server, port };
+}
+
+async function request(port, method, path, { headers = {}, body } = {}) {
+  const req = http.request({ port, method, path, headers });
+  req.end(body === undefined ? undefined : JSON.stringify(body));
+  const [res] = await once(req, 'response');
+  let text = '';
+  for await (const chunk of res) text += chunk;
+  return { status: res.statusCode, headers: res.headers, body: text };
+}
+
+async function getText(port, path, headers = {}) {
+  return request(port, 'GET', path, { headers });
+}
+
+async function getJSON(port, path, headers = {}) {
+  const { status, body } = await getText(port, path, headers);
+  return { status, ...JSON.parse(body || '{}') };
+}
+
+async function adminJSON(port, method, path, body, token = 'admin-secret') {
+  const response = await request(port, method, path, { headers: { authorization: `Bearer ${token}` }, body });
+  return { status: response.status, ...JSON.parse(response.body || '{}') };
+}
+
+// Connects a client and buffers every message so tests can wait for a given type
+async function connectClient(port, query = '', { keyPair = newKeyPair(), anonymous = false, resume } = {}) {
+  const ws = new WebSocket(`ws://localhost:${port}/signaling${query}`);
+  const messages = [];
+  const waiters = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    waiters.filter(w => w.type === message.type).forEach(w => w.resolve(message));
+  });
+  ws.next = (type) => {
+    const index = messages.findIndex(m => m.type === type);
+    if (index !== -1) return Promise.resolve(messages.splice(index, 1)[0]);
+    return new Promise(resolve => {
+      const waiter = {
+        type,
+        resolve: (message) => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          messages.splice(messages.indexOf(message), 1);
+          resolve(message);
+        }
+      };
+      waiters.push(waiter);
+    });
+  };
+  ws.sendJSON = (message) => ws.send(JSON.stringify(message));
+  ws.messages = messages;
+  await once(ws, 'open');
+  const { nonce } = await ws.next('auth-challenge');
+  if (resume) {
+    ws.sendJSON({ type: 'resume', ...resume });
+  } else {
+    ws.sendJSON(anonymous ? { type: 'authenticate', anonymous: true } : signChallenge(keyPair, nonce));
+  }
+  const { peerId, resumeToken } = await ws.next('peer-id');
+  ws.peerId = peerId;
+  ws.resumeToken = resumeToken;
+  return ws;
+}
+
+function newKeyPair() {
+  return generateKeyPairSync('ec', { namedCurve: 'P-256' });
+}
+
+function signChallenge({ publicKey, privateKey }, nonce) {
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  const signature = sign('sha256', Buffer.from(`helios-signaling-auth:${nonce}`), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return {
+    type: 'authenticate',
+    publicKey: { kty, crv, x, y },
+    signature: signature.toString('base64url')
+  };
+}
+
+// Offer/answer exchange through the server, as before opening a data channel
+async function negotiate(offerer, answerer) {
+  offerer.sendJSON({ type: 'offer', targetPeerId: answerer.peerId, sdp: { type: 'offer', sdp: 'v=0' } });
+  await answerer.next('offer');
+  answerer.sendJSON({ type: 'answer', targetPeerId: offerer.peerId, sdp: { type: 'answer', sdp: 'v=0' } });
+  await offerer.next('answer');
+}
+
+async function waitFor(predicate) {
+  while (!predicate()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+async function closeAll(server, clients) {
+  // Normal closures so the server does not hold the sessions for resumption
+  await Promise.all(clients.map(ws => {
+    ws.close(1000);
+    return once(ws, 'close');
+  }));
+  await server.stop();
+}
+
+test('capability broadcasts and discovery stay inside the room', async () => {
+  const { server, port } = await startServer();
+  const staging = await connectClient(port, '?room=staging');
+  const prodA = await connectClient(port, '?room=production');
+  const prodB = await connectClient(port, '?room=production');
+
+  staging.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true } });
+  prodA.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true } });
+
+  const update = await prodB.next('peer-capability-update');
+  assert.equal(update.peerId, prodA.peerId);
+
+  prodB.sendJSON({ type: 'discover', requirements: { needsAI: true } });
+  const { peers } = await prodB.next('peers-discovered');
+  assert.deepEqual(peers.map(p => p.peerId), [prodA.peerId]);
+  assert.equal(prodB.messages.some(m => m.peerId === staging.peerId), false);
+
+  await closeAll(server, [staging, prodA, prodB]);
+});
+
+test('join-room moves a peer and room limits are enforced', async () => {
+  const { server, port } = await startServer({ maxPeersPerRoom: 1 });
+  const first = await connectClient(port, '?room=pool');
+  const second = await connectClient(port);
+
+  second.sendJSON({ type: 'join-room', room: 'pool' });
+  const error = await second.next('error');
+  assert.equal(error.error.code, 'room-full');
+
+  second.sendJSON({ type: 'join-room', room: 'other' });
+  const joined = await second.next('room-joined');
+  assert.equal(joined.room, 'other');
+  assert.equal(joined.previousRoom, 'default');
+
+  second.sendJSON({ type: 'offer', targetPeerId: first.peerId, sdp: { type: 'offer' } });
+  assert.equal((await second.next('error')).error.code, 'peer-not-found');
+
+  second.sendJSON({ type: 'list-rooms' });
+  const { rooms } = await second.next('rooms-list');
+  assert.deepEqual(rooms.map(r => r.name).sort(), ['default', 'other', 'pool']);
+
+  const health = await getJSON(port, '/health');
+  assert.equal(health.connections, 2);
+  assert.equal(health.rooms.pool.connections, 1);
+
+  await closeAll(server, [first, second]);
+});
+
+test('keypair authentication yields a stable peer identity', async () => {
+  const { server, port } = await startServer();
+  const keyPair = newKeyPair();
+
+  const first = await connectClient(port, '', { keyPair });
+  first.terminate();
+  await once(first, 'close');
+  const second = await connectClient(port, '', { keyPair });
+
+  assert.equal(second.peerId, first.peerId);
+  assert.equal(server.peers.get(second.peerId).authenticated, true);
+
+  await closeAll(server, [second]);
+});
+
+test('anonymous peers are confined to limited mode', async () => {
+  const { server, port } = await startServer();
+  const anonymous = await connectClient(port, '', { anonymous: true });
+
+  anonymous.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true } });
+  assert.equal((await anonymous.next('error')).error.code, 'auth-required');
+  assert.equal(server.capabilities.size, 0);
+
+  await closeAll(server, [anonymous]);
+});
+
+test('required auth mode rejects bad signatures and anonymous peers', async () => {
+  const { server, port } = await startServer({ authMode: 'required' });
+
+  const anonymous = new WebSocket(`ws://localhost:${port}/signaling`);
+  await once(anonymous, 'open');
+  anonymous.send(JSON.stringify({ type: 'authenticate', anonymous: true }));
+  const [code] = await once(anonymous, 'close');
+  assert.equal(code, 4401);
+
+  const forged = new WebSocket(`ws://localhost:${port}/signaling`);
+  await once(forged, 'open');
+  forged.send(JSON.stringify(signChallenge(newKeyPair(), 'not-the-server-nonce')));
+  const [forgedCode] = await once(forged, 'close');
+  assert.equal(forgedCode, 4401);
+  assert.equal(server.peers.size, 0);
+
+  await closeAll(server, []);
+});
+
+test('dropped peers resume their session and receive queued signaling', async () => {
+  const { server, port } = await startServer();
+  const requester = await connectClient(port);
+  const worker = await connectClient(port, '', { anonymous: true });
+
+  worker.sendJSON({ type: 'discover' });
+  await worker.next('peers-discovered');
+  worker.terminate();
+  await waitFor(() => server.peers.get(worker.peerId).ws === null);
+
+  requester.sendJSON({ type: 'offer', targetPeerId: worker.peerId, sdp: { type: 'offer' } });
+  requester.sendJSON({ type: 'ping' });
+  await requester.next('pong');
+  assert.equal(requester.messages.some(m => m.type === 'peer-disconnected'), false);
+
+  const resumed = await connectClient(port, '', {
+    resume: { peerId: worker.peerId, resumeToken: worker.resumeToken }
+  });
+  assert.equal(resumed.peerId, worker.peerId);
+  assert.notEqual(resumed.resumeToken, worker.resumeToken);
+  const offer = await resumed.next('offer');
+  assert.equal(offer.fromPeerId, requester.peerId);
+
+  await closeAll(server, [requester, resumed]);
+});
+
+test('suspended peers are dropped once the grace period ends', async () => {
+  const { server, port } = await startServer({ resumeGracePeriod: 50 });
+  const requester = await connectClient(port);
+  const worker = await connectClient(port);
+
+  worker.terminate();
+  const { peerId } = await requester.next('peer-disconnected');
+  assert.equal(peerId, worker.peerId);
+  assert.equal(server.peers.has(worker.peerId), false);
+
+  const stale = await connectClient(port, '', {
+    resume: { peerId: worker.peerId, resumeToken: worker.resumeToken }
+  });
+  assert.notEqual(stale.peerId, worker.peerId);
+
+  await closeAll(server, [requester, stale]);
+});
+
+test('backplane subjects follow NATS wildcard semantics', () => {
+  assert.equal(subjectMatches('signaling.events.*', 'signaling.events.peer-joined'), true);
+  assert.equal(subjectMatches('signaling.events.*', 'signaling.forward.abc'), false);
+  assert.equal(subjectMatches('signaling.>', 'signaling.forward.abc'), true);
+});
+
+test('instances sharing a backplane route signaling and capabilities', async () => {
+  const backplane = new InMemoryBackplane();
+  const nodeA = await startServer({ backplane });
+  const nodeB = await startServer({ backplane });
+  const requester = await connectClient(nodeA.port, '?room=pool');
+  const worker = await connectClient(nodeB.port, '?room=pool');
+
+  worker.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true } });
+  const update = await requester.next('peer-capability-update');
+  assert.equal(update.peerId, worker.peerId);
+
+  requester.sendJSON({ type: 'discover', requirements: { needsAI: true } });
+  const { peers } = await requester.next('peers-discovered');
+  assert.deepEqual(peers.map(p => p.peerId), [worker.peerId]);
+
+  // End-to-end keys cross nodes untouched
+  const jwk = { kty: 'EC', crv: 'P-256', x: 'x'.repeat(43), y: 'y'.repeat(43) };
+  const keys = { publicKey: jwk, encryptionKey: { ...jwk, x: 'e'.repeat(43) }, signature: 's'.repeat(86) };
+  requester.sendJSON({ type: 'offer', targetPeerId: worker.peerId, sdp: { type: 'offer' }, keys });
+  const offer = await worker.next('offer');
+  assert.equal(offer.fromPeerId, requester.peerId);
+  assert.deepEqual(offer.keys, keys);
+  worker.sendJSON({ type: 'answer', targetPeerId: requester.peerId, sdp: { type: 'answer' }, keys });
+  assert.deepEqual((await requester.next('answer')).keys, keys);
+
+  await closeAll(nodeB.server, [worker]);
+  assert.equal((await requester.next('peer-disconnected')).peerId, worker.peerId);
+  await closeAll(nodeA.server, [requester]);
+});
+
+test('malformed messages get structured errors and are never forwarded', async () => {
+  const { server, port } = await startServer({ maxFrameSize: 1024 });
+  const sender = await connectClient(port);
+  const target = await connectClient(port);
+
+  sender.sendJSON({ type: 'offer', targetPeerId: target.peerId, sdp: { type: 'offer', extra: 1 } });
+  const { error } = await sender.next('error');
+  assert.equal(error.code, 'invalid-message');
+  assert.equal(error.field, 'sdp.extra');
+  assert.equal(error.messageType, 'offer');
+
+  sender.sendJSON({ type: 'ice-candidate' });
+  assert.equal((await sender.next('error')).error.field, 'targetPeerId');
+
+  sender.sendJSON({ type: 'ping', v: 99 });
+  assert.equal((await sender.next('error')).error.code, 'unsupported-version');
+
+  sender.sendJSON({ type: 'capability-announce', capabilities: { attachments: { maxBytes: -1, maxCount: 4 } } });
+  assert.equal((await sender.next('error')).error.field, 'capabilities.attachments.maxBytes');
+
+  const jwk = { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' };
+  sender.sendJSON({ type: 'answer', targetPeerId: target.peerId, sdp: { type: 'answer' }, keys: { publicKey: jwk, signature: 's' } });
+  assert.equal((await sender.next('error')).error.field, 'keys.encryptionKey');
+
+  sender.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true, blob: 'x'.repeat(2048) } });
+  const [code] = await once(sender, 'close');
+  assert.equal(code, 1009);
+  assert.equal(target.messages.some(m => m.type === 'offer'), false);
+
+  await closeAll(server, [target]);
+});
+
+test('a handler that throws answers internal-error and leaves the server running', async () => {
+  const { server, port } = await startServer();
+  const peer = await connectClient(port);
+  const other = await connectClient(port);
+
+  server.handlePeerDiscovery = () => {
+    throw new Error('Discovery broke');
+  };
+  peer.sendJSON({ type: 'discover', requirements: {} });
+  assert.equal((await peer.next('error')).error.code, 'internal-error');
+
+  server.handleTaskReport = async () => {
+    throw new Error('Reports broke');
+  };
+  peer.sendJSON({ type: 'task-report', targetPeerId: other.peerId, taskId: 'task-1', outcome: 'completed' });
+  assert.equal((await peer.next('error')).error.code, 'internal-error');
+
+  // During the handshake too
+  server.handleHandshake = () => {
+    throw new Error('Handshake broke');
+  };
+  const newcomer = new WebSocket(`ws://localhost:${port}/signaling`);
+  const replies = [];
+  newcomer.on('message', data => replies.push(JSON.parse(data.toString())));
+  await once(newcomer, 'open');
+  await waitFor(() => replies.length === 1);
+  newcomer.send(JSON.stringify({ type: 'authenticate', anonymous: true }));
+  await waitFor(() => replies.length === 2);
+  assert.equal(replies[1].error.code, 'internal-error');
+  newcomer.close();
+
+  peer.sendJSON({ type: 'ping' });
+  await peer.next('pong');
+  delete server.handleHandshake;
+  const late = await connectClient(port);
+  assert.ok(late.peerId);
+  await closeAll(server, [peer, other, late]);
+});
+
+test('metrics endpoint exposes connection, message and forwarding counters', async () => {
+  const { server, port } = await startServer();
+  const sender = await connectClient(port, '?room=lab');
+  const target = await connectClient(port, '?room=lab');
+
+  sender.sendJSON({ type: 'ping' });
+  await sender.next('pong');
+  sender.sendJSON({ type: 'offer', targetPeerId: target.peerId, sdp: { type: 'offer', sdp: 'v=0' } });
+  await target.next('offer');
+  sender.sendJSON({ type: 'ping', v: 99 });
+  await sender.next('error');
+
+  const { status, headers, body } = await getText(port, '/metrics');
+  assert.equal(status, 200);
+  assert.match(headers['content-type'], /^text\/plain; version=0\.0\.4/);
+  assert.match(body, /^# TYPE signaling_connected_peers gauge$/m);
+  assert.match(body, /^signaling_connected_peers 2$/m);
+  assert.match(body, /^signaling_room_peers\{room="lab"\} 2$/m);
+  assert.match(body, /^signaling_messages_total\{type="ping"\} 1$/m);
+  assert.match(body, /^signaling_forwarded_total\{type="offer",route="local"\} 1$/m);
+  assert.match(body, /^signaling_invalid_messages_total\{code="unsupported-version"\} 1$/m);
+  assert.match(body, /^signaling_message_duration_seconds_count\{type="offer"\} 1$/m);
+
+  await closeAll(server, [sender, target]);
+});
+
+test('admin API requires a token and manages peers and bans', async () => {
+  const { server, port } = await startServer({ adminToken: 'admin-secret' });
+  const first = await connectClient(port, '?room=ops');
+  const second = await connectClient(port, '?room=ops');
+  first.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true } });
+  await second.next('peer-capability-update');
+
+  assert.equal((await adminJSON(port, 'GET', '/admin/peers', undefined, 'wrong')).status, 401);
+  assert.equal((await getJSON(port, '/admin/peers')).status, 401);
+
+  const { peers } = await adminJSON(port, 'GET', '/admin/peers');
+  const listed = peers.find(p => p.peerId === first.peerId);
+  assert.equal(listed.ip, '127.0.0.1');
+  assert.equal(listed.room, 'ops');
+  assert.equal(listed.capabilities.hasAI, true);
+  assert.ok(listed.connectedAt <= listed.lastActivity);
+  assert.ok(listed.rateLimit.tokens < listed.rateLimit.capacity);
+
+  const { rateLimits } = await adminJSON(port, 'GET', '/admin/rate-limits');
+  assert.deepEqual(rateLimits.peers.map(l => l.key), [first.peerId]);
+  assert.deepEqual(rateLimits.ips.map(l => l.key), ['127.0.0.1']);
+
+  const kicked = once(second, 'close');
+  assert.equal((await adminJSON(port, 'DELETE', `/admin/peers/${second.peerId}`)).status, 200);
+  assert.equal((await kicked)[0], 4410);
+  assert.equal(server.peers.has(second.peerId), false);
+  assert.equal((await adminJSON(port, 'GET', `/admin/peers/${second.peerId}`)).status, 404);
+  const malformed = await adminJSON(port, 'GET', '/admin/peers/%E0');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.error.code, 'invalid-path');
+
+  const invalid = await adminJSON(port, 'POST', '/admin/bans', { type: 'subnet', value: '10.0.0.0/8' });
+  assert.equal(invalid.status, 400);
+
+  const banned = once(first, 'close');
+  const { status, ban } = await adminJSON(port, 'POST', '/admin/bans', { type: 'ip', value: '127.0.0.1', reason: 'abuse' });
+  assert.equal(status, 201);
+  assert.equal(ban.reason, 'abuse');
+  assert.equal((await banned)[0], 4403);
+
+  const rejected = new WebSocket(`ws://localhost:${port}/signaling`);
+  const [code] = await once(rejected, 'close');
+  assert.equal(code, 4403);
+
+  assert.equal((await adminJSON(port, 'DELETE', '/admin/bans/ip/127.0.0.1')).status, 200);
+  assert.deepEqual((await adminJSON(port, 'GET', '/admin/bans')).bans, []);
+  const readmitted = await connectClient(port);
+
+  await closeAll(server, [readmitted]);
+});
+
+test('admin API is not served without a configured token', async () => {
+  const { server, port } = await startServer();
+  assert.equal((await adminJSON(port, 'GET', '/admin/peers')).status, 404);
+  await closeAll(server, []);
+});
+
+test('discovery queries filter, rank with caller weights and paginate', async () => {
+  const { server, port } = await startServer();
+  const requester = await connectClient(port, '?room=grid');
+  const announced = {
+    gpu: { hasAI: true, hasGPU: true, region: 'eu-west', models: ['gemini-nano', 'llama-3'], performance: { latency: 40 }, quota: { availableQuota: 10 } },
+    storage: { hasAI: true, hasStorage: true, region: 'eu-west', models: ['gemini-nano'], performance: { latency: 250 }, quota: { availableQuota: 500 } },
+    both: { hasAI: true, hasGPU: true, hasStorage: true, region: 'us-east', models: ['gemini-nano'], performance: { latency: 80 }, quota: { availableQuota: 50 } }
+  };
+  const ids = {};
+  for (const [name, capabilities] of Object.entries(announced)) {
+    const ws = await connectClient(port, '?room=grid');
+    ids[ws.peerId] = name;
+    ws.sendJSON({ type: 'capability-announce', capabilities });
+    await requester.next('peer-capability-update');
+    announced[name] = ws;
+  }
+  const discover = async (requirements) => {
+    requester.sendJSON({ type: 'discover', requirements });
+    const result = await requester.next('peers-discovered');
+    return { ...result, names: result.peers.map(p => ids[p.peerId]) };
+  };
+
+  // The default profile keeps the original quota-heavy ranking
+  assert.deepEqual((await discover({ needsAI: true })).names, ['storage', 'both', 'gpu']);
+  assert.deepEqual((await discover({ capabilities: { required: ['hasGPU'] } })).names, ['both', 'gpu']);
+  assert.deepEqual((await discover({ models: { all: ['gemini-nano', 'llama-3'] } })).names, ['gpu']);
+  assert.deepEqual((await discover({ maxLatency: 100, region: ['eu-west', 'us-east'] })).names, ['both', 'gpu']);
+  assert.deepEqual((await discover({ region: 'eu-west', weights: { quota: 0, lowLatency: 100 } })).names, ['gpu', 'storage']);
+  assert.deepEqual(
+    (await discover({ capabilities: { optional: ['hasGPU', 'hasStorage'] }, weights: { quota: 0, optionalCapability: 50 } })).names[0],
+    'both'
+  );
+
+  const page = await discover({ limit: 2 });
+  assert.equal(page.total, 3);
+  assert.equal(page.peers.length, 2);
+  assert.equal(page.nextOffset, 2);
+  const last = await discover({ limit: 2, offset: page.nextOffset });
+  assert.deepEqual(last.names, ['gpu']);
+  assert.equal(last.nextOffset, null);
+
+  requester.sendJSON({ type: 'discover', requirements: { profile: 'fastest' } });
+  assert.equal((await requester.next('error')).error.field, 'requirements.profile');
+
+  await closeAll(server, [requester, ...Object.values(announced)]);
+});
+
+test('discovery subscriptions stream debounced match changes', async () => {
+  const { server, port } = await startServer({ discoveryDebounce: 20 });
+  const subscriber = await connectClient(port, '?room=live');
+  const worker = await connectClient(port, '?room=live');
+  const other = await connectClient(port, '?room=live');
+
+  subscriber.sendJSON({ type: 'subscribe-discovery', subscriptionId: 'gpu', requirements: { capabilities: { required: ['hasGPU'] } } });
+  const subscribed = await subscriber.next('discovery-subscribed');
+  assert.equal(subscribed.subscriptionId, 'gpu');
+  assert.deepEqual(subscribed.peers, []);
+
+  // A burst of announcements collapses into a single event carrying the latest capabilities
+  worker.sendJSON({ type: 'capability-announce', capabilities: { hasGPU: true, models: ['a'] } });
+  worker.sendJSON({ type: 'capability-announce', capabilities: { hasGPU: true, models: ['a', 'b'] } });
+  other.sendJSON({ type: 'capability-announce', capabilities: { hasGPU: true } });
+  const first = await subscriber.next('peer-matched');
+  const second = await subscriber.next('peer-matched');
+  const matched = Object.fromEntries([first, second].map(m => [m.peer.peerId, m]));
+  assert.deepEqual(matched[worker.peerId].peer.capabilities.models, ['a', 'b']);
+  assert.equal(matched[other.peerId].subscriptionId, 'gpu');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(subscriber.messages.some(m => m.type === 'peer-matched'), false);
+  assert.equal(subscriber.messages.some(m => m.type === 'peer-capability-update'), false);
+
+  worker.sendJSON({ type: 'capability-announce', capabilities: { hasGPU: false } });
+  assert.equal((await subscriber.next('peer-unmatched')).peerId, worker.peerId);
+
+  other.close(1000);
+  assert.equal((await subscriber.next('peer-unmatched')).peerId, other.peerId);
+
+  subscriber.sendJSON({ type: 'unsubscribe-discovery', subscriptionId: 'gpu' });
+  await subscriber.next('discovery-unsubscribed');
+  worker.sendJSON({ type: 'capability-announce', capabilities: { hasGPU: true } });
+  assert.equal((await subscriber.next('peer-capability-update')).peerId, worker.peerId);
+  subscriber.sendJSON({ type: 'unsubscribe-discovery', subscriptionId: 'gpu' });
+  assert.equal((await subscriber.next('error')).error.code, 'unknown-subscription');
+
+  await closeAll(server, [subscriber, worker]);
+});
+
+test('token buckets charge per message type and survive reconnects', async () => {
+  const { server, port } = await startServer({
+    rateLimits: {
+      peer: { capacity: 12, refillPerSecond: 1 },
+      connections: { capacity: 3, refillPerSecond: 0.5 }
+    }
+  });
+  const keyPair = newKeyPair();
+  const client = await connectClient(port, '', { keyPair });
+
+  client.sendJSON({ type: 'capability-announce', capabilities: { hasAI: true } });
+  client.sendJSON({ type: 'discover' });
+  const { error } = await client.next('error');
+  assert.equal(error.code, 'rate-limit');
+  assert.equal(error.scope, 'peer');
+  assert.ok(error.retryAfter > 2000 && error.retryAfter <= 3000);
+
+  // Same identity, same drained bucket
+  client.close(1000);
+  await once(client, 'close');
+  const again = await connectClient(port, '', { keyPair });
+  again.sendJSON({ type: 'discover' });
+  assert.equal((await again.next('error')).error.code, 'rate-limit');
+
+  // Third upgrade uses up the connection bucket
+  const third = await connectClient(port);
+  const [res] = await once(http.get({ port, path: '/signaling', headers: {
+    connection: 'Upgrade',
+    upgrade: 'websocket',
+    'sec-websocket-version': '13',
+    'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ=='
+  } }), 'response');
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['retry-after'], '2');
+  res.resume();
+
+  const metrics = await getText(port, '/metrics');
+  assert.match(metrics.body, /^signaling_rate_limit_rejections_total\{scope="connection"\} 1$/m);
+
+  await closeAll(server, [again, third]);
+});
+
+test('message types named like object properties pay the default cost', async () => {
+  const { server, port } = await startServer({ rateLimits: { peer: { capacity: 3, refillPerSecond: 0.001 } } });
+  const client = await connectClient(port);
+
+  for (const type of ['constructor', 'toString', '__proto__']) {
+    client.sendJSON({ type });
+    assert.notEqual((await client.next('error')).error.code, 'rate-limit');
+  }
+  client.sendJSON({ type: 'ping' });
+  assert.equal((await client.next('error')).error.code, 'rate-limit');
+  assert.ok(Number.isFinite(server.peerRateLimiter.describe(client.peerId).tokens));
+  assert.ok(server.ipRateLimiter.list().every(bucket => Number.isFinite(bucket.tokens)));
+
+  await closeAll(server, [client]);
+});
+
+test('token buckets refuse costs that are not finite, non-negative numbers', () => {
+  const limiter = new RateLimiter({ capacity: 10, refillPerSecond: 1 });
+  for (const cost of [NaN, Infinity, -1, '1', () => 1, undefined]) {
+    const result = RateLimiter.consume([[limiter, 'peer']], cost);
+    assert.deepEqual(result, { allowed: false, retryAfter: Infinity, limiter });
+  }
+  assert.equal(limiter.describe('peer').tokens, 10);
+  assert.throws(() => new TokenBucket({ capacity: 10, refillPerSecond: 1 }).take(NaN), RangeError);
+  assert.equal(RateLimiter.consume([[limiter, 'peer']], 0).allowed, true);
+});
+
+test('authenticated peers receive short-lived TURN credentials', async () => {
+  const { server, port } = await startServer({
+    ice: { stunUrls: ['stun:stun.test:3478'], turnUrls: ['turn:relay.test:3478'], turnSecret: 's3cret', turnTtl: 600 }
+  });
+  const member = await connectClient(port);
+  const guest = await connectClient(port, '', { anonymous: true });
+
+  member.sendJSON({ type: 'get-ice-servers' });
+  const { iceServers, relayAvailable, expiresAt } = await member.next('ice-servers');
+  assert.equal(relayAvailable, true);
+  assert.deepEqual(iceServers[0], { urls: ['stun:stun.test:3478'] });
+  const turn = iceServers[1];
+  assert.deepEqual(turn.urls, ['turn:relay.test:3478']);
+  const [expiry, peerId] = turn.username.split(':');
+  assert.equal(peerId, member.peerId);
+  assert.equal(Number(expiry), Math.floor(expiresAt / 1000));
+  assert.ok(expiresAt - Date.now() <= 600 * 1000);
+  assert.equal(turn.credential, createHmac('sha1', 's3cret').update(turn.username).digest('base64'));
+
+  // Relay bandwidth is reserved for peers with a verified identity
+  guest.sendJSON({ type: 'get-ice-servers' });
+  const anonymous = await guest.next('ice-servers');
+  assert.equal(anonymous.relayAvailable, false);
+  assert.equal(anonymous.iceServers.length, 1);
+
+  await closeAll(server, [member, guest]);
+});
+
+test('task frames relay between consenting peers within a bandwidth cap', async () => {
+  const { server, port } = await startServer({ rateLimits: { relay: { capacity: 2048, refillPerSecond: 1 } } });
+  const requester = await connectClient(port);
+  const worker = await connectClient(port);
+  const frame = { type: 'prompt-delegation', taskId: 'task-1', prompt: 'hello' };
+
+  requester.sendJSON({ type: 'relay', targetPeerId: worker.peerId, payload: frame });
+  assert.equal((await requester.next('error')).error.code, 'relay-consent-required');
+
+  requester.sendJSON({ type: 'relay-consent', allow: true });
+  await requester.next('relay-consent-updated');
+  requester.sendJSON({ type: 'relay', targetPeerId: worker.peerId, payload: frame });
+  const refused = (await requester.next('error')).error;
+  assert.equal(refused.code, 'relay-refused');
+  assert.equal(refused.taskId, 'task-1');
+
+  worker.sendJSON({ type: 'relay-consent', allow: true });
+  await worker.next('relay-consent-updated');
+  requester.sendJSON({ type: 'relay', targetPeerId: worker.peerId, payload: frame });
+  const relayed = await worker.next('relay');
+  assert.equal(relayed.fromPeerId, requester.peerId);
+  assert.deepEqual(relayed.payload, frame);
+
+  worker.sendJSON({ type: 'relay', targetPeerId: requester.peerId, payload: { type: 'prompt-response', taskId: 'task-1', chunk: 'x'.repeat(4096) } });
+  const capped = (await worker.next('error')).error;
+  assert.equal(capped.code, 'rate-limit');
+  assert.equal(capped.scope, 'relay');
+  assert.equal(capped.retryAfter, null); // Larger than the whole bucket
+
+  worker.sendJSON({ type: 'relay', targetPeerId: requester.peerId, payload: { type: 'offer', taskId: 'task-1' } });
+  assert.equal((await worker.next('error')).error.field, 'payload.type');
+
+  const bytes = Buffer.byteLength(JSON.stringify(frame));
+  assert.equal(server.describePeer(requester.peerId).relay.bytesSent, bytes);
+  assert.equal(server.describePeer(worker.peerId).relay.messagesReceived, 1);
+  const metrics = await getText(port, '/metrics');
+  assert.match(metrics.body, new RegExp(`^signaling_relayed_bytes_total ${bytes}$`, 'm'));
+
+  await closeAll(server, [requester, worker]);
+});
+
+test('task reports build a persistent reputation that feeds discovery ranking', async () => {
+  const peerStore = new MemoryPeerStore();
+  const workerKeys = newKeyPair();
+  const capabilities = { hasAI: true, models: ['gemini-nano'], quota: { availableQuota: 10 } };
+  const { server, port } = await startServer({ peerStore, adminToken: 'admin-secret' });
+  const requester = await connectClient(port);
+  const flaky = await connectClient(port, '', { keyPair: workerKeys });
+  const steady = await connectClient(port);
+  for (const ws of [flaky, steady]) {
+    ws.sendJSON({ type: 'capability-announce', capabilities });
+    await requester.next('peer-capability-update');
+  }
+
+  const report = (ws, targetPeerId, taskId, outcome, reply = 'task-report-recorded') => {
+    ws.sendJSON({ type: 'task-report', targetPeerId, taskId, outcome });
+    return ws.next(reply);
+  };
+  // Only peers the server connected may report on each other
+  assert.equal((await report(requester, flaky.peerId, 'task-1', 'failed', 'error')).error.code, 'invalid-report');
+  await negotiate(requester, flaky);
+  await negotiate(steady, requester);
+  assert.equal((await report(requester, flaky.peerId, 'task-1', 'failed')).reputation, 1 / 3);
+  // The same task failed over to another worker is reported for each of them
+  assert.equal((await report(requester, steady.peerId, 'task-1', 'completed')).reputation, 2 / 3);
+  assert.equal((await report(requester, flaky.peerId, 'task-1', 'completed', 'error')).error.code, 'duplicate-report');
+  assert.equal((await report(steady, steady.peerId, 'task-3', 'completed', 'error')).error.code, 'invalid-report');
+  assert.equal((await report(requester, 'never-seen', 'task-4', 'completed', 'error')).error.code, 'invalid-report');
+  const anonymous = await connectClient(port, '', { anonymous: true });
+  await negotiate(anonymous, requester);
+  assert.equal((await report(requester, anonymous.peerId, 'task-4', 'completed', 'error')).error.code, 'peer-not-found');
+  assert.equal((await report(anonymous, steady.peerId, 'task-5', 'failed', 'error')).error.code, 'auth-required');
+
+  requester.sendJSON({ type: 'discover', requirements: { needsAI: true } });
+  const { peers } = await requester.next('peers-discovered');
+  assert.deepEqual(peers.map(p => p.peerId), [steady.peerId, flaky.peerId]);
+  assert.equal(peers[0].reputation, 2 / 3);
+
+  const directory = await adminJSON(port, 'GET', `/admin/directory/${encodeURIComponent(flaky.peerId)}`);
+  assert.equal(directory.peer.tasksFailed, 1);
+  assert.deepEqual(directory.peer.capabilities, capabilities);
+  assert.equal((await adminJSON(port, 'GET', '/admin/directory')).peers.length, 3); // Anonymous peers are not stored
+  await closeAll(server, [requester, flaky, steady, anonymous]);
+
+  // The directory outlives the server; a returning identity keeps its record
+  const restarted = await startServer({ peerStore });
+  const returning = await connectClient(restarted.port, '', { keyPair: workerKeys });
+  assert.equal(returning.peerId, flaky.peerId);
+  await waitFor(() => restarted.server.reputations.has(returning.peerId));
+  assert.equal(restarted.server.reputations.get(returning.peerId), 1 / 3);
+  const entry = await peerStore.getPeer(returning.peerId);
+  assert.equal(entry.tasksFailed, 1);
+  assert.ok(entry.lastSeen >= entry.firstSeen);
+
+  await closeAll(restarted.server, [returning]);
+});
+
+test('task reports are limited per reporter and target', async () => {
+  const { server, port } = await startServer({ rateLimits: { reports: { capacity: 2, refillPerSecond: 0.001 } } });
+  const requester = await connectClient(port);
+  const worker = await connectClient(port);
+  const other = await connectClient(port);
+  await negotiate(requester, worker);
+  await negotiate(requester, other);
+
+  for (const taskId of ['task-1', 'task-2']) {
+    requester.sendJSON({ type: 'task-report', targetPeerId: worker.peerId, taskId, outcome: 'completed' });
+    await requester.next('task-report-recorded');
+  }
+  requester.sendJSON({ type: 'task-report', targetPeerId: worker.peerId, taskId: 'task-3', outcome: 'completed' });
+  const { error } = await requester.next('error');
+  assert.equal(error.code, 'rate-limit');
+  assert.equal(error.scope, 'reports');
+  assert.ok(error.retryAfter > 0);
+
+  // Other targets have their own budget
+  requester.sendJSON({ type: 'task-report', targetPeerId: other.peerId, taskId: 'task-3', outcome: 'completed' });
+  await requester.next('task-report-recorded');
+
+  await closeAll(server, [requester, worker, other]);
+});
+
+test('stop drains: hints clients, waits for open offers, then closes with 1012', async () => {
+  const { server, port } = await startServer({ drainTimeout: 5000, reconnectUrl: 'wss://next.example/signaling' });
+  const offerer = await connectClient(port);
+  const answerer = await connectClient(port);
+  const sdp = { type: 'offer', sdp: 'v=0' };
+
+  offerer.sendJSON({ type: 'offer', targetPeerId: answerer.peerId, sdp });
+  await answerer.next('offer');
+
+  let stopped = false;
+  const stopping = server.stop().then(() => { stopped = true; });
+  assert.equal(server.stop(), server.stop()); // Repeated calls share the drain
+  const hint = await offerer.next('server-draining');
+  assert.equal(hint.reconnectUrl, 'wss://next.example/signaling');
+  assert.ok(hint.reconnectIn >= 0 && hint.deadline > Date.now());
+  await answerer.next('server-draining');
+
+  assert.equal((await getJSON(port, '/health')).status, 'draining');
+  const late = new WebSocket(`ws://localhost:${port}/signaling`);
+  const [, response] = await once(late, 'unexpected-response');
+  assert.equal(response.statusCode, 503);
+
+  answerer.sendJSON({ type: 'offer', targetPeerId: offerer.peerId, sdp });
+  assert.equal((await answerer.next('error')).error.code, 'server-draining');
+
+  // The exchange that was already under way may still complete
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(stopped, false);
+  const closes = [once(offerer, 'close'), once(answerer, 'close')];
+  answerer.sendJSON({ type: 'answer', targetPeerId: offerer.peerId, sdp: { type: 'answer', sdp: 'v=0' } });
+  await offerer.next('answer');
+
+  const [[offererCode], [answererCode]] = await Promise.all(closes);
+  assert.equal(offererCode, 1012);
+  assert.equal(answererCode, 1012);
+  await stopping;
+  assert.equal(server.peers.size, 0);
+  assert.equal(server.httpServer.listening, false);
+});
+
+test('logs are JSON lines that carry the correlation ID and redact SDP and addresses', async () => {
+  const entries = [];
+  const logger = createLogger('signaling', { level: 'debug', write: (line) => entries.push(JSON.parse(line)) });
+  const { server, port } = await startServer({ logger });
+  const offerer = await connectClient(port);
+  const answerer = await connectClient(port);
+  const correlationId = 'task_1700000000000_abc123def';
+
+  offerer.sendJSON({ type: 'offer', targetPeerId: answerer.peerId, sdp: { type: 'offer', sdp: 'v=0 secret' }, correlationId });
+  assert.equal((await answerer.next('offer')).correlationId, correlationId);
+  answerer.sendJSON({ type: 'answer', targetPeerId: offerer.peerId, sdp: { type: 'answer', sdp: 'v=0' }, correlationId });
+  assert.equal((await offerer.next('answer')).correlationId, correlationId);
+
+  const traced = entries.filter(entry => entry.correlationId === correlationId).map(entry => entry.msg);
+  assert.ok(traced.includes('Offer forwarded') && traced.includes('Answer forwarded'));
+  const connected = entries.find(entry => entry.msg === 'Peer connected');
+  assert.equal(connected.component, 'signaling');
+  assert.equal(connected.instanceId, server.instanceId);
+  assert.equal(connected.ip, '[redacted]');
+  assert.equal(entries.some(entry => JSON.stringify(entry).includes('secret')), false);
+
+  offerer.sendJSON({ type: 'offer', targetPeerId: answerer.peerId, sdp: { type: 'offer', sdp: 'v=0' }, correlationId: 'has spaces' });
+  assert.equal((await offerer.next('error')).error.field, 'correlationId');
+
+  assert.deepEqual(redact({ nested: { candidate: 'a=candidate', keep: 1 }, error: new TypeError('boom') }), {
+    nested: { candidate: '[redacted]', keep: 1 },
+    error: { name: 'TypeError', message: 'boom' }
+  });
+
+  await closeAll(server, [offerer, answerer]);
+});
+
+test('signaling spans continue the sender trace and forwards carry it on', async () => {
+  const exporter = new InMemorySpanExporter();
+  const { server, port } = await startServer({ tracer: new Tracer('helios-signaling', exporter) });
+  const offerer = await connectClient(port);
+  const answerer = await connectClient(port);
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const clientSpanId = '00f067aa0ba902b7';
+
+  offerer.sendJSON({
+    type: 'offer',
+    targetPeerId: answerer.peerId,
+    sdp: { type: 'offer', sdp: 'v=0' },
+    traceparent: `00-${traceId}-${clientSpanId}-01`
+  });
+  const offer = await answerer.next('offer');
+  const forwarded = parseTraceparent(offer.traceparent);
+  assert.equal(forwarded.traceId, traceId);
+
+  const span = exporter.spans.find(s => s.name === 'signaling.offer');
+  assert.equal(span.traceId, traceId);
+  assert.equal(span.parentSpanId, clientSpanId);
+  assert.equal(span.spanId, forwarded.spanId);
+  assert.equal(span.kind, SPAN_KIND.server);
+  assert.equal(span.attributes['peer.id'], offerer.peerId);
+  assert.equal(span.attributes['signaling.target_peer'], answerer.peerId);
+
+  // Messages without context start a trace of their own
+  answerer.sendJSON({ type: 'ping' });
+  await answerer.next('pong');
+  const ping = exporter.spans.find(s => s.name === 'signaling.ping');
+  assert.notEqual(ping.traceId, traceId);
+  assert.equal(ping.parentSpanId, null);
+
+  offerer.sendJSON({ type: 'ping', traceparent: 'not-a-traceparent' });
+  assert.equal((await offerer.next('error')).error.field, 'traceparent');
+
+  // Spans reach the collector as OTLP/HTTP JSON
+  const received = [];
+  const collector = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    received.push({ url: req.url, body: JSON.parse(body) });
+    res.end('{}');
+  });
+  collector.listen(0);
+  await once(collector, 'listening');
+  const otlp = new OtlpHttpExporter('helios-signaling', { endpoint: `http://localhost:${collector.address().port}/` });
+  otlp.export(span);
+  await otlp.shutdown();
+  collector.close();
+
+  assert.equal(received[0].url, '/v1/traces');
+  const [resourceSpans] = received[0].body.resourceSpans;
+  assert.deepEqual(resourceSpans.resource.attributes, [{ key: 'service.name', value: { stringValue: 'helios-signaling' } }]);
+  const [exported] = resourceSpans.scopeSpans[0].spans;
+  assert.equal(exported.traceId, traceId);
+  assert.equal(exported.parentSpanId, clientSpanId);
+  assert.ok(BigInt(exported.endTimeUnixNano) >= BigInt(exported.startTimeUnixNano));
+
+  await closeAll(server, [offerer, answerer]);
+});
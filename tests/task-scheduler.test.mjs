@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDemoScripts } from './p2p-demo-harness.mjs';
+
+const { TaskScheduler, TaskRejectedError } = loadDemoScripts('task-scheduler');
+
+const schedulers = [];
+
+// A scheduler with `slots` slots whose position updates are collected in `positions`
+function scheduler(slots, options = {}) {
+  const positions = [];
+  const created = new TaskScheduler({
+    maxConcurrent: () => slots.count,
+    onPositionChange: ({ context }, position, queueLength) => positions.push([context.id, position, queueLength]),
+    ...options
+  });
+  schedulers.push(created);
+  return Object.assign(created, { positions });
+}
+
+// Queue a task; `started` lists tasks in the order they got a slot, `releases` their release functions
+function enqueue(target, id, { priority, deadline = Date.now() + 60000, signal } = {}) {
+  target.started ??= [];
+  target.releases ??= {};
+  const acquired = target.acquire({ priority, deadline, signal, context: { id } }).then(release => {
+    target.started.push(id);
+    target.releases[id] = release;
+    return release;
+  });
+  acquired.catch(() => {}); // Tests check only the rejections they care about
+  return acquired;
+}
+
+// Rejects what is still queued, so no deadline timer outlives its test
+test.afterEach(() => {
+  schedulers.splice(0).forEach(target => [...target.queue].forEach(entry => target.remove(entry, new Error('Test over'))));
+});
+
+test('tasks start by priority, in arrival order within a priority', async () => {
+  const slots = { count: 1 };
+  const target = scheduler(slots);
+  await enqueue(target, 'running');
+  const queued = [
+    enqueue(target, 'low-1', { priority: 1 }),
+    enqueue(target, 'high', { priority: 5 }),
+    enqueue(target, 'low-2', { priority: 1 }),
+    enqueue(target, 'mid', { priority: 3 })
+  ];
+  assert.deepEqual(target.getStatus(), { running: 1, queued: 4, maxConcurrent: 1 });
+  assert.deepEqual(target.queue.map(entry => entry.context.id), ['high', 'mid', 'low-1', 'low-2']);
+
+  slots.count = 5; // maxConcurrent is read again whenever a slot frees up
+  target.releases.running();
+  await Promise.all(queued);
+  assert.deepEqual(target.started, ['running', 'high', 'mid', 'low-1', 'low-2']);
+  assert.equal(target.getStatus().running, 4);
+});
+
+test('queued tasks hear about their position as it changes', async () => {
+  const target = scheduler({ count: 1 });
+  await enqueue(target, 'running');
+  enqueue(target, 'first');
+  enqueue(target, 'second');
+  enqueue(target, 'urgent', { priority: 9 });
+  assert.deepEqual(target.positions, [
+    ['first', 1, 1],
+    ['second', 2, 2],
+    ['urgent', 1, 3], // Jumps the queue, moving the others back
+    ['first', 2, 3],
+    ['second', 3, 3]
+  ]);
+});
+
+test('a full queue displaces its lowest-priority task, or turns the newcomer away', async () => {
+  const target = scheduler({ count: 1 }, { maxQueueLength: 2 });
+  await enqueue(target, 'running');
+  const normal = enqueue(target, 'normal', { priority: 2 });
+  const low = enqueue(target, 'low', { priority: 1 });
+
+  const displaced = enqueue(target, 'high', { priority: 3 });
+  await assert.rejects(low, error => error instanceof TaskRejectedError && error.code === 'busy' &&
+    /displaced by a higher-priority task/.test(error.message));
+  assert.deepEqual(target.queue.map(entry => entry.context.id), ['high', 'normal']);
+
+  // No more urgent than the least urgent queued task: turned away itself
+  await assert.rejects(enqueue(target, 'late', { priority: 2 }), { name: 'TaskRejectedError', code: 'busy', message: 'Worker is busy' });
+  assert.deepEqual(target.queue.map(entry => entry.context.id), ['high', 'normal']);
+
+  target.releases.running();
+  await displaced;
+  target.releases.high();
+  await normal;
+  assert.deepEqual(target.started, ['running', 'high', 'normal']);
+});
+
+test('a queue of length 0 only admits tasks with a free slot', async () => {
+  const target = scheduler({ count: 1 }, { maxQueueLength: 0 });
+  await enqueue(target, 'running');
+  await assert.rejects(enqueue(target, 'waiting', { priority: 9 }), { code: 'busy' });
+});
+
+test('a task still queued at its deadline expires', async () => {
+  const target = scheduler({ count: 1 });
+  await enqueue(target, 'running');
+  const expiring = enqueue(target, 'expiring', { deadline: Date.now() + 20 });
+  const waiting = enqueue(target, 'waiting');
+
+  await assert.rejects(expiring, { name: 'TaskRejectedError', code: 'expired', message: 'Task expired while queued' });
+  assert.deepEqual(target.queue.map(entry => entry.context.id), ['waiting']);
+  assert.deepEqual(target.positions.at(-1), ['waiting', 1, 1]);
+
+  // A task that got its slot in time is not expired later
+  target.releases.running();
+  await waiting;
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(target.getStatus().running, 1);
+});
+
+test('aborting a queued task removes it with the abort reason', async () => {
+  const target = scheduler({ count: 1 });
+  await enqueue(target, 'running');
+  const controller = new globalThis.AbortController();
+  const aborted = enqueue(target, 'aborted', { signal: controller.signal });
+  enqueue(target, 'next');
+
+  controller.abort(new Error('Cancelled by requester'));
+  await assert.rejects(aborted, /Cancelled by requester/);
+  assert.deepEqual(target.queue.map(entry => entry.context.id), ['next']);
+
+  // Already aborted: rejected without queueing
+  await assert.rejects(enqueue(target, 'too-late', { signal: controller.signal }), /Cancelled by requester/);
+  assert.equal(target.getStatus().queued, 1);
+});
+
+test('releasing a slot twice frees it only once', async () => {
+  const target = scheduler({ count: 2 });
+  const release = await enqueue(target, 'first');
+  await enqueue(target, 'second');
+  const third = enqueue(target, 'third');
+  enqueue(target, 'fourth');
+
+  release();
+  release();
+  await third;
+  assert.deepEqual(target.getStatus(), { running: 2, queued: 1, maxConcurrent: 2 });
+  assert.deepEqual(target.started, ['first', 'second', 'third']);
+});